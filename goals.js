@@ -0,0 +1,45 @@
+/* Daily goal defaults and how stored goals resolve to targets. Loaded by the page before script.js and required by
+   server.js, so the dashboard, Calixo's context and the reports all work from the same numbers. */
+const DEFAULT_CALORIE_GOAL = 2000;
+const DEFAULT_PROTEIN_GOAL = 50;
+const DEFAULT_ACTIVITY_GOAL = 30;
+const DEFAULT_CARBS_PCT = 50;
+const DEFAULT_FAT_PCT = 30;
+const DEFAULT_FIBER_GOAL = 30;
+const DEFAULT_SUGAR_GOAL = 50;
+const DEFAULT_SODIUM_GOAL = 2300;
+const KCAL_PER_GRAM = { carbs: 4, fat: 9 };
+
+function macroGramsFromPercent(calorieGoal, pct, macro) {
+  return Math.round((calorieGoal * pct) / 100 / KCAL_PER_GRAM[macro]);
+}
+
+/* Every target from stored goals (or null); defaultCalorieGoal comes from the body profile when there is one.
+   Carbs and fat are stored either as grams or, with macroMode "percent", as a share of the calorie goal.
+   Either way the returned carbsGoal and fatGoal are grams. */
+function resolveGoals(goals, defaultCalorieGoal = DEFAULT_CALORIE_GOAL) {
+  const g = goals || {};
+  const calorieGoal = g.calorieGoal ?? defaultCalorieGoal;
+  const macroMode = g.macroMode === "percent" ? "percent" : "grams";
+  const carbsPct = g.carbsPct ?? DEFAULT_CARBS_PCT;
+  const fatPct = g.fatPct ?? DEFAULT_FAT_PCT;
+  const macroGoal = (key, pct, macro) =>
+    macroMode === "grams" && g[key] != null ? g[key] : macroGramsFromPercent(calorieGoal, pct, macro);
+  return {
+    calorieGoal,
+    proteinGoal: g.proteinGoal ?? DEFAULT_PROTEIN_GOAL,
+    activityGoal: g.activityGoal ?? DEFAULT_ACTIVITY_GOAL,
+    macroMode,
+    carbsPct,
+    fatPct,
+    carbsGoal: macroGoal("carbsGoal", carbsPct, "carbs"),
+    fatGoal: macroGoal("fatGoal", fatPct, "fat"),
+    fiberGoal: g.fiberGoal ?? DEFAULT_FIBER_GOAL,
+    sugarGoal: g.sugarGoal ?? DEFAULT_SUGAR_GOAL,
+    sodiumGoal: g.sodiumGoal ?? DEFAULT_SODIUM_GOAL
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DEFAULT_CALORIE_GOAL, DEFAULT_PROTEIN_GOAL, DEFAULT_ACTIVITY_GOAL, KCAL_PER_GRAM, resolveGoals };
+}
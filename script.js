@@ -1,18 +1,36 @@
+/* Goal defaults, KCAL_PER_GRAM and resolveGoals come from goals.js, which the page loads first */
 const STORAGE_KEY = "calixolympics_data";
-const DEFAULT_CALORIE_GOAL = 2000;
-const DEFAULT_PROTEIN_GOAL = 50;
-const DEFAULT_ACTIVITY_GOAL = 30;
+
+/* Nutrients tracked per food entry: calories in kcal, sodium in mg, everything else in grams */
+const NUTRIENT_FIELDS = ["calories", "protein", "carbs", "fat", "fiber", "sugar", "sodium"];
+
+/* Targets beyond calories and protein. Sugar and sodium are upper limits, the rest are amounts to reach. */
+const NUTRIENT_GOALS = [
+  { key: "carbsGoal", field: "carbs", label: "Carbs", unit: "g", limit: false },
+  { key: "fatGoal", field: "fat", label: "Fat", unit: "g", limit: false },
+  { key: "fiberGoal", field: "fiber", label: "Fiber", unit: "g", limit: false },
+  { key: "sugarGoal", field: "sugar", label: "Sugar", unit: "g", limit: true },
+  { key: "sodiumGoal", field: "sodium", label: "Sodium", unit: "mg", limit: true }
+];
 
 const API_BASE = "";
 
 let mongodbAvailable = null;
+/* When the server offers chat tools, Calixo logs and edits entries itself instead of the client parsing each message first */
+let calixoToolsEnabled = false;
+let currentAccount = null;
 let walletAddress = null;
 let achievementsEarned = [];
 let achievementsMinted = [];
 let achievementsMeta = [];
+/* { achievementId: { current, target, earnedOn, unlockedAt } } from the server */
+let achievementsProgress = {};
+/* { achievementId: { signature, mintAddress, provider, network, walletAddress, mintedAt } } for minted badges */
+let achievementMints = {};
 
 function setMongodbAvailable(available) {
   mongodbAvailable = !!available;
+  renderAccountUI();
 }
 
 function fetchHealth() {
@@ -20,111 +38,434 @@ function fetchHealth() {
     .then((res) => (res.ok ? res.json() : null))
     .then((h) => {
       if (h && typeof h.mongodb === "boolean") setMongodbAvailable(h.mongodb);
+      calixoToolsEnabled = !!(h && h.chatTools);
     })
     .catch(() => setMongodbAvailable(false));
 }
 
-function getToday() {
-  const d = new Date();
+function toDateKey(d) {
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, "0");
   const day = String(d.getDate()).padStart(2, "0");
   return `${y}-${m}-${day}`;
 }
 
+function getToday() {
+  return toDateKey(new Date());
+}
+
+function shiftDate(dateStr, days) {
+  const [y, m, day] = dateStr.split("-").map(Number);
+  return toDateKey(new Date(y, m - 1, day + days));
+}
+
+/* Day shown on the Dashboard, Food and Activity tabs; additions and deletions there apply to it */
+let selectedDate = getToday();
+
+function getSelectedDate() {
+  return selectedDate;
+}
+
+function setSelectedDate(dateStr) {
+  const today = getToday();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) dateStr = today;
+  selectedDate = dateStr > today ? today : dateStr;
+  refreshAll();
+}
+
+/* Sync state: local edits stay in data.sync.dirty (id → { kind }) until the server acknowledges them, and
+   deletions stay in data.deleted as tombstones until pushed. Conflicts resolve the same way the server does:
+   newer updatedAt wins, a deletion wins a tie, then the serialized payload decides. */
+/* Date-keyed entry maps that sync per entry; body holds at most one measurement per date */
+const ENTRY_KINDS = ["diet", "activity", "body"];
+
+function emptyData() {
+  return {
+    diet: {},
+    activity: {},
+    body: {},
+    goals: null,
+    goalStory: "",
+    profile: null,
+    goalsUpdatedAt: 0,
+    deleted: {},
+    sync: { cursor: null, dirty: { entries: {}, goals: false } }
+  };
+}
+
+/* Data saved before per-entry sync existed: everything local is unsynced */
+function legacySyncState(data) {
+  const entries = {};
+  for (const kind of ENTRY_KINDS) {
+    for (const list of Object.values(data[kind] || {})) {
+      for (const e of list || []) entries[e.id] = { kind };
+    }
+  }
+  return { cursor: null, dirty: { entries, goals: hasGoalsPayload(data) } };
+}
+
 function loadData() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { diet: {}, activity: {}, goals: null, goalStory: "" };
+    if (!raw) return emptyData();
     const data = JSON.parse(raw);
     return {
       diet: data.diet || {},
       activity: data.activity || {},
+      body: data.body || {},
       goals: data.goals || null,
-      goalStory: data.goalStory || ""
+      goalStory: data.goalStory || "",
+      profile: normalizeProfile(data.profile),
+      goalsUpdatedAt: Number(data.goalsUpdatedAt) || 0,
+      deleted: data.deleted || {},
+      sync: data.sync || legacySyncState(data)
     };
   } catch {
-    return { diet: {}, activity: {}, goals: null, goalStory: "" };
+    return emptyData();
   }
 }
 
+/* Resolved targets (see resolveGoals in goals.js) plus the goal story */
 function getGoals(data) {
-  const g = data.goals;
-  return {
-    calorieGoal: g?.calorieGoal ?? DEFAULT_CALORIE_GOAL,
-    proteinGoal: g?.proteinGoal ?? DEFAULT_PROTEIN_GOAL,
-    activityGoal: g?.activityGoal ?? DEFAULT_ACTIVITY_GOAL,
-    goalStory: data.goalStory || ""
-  };
+  return { ...resolveGoals(data.goals, getDefaultCalorieGoal(data.profile)), goalStory: data.goalStory || "" };
+}
+
+/* Nutrient goals from an AI suggestion; only positive numbers, so missing ones keep the user's targets */
+function pickNutrientGoals(src) {
+  const picked = {};
+  for (const { key } of NUTRIENT_GOALS) {
+    const v = Math.round(Number(src?.[key]));
+    if (Number.isFinite(v) && v > 0) picked[key] = v;
+  }
+  if (picked.carbsGoal != null || picked.fatGoal != null) picked.macroMode = "grams";
+  return picked;
 }
 
 function saveGoals(data, goals, story = "") {
   data.goals = goals;
   data.goalStory = story;
+  data.goalsUpdatedAt = Date.now();
+  data.sync.dirty.goals = true;
+  saveData(data);
+}
+
+/* Body profile: { weightKg, heightCm, age, sex: "female" | "male" | null, activityLevel }. Syncs with goals.
+   BMR uses Mifflin-St Jeor; TDEE multiplies it by the activity level. Kept in step with server.js. */
+const ACTIVITY_LEVELS = {
+  sedentary: { label: "Sedentary (desk job, little exercise)", factor: 1.2 },
+  light: { label: "Lightly active (1–3 workouts a week)", factor: 1.375 },
+  moderate: { label: "Moderately active (3–5 workouts a week)", factor: 1.55 },
+  active: { label: "Active (6–7 workouts a week)", factor: 1.725 },
+  very_active: { label: "Very active (physical job or twice-daily training)", factor: 1.9 }
+};
+
+function normalizeProfile(profile) {
+  if (!profile || typeof profile !== "object") return null;
+  const num = (value, min, max) => {
+    const n = Number(value);
+    return value !== "" && value != null && Number.isFinite(n) && n >= min && n <= max ? Math.round(n * 10) / 10 : null;
+  };
+  const normalized = {
+    weightKg: num(profile.weightKg, 25, 350),
+    heightCm: num(profile.heightCm, 100, 250),
+    age: num(profile.age, 13, 110),
+    sex: profile.sex === "female" || profile.sex === "male" ? profile.sex : null,
+    activityLevel: ACTIVITY_LEVELS[profile.activityLevel] ? profile.activityLevel : null
+  };
+  return Object.values(normalized).some((v) => v != null) ? normalized : null;
+}
+
+function computeBMR(profile) {
+  const p = normalizeProfile(profile);
+  if (!p?.weightKg || !p.heightCm || !p.age) return null;
+  const sexOffset = p.sex === "male" ? 5 : p.sex === "female" ? -161 : -78;
+  return Math.round(10 * p.weightKg + 6.25 * p.heightCm - 5 * p.age + sexOffset);
+}
+
+function computeTDEE(profile) {
+  const bmr = computeBMR(profile);
+  if (!bmr) return null;
+  return Math.round(bmr * ACTIVITY_LEVELS[normalizeProfile(profile).activityLevel || "light"].factor);
+}
+
+/* Calorie goal when none is set: TDEE rounded to 50, or the fixed default without a complete profile */
+function getDefaultCalorieGoal(profile) {
+  const tdee = computeTDEE(profile);
+  return tdee ? Math.round(tdee / 50) * 50 : DEFAULT_CALORIE_GOAL;
+}
+
+function saveProfile(data, profile) {
+  data.profile = normalizeProfile(profile);
+  data.goalsUpdatedAt = Date.now();
+  data.sync.dirty.goals = true;
   saveData(data);
 }
 
+/* Goals, goal story and body profile sync as one unit */
+function goalsPayload(src) {
+  return { goals: src?.goals ?? null, goalStory: src?.goalStory || "", profile: normalizeProfile(src?.profile) };
+}
+
+function hasGoalsPayload(src) {
+  return src?.goals != null || !!src?.goalStory || !!normalizeProfile(src?.profile);
+}
+
 function saveData(data) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-  if (mongodbAvailable === false) return;
-  fetch(`${API_BASE}/api/data`, {
+  pushChanges();
+}
+
+function markEntryDirty(data, kind, id) {
+  data.sync.dirty.entries[id] = { kind };
+}
+
+function findLocalEntry(data, kind, id) {
+  for (const [date, entries] of Object.entries(data[kind] || {})) {
+    const entry = entries.find((e) => String(e.id) === String(id));
+    if (entry) return { date, entry };
+  }
+  return null;
+}
+
+function removeLocalEntry(data, kind, id) {
+  const found = findLocalEntry(data, kind, id);
+  if (!found) return;
+  data[kind][found.date] = data[kind][found.date].filter((e) => e !== found.entry);
+  if (data[kind][found.date].length === 0) delete data[kind][found.date];
+}
+
+function entryPayload(entry) {
+  return { ...entry, id: String(entry.id), updatedAt: Number(entry.updatedAt) || 0 };
+}
+
+function syncVersion(updatedAt, isDeletion, payload) {
+  return [Number(updatedAt) || 0, isDeletion ? 1 : 0, JSON.stringify(payload ?? null)];
+}
+
+function compareSyncVersions(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/* Version of the local copy of an entry (its tombstone if deleted), or null if we have neither */
+function localEntryVersion(data, kind, id) {
+  const tombstone = data.deleted[id];
+  if (tombstone) return syncVersion(tombstone.deletedAt, true, String(id));
+  const found = findLocalEntry(data, kind, id);
+  return found ? syncVersion(found.entry.updatedAt, false, entryPayload(found.entry)) : null;
+}
+
+function goalsVersion(data) {
+  return syncVersion(data.goalsUpdatedAt, false, goalsPayload(data));
+}
+
+function collectLocalChanges(data) {
+  const entries = [];
+  const deletions = [];
+  for (const [id, { kind }] of Object.entries(data.sync.dirty.entries)) {
+    const tombstone = data.deleted[id];
+    if (tombstone) {
+      deletions.push({ id, kind, date: tombstone.date, deletedAt: tombstone.deletedAt });
+      continue;
+    }
+    const found = findLocalEntry(data, kind, id);
+    if (found) entries.push({ kind, date: found.date, entry: entryPayload(found.entry) });
+  }
+  const goals = data.sync.dirty.goals
+    ? { ...goalsPayload(data), updatedAt: data.goalsUpdatedAt }
+    : null;
+  return { entries, deletions, goals };
+}
+
+/* Clear dirty marks for what the server stored, unless the item was edited again while the request was in flight */
+function acknowledgeChanges(data, sent) {
+  for (const { kind, entry } of sent.entries) {
+    const current = localEntryVersion(data, kind, entry.id);
+    if (current && compareSyncVersions(current, syncVersion(entry.updatedAt, false, entry)) === 0) {
+      delete data.sync.dirty.entries[entry.id];
+    }
+  }
+  for (const d of sent.deletions) {
+    if (data.deleted[d.id]?.deletedAt === d.deletedAt) {
+      delete data.deleted[d.id];
+      delete data.sync.dirty.entries[d.id];
+    }
+  }
+  if (sent.goals && data.goalsUpdatedAt === sent.goals.updatedAt) data.sync.dirty.goals = false;
+}
+
+/* Apply server changes; a local unsynced edit survives only if it beats the server's version */
+function mergeRemoteChanges(data, changes) {
+  const localWins = (kind, id, incoming) => {
+    if (!data.sync.dirty.entries[id]) return false;
+    const local = localEntryVersion(data, kind, id);
+    return !!local && compareSyncVersions(local, incoming) > 0;
+  };
+  for (const { kind, date, entry } of changes.entries || []) {
+    if (!data[kind]) continue;
+    const incoming = entryPayload(entry);
+    if (localWins(kind, incoming.id, syncVersion(incoming.updatedAt, false, incoming))) continue;
+    removeLocalEntry(data, kind, incoming.id);
+    delete data.deleted[incoming.id];
+    delete data.sync.dirty.entries[incoming.id];
+    if (!data[kind][date]) data[kind][date] = [];
+    data[kind][date].push(incoming);
+  }
+  for (const d of changes.deletions || []) {
+    if (!data[d.kind]) continue;
+    if (localWins(d.kind, d.id, syncVersion(d.deletedAt, true, String(d.id)))) continue;
+    removeLocalEntry(data, d.kind, d.id);
+    delete data.deleted[d.id];
+    delete data.sync.dirty.entries[d.id];
+  }
+  const g = changes.goals;
+  if (g) {
+    const incoming = syncVersion(g.updatedAt, false, goalsPayload(g));
+    if (!data.sync.dirty.goals || compareSyncVersions(goalsVersion(data), incoming) <= 0) {
+      Object.assign(data, goalsPayload(g));
+      data.goalsUpdatedAt = Number(g.updatedAt) || 0;
+      data.sync.dirty.goals = false;
+    }
+  }
+}
+
+/* Push dirty entries, deletions and goals; one request at a time, re-pushing if more edits arrived meanwhile.
+   Resolves when the request in flight has finished. */
+let pushInFlight = null;
+let pushQueued = false;
+function pushChanges() {
+  if (mongodbAvailable === false) return Promise.resolve();
+  if (pushInFlight) {
+    pushQueued = true;
+    return pushInFlight;
+  }
+  const sent = collectLocalChanges(loadData());
+  if (!sent.entries.length && !sent.deletions.length && !sent.goals) return Promise.resolve();
+  pushInFlight = fetch(`${API_BASE}/api/data`, {
     method: "PUT",
     credentials: "include",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      diet: data.diet || {},
-      activity: data.activity || {},
-      goals: data.goals ?? null,
-      goalStory: data.goalStory || ""
-    })
+    body: JSON.stringify({ changes: sent, cursor: loadData().sync.cursor, timezoneOffset: new Date().getTimezoneOffset() })
   })
     .then((res) => {
-      if (res.ok) setMongodbAvailable(true);
-      else if (res.status === 503) setMongodbAvailable(false);
+      if (res.status === 503) setMongodbAvailable(false);
+      return res.ok ? res.json() : null;
     })
-    .catch(() => setMongodbAvailable(false));
+    .then((payload) => {
+      if (!payload) return;
+      setMongodbAvailable(true);
+      const data = loadData();
+      acknowledgeChanges(data, sent);
+      mergeRemoteChanges(data, payload.changes || {});
+      data.sync.cursor = payload.cursor;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      if (payload.changes?.entries?.length || payload.changes?.deletions?.length || payload.changes?.goals) refreshAll();
+      applyAchievementsPayload(payload);
+    })
+    .catch(() => setMongodbAvailable(false))
+    .finally(() => {
+      pushInFlight = null;
+      if (pushQueued) {
+        pushQueued = false;
+        pushChanges();
+      }
+    });
+  return pushInFlight;
+}
+
+function hasUnsyncedChanges(data) {
+  return Object.keys(data.sync.dirty.entries).length > 0 || data.sync.dirty.goals;
+}
+
+function getDietForDate(data, date) {
+  return (data.diet[date] || []).slice();
+}
+
+function getActivityForDate(data, date) {
+  return (data.activity[date] || []).slice();
 }
 
 function getDietToday(data) {
-  const today = getToday();
-  return (data.diet[today] || []).slice();
+  return getDietForDate(data, getToday());
 }
 
 function getActivityToday(data) {
-  const today = getToday();
-  return (data.activity[today] || []).slice();
+  return getActivityForDate(data, getToday());
 }
 
-function addDietEntry(data, entry) {
-  const today = getToday();
-  if (!data.diet[today]) data.diet[today] = [];
-  data.diet[today].push({
-    id: Date.now().toString(),
+/* Entry ids are millisecond timestamps; bump when several entries are added in the same tick */
+let lastEntryId = 0;
+function newEntryId() {
+  const now = Date.now();
+  lastEntryId = now > lastEntryId ? now : lastEntryId + 1;
+  return String(lastEntryId);
+}
+
+function addDietEntry(data, entry, date = getToday()) {
+  if (!data.diet[date]) data.diet[date] = [];
+  const eatenAt = isTimeString(entry.eatenAt) ? entry.eatenAt : getCurrentTime();
+  data.diet[date].push({
+    id: newEntryId(),
     name: entry.name,
-    calories: Number(entry.calories) || 0,
-    protein: Number(entry.protein) || 0,
-    carbs: Number(entry.carbs) || 0,
-    fat: Number(entry.fat) || 0
+    portion: (entry.portion || "").trim(),
+    meal: MEAL_SLOTS.includes(entry.meal) ? entry.meal : guessMealForTime(eatenAt),
+    eatenAt,
+    ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, Number(entry[field]) || 0])),
+    updatedAt: Date.now()
   });
+  markEntryDirty(data, "diet", data.diet[date][data.diet[date].length - 1].id);
   saveData(data);
 }
 
-function addActivityEntry(data, entry) {
-  const today = getToday();
-  if (!data.activity[today]) data.activity[today] = [];
+function addActivityEntry(data, entry, date = getToday()) {
+  if (!data.activity[date]) data.activity[date] = [];
   const duration = Number(entry.duration) || 0;
   const type = entry.type || "other";
   const intensity = entry.intensity || "moderate";
-  const caloriesBurned = computeCaloriesBurned(type, intensity, duration);
+  const caloriesBurned = computeCaloriesBurned(type, intensity, duration, data.profile);
   const benefits = getBenefitsForActivity(type);
-  data.activity[today].push({
-    id: Date.now().toString(),
+  data.activity[date].push({
+    id: newEntryId(),
     type,
     duration,
     intensity,
     caloriesBurned,
-    benefits
+    benefits,
+    updatedAt: Date.now()
   });
+  markEntryDirty(data, "activity", data.activity[date][data.activity[date].length - 1].id);
+  saveData(data);
+}
+
+function updateDietEntry(data, date, id, changes) {
+  const entry = (data.diet[date] || []).find((e) => e.id === id);
+  if (!entry) return;
+  entry.name = (changes.name || entry.name).trim();
+  entry.portion = (changes.portion ?? entry.portion ?? "").trim();
+  if (MEAL_SLOTS.includes(changes.meal)) entry.meal = changes.meal;
+  if (isTimeString(changes.eatenAt)) entry.eatenAt = changes.eatenAt;
+  for (const field of NUTRIENT_FIELDS) {
+    if (changes[field] !== undefined) entry[field] = Number(changes[field]) || 0;
+  }
+  entry.updatedAt = Date.now();
+  markEntryDirty(data, "diet", id);
+  saveData(data);
+}
+
+/* Type, duration or intensity changed: burn estimate and benefits follow */
+function updateActivityEntry(data, date, id, changes) {
+  const entry = (data.activity[date] || []).find((e) => e.id === id);
+  if (!entry) return;
+  entry.type = changes.type || entry.type || "other";
+  entry.duration = changes.duration !== undefined ? Number(changes.duration) || 0 : entry.duration;
+  entry.intensity = changes.intensity || entry.intensity || "moderate";
+  entry.caloriesBurned = computeCaloriesBurned(entry.type, entry.intensity, entry.duration, data.profile);
+  entry.benefits = getBenefitsForActivity(entry.type);
+  entry.updatedAt = Date.now();
+  markEntryDirty(data, "activity", id);
   saveData(data);
 }
 
@@ -132,6 +473,8 @@ function deleteDietEntry(data, date, id) {
   if (!data.diet[date]) return;
   data.diet[date] = data.diet[date].filter((e) => e.id !== id);
   if (data.diet[date].length === 0) delete data.diet[date];
+  data.deleted[id] = { kind: "diet", date, deletedAt: Date.now() };
+  markEntryDirty(data, "diet", id);
   saveData(data);
 }
 
@@ -139,29 +482,66 @@ function deleteActivityEntry(data, date, id) {
   if (!data.activity[date]) return;
   data.activity[date] = data.activity[date].filter((e) => e.id !== id);
   if (data.activity[date].length === 0) delete data.activity[date];
+  data.deleted[id] = { kind: "activity", date, deletedAt: Date.now() };
+  markEntryDirty(data, "activity", id);
+  saveData(data);
+}
+
+/* Body metrics: one measurement per date { id, weightKg, waistCm, bodyFatPct }; saving a date again updates it */
+function saveBodyEntry(data, date, values) {
+  const metric = (value, min, max) => {
+    const n = Number(value);
+    return value !== "" && value != null && Number.isFinite(n) && n >= min && n <= max ? Math.round(n * 10) / 10 : null;
+  };
+  const fields = {
+    weightKg: metric(values.weightKg, 25, 350),
+    waistCm: metric(values.waistCm, 40, 250),
+    bodyFatPct: metric(values.bodyFatPct, 2, 70)
+  };
+  const existing = (data.body[date] || [])[0];
+  if (existing) {
+    Object.assign(existing, fields, { updatedAt: Date.now() });
+  } else {
+    data.body[date] = [{ id: newEntryId(), ...fields, updatedAt: Date.now() }];
+  }
+  markEntryDirty(data, "body", data.body[date][0].id);
+  saveData(data);
+}
+
+function deleteBodyEntry(data, date, id) {
+  if (!data.body[date]) return;
+  data.body[date] = data.body[date].filter((e) => e.id !== id);
+  if (data.body[date].length === 0) delete data.body[date];
+  data.deleted[id] = { kind: "body", date, deletedAt: Date.now() };
+  markEntryDirty(data, "body", id);
   saveData(data);
 }
 
+/* Measurements oldest first: [{ date, id, weightKg, waistCm, bodyFatPct }] */
+function getBodyEntries(data) {
+  return Object.entries(data.body || {})
+    .filter(([, list]) => list && list.length)
+    .map(([date, list]) => ({ date, ...list[0] }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
 function sumDiet(entries) {
-  return entries.reduce(
-    (acc, e) => ({
-      calories: acc.calories + e.calories,
-      protein: acc.protein + e.protein,
-      carbs: acc.carbs + e.carbs,
-      fat: acc.fat + e.fat
-    }),
-    { calories: 0, protein: 0, carbs: 0, fat: 0 }
-  );
+  const totals = Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, 0]));
+  for (const e of entries) {
+    for (const field of NUTRIENT_FIELDS) totals[field] += Number(e[field]) || 0;
+  }
+  return totals;
 }
 
 function sumActivityMinutes(entries) {
   return entries.reduce((acc, e) => acc + (e.duration || 0), 0);
 }
 
-function sumActivityCaloriesBurned(entries) {
+/* Stored burn where the entry has one, otherwise the same profile-based estimate new entries get */
+function sumActivityCaloriesBurned(entries, profile) {
   return entries.reduce((acc, e) => {
     if (e.caloriesBurned != null) return acc + e.caloriesBurned;
-    return acc + computeCaloriesBurned(e.type, e.intensity, e.duration || 0);
+    return acc + computeCaloriesBurned(e.type, e.intensity, e.duration || 0, profile);
   }, 0);
 }
 
@@ -176,6 +556,11 @@ function formatDate(dateStr) {
   });
 }
 
+function formatShortDate(dateStr) {
+  const [y, m, day] = dateStr.split("-").map(Number);
+  return new Date(y, m - 1, day).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+}
+
 const activityTypeLabels = {
   walk: "Walking",
   run: "Running",
@@ -191,6 +576,62 @@ const intensityLabels = {
   vigorous: "Vigorous"
 };
 
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+const mealLabels = {
+  breakfast: "Breakfast",
+  lunch: "Lunch",
+  dinner: "Dinner",
+  snack: "Snack"
+};
+
+/* Local time of day as "HH:MM" */
+function getCurrentTime() {
+  const d = new Date();
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+function isTimeString(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value || ""));
+}
+
+/* Default meal for a time of day when the user didn't pick one */
+function guessMealForTime(time) {
+  const [h, m] = (isTimeString(time) ? time : getCurrentTime()).split(":").map(Number);
+  const minutes = h * 60 + m;
+  if (minutes >= 4 * 60 && minutes < 11 * 60) return "breakfast";
+  if (minutes >= 11 * 60 && minutes < 15 * 60) return "lunch";
+  if (minutes >= 17 * 60 && minutes < 22 * 60) return "dinner";
+  return "snack";
+}
+
+function getEntryMeal(e) {
+  return MEAL_SLOTS.includes(e.meal) ? e.meal : null;
+}
+
+/* Entries grouped by meal slot (entries logged before meals existed go last, under "Other"), each sorted by time */
+function groupDietByMeal(entries) {
+  const byTime = (a, b) => (a.eatenAt || "").localeCompare(b.eatenAt || "") || Number(a.id) - Number(b.id);
+  const groups = MEAL_SLOTS.map((meal) => ({ meal, label: mealLabels[meal], entries: [] }));
+  const other = { meal: null, label: "Other", entries: [] };
+  for (const e of entries) {
+    const meal = getEntryMeal(e);
+    (meal ? groups[MEAL_SLOTS.indexOf(meal)] : other).entries.push(e);
+  }
+  return [...groups, other].map((g) => ({ ...g, entries: g.entries.sort(byTime), totals: sumDiet(g.entries) }));
+}
+
+/* Diet entries as sent to /api/chat and /api/suggestions; the id lets Calixo edit an entry */
+function dietContextEntries(entries) {
+  return entries.map((e) => ({
+    id: e.id,
+    name: e.name,
+    ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, Number(e[field]) || 0])),
+    meal: getEntryMeal(e),
+    eatenAt: e.eatenAt || null
+  }));
+}
+
 /* MET (Metabolic Equivalent) values by activity type and intensity – used for calorie burn estimate.
    Formula: calories ≈ MET × weight_kg × (duration_min / 60). Default weight 70 kg. */
 const MET_BY_ACTIVITY = {
@@ -218,9 +659,14 @@ function getMET(type, intensity) {
   return byType[intensity] ?? byType.moderate;
 }
 
-function computeCaloriesBurned(type, intensity, durationMinutes, weightKg = DEFAULT_WEIGHT_KG) {
+/* With a complete body profile, METs are multiples of the user's own resting rate (BMR / 24 per hour);
+   with only a weight, the standard 1 kcal/kg/h per MET; otherwise DEFAULT_WEIGHT_KG. */
+function computeCaloriesBurned(type, intensity, durationMinutes, profile = null) {
   const met = getMET(type, intensity);
   const hours = durationMinutes / 60;
+  const bmr = computeBMR(profile);
+  if (bmr) return Math.round(met * (bmr / 24) * hours);
+  const weightKg = normalizeProfile(profile)?.weightKg || DEFAULT_WEIGHT_KG;
   return Math.round(met * weightKg * hours);
 }
 
@@ -306,12 +752,12 @@ function getSuggestions(data) {
 }
 
 function renderDashboard(data) {
-  const today = getToday();
+  const date = getSelectedDate();
   const goals = getGoals(data);
-  document.getElementById("dashboard-date").textContent = formatDate(today);
+  document.getElementById("dashboard-date").textContent = formatDate(date);
 
-  const dietEntries = getDietToday(data);
-  const activityEntries = getActivityToday(data);
+  const dietEntries = getDietForDate(data, date);
+  const activityEntries = getActivityForDate(data, date);
   const totals = sumDiet(dietEntries);
   const activeMinutes = sumActivityMinutes(activityEntries);
 
@@ -319,7 +765,7 @@ function renderDashboard(data) {
   document.getElementById("dash-calories-target").textContent = `/ ${goals.calorieGoal}`;
   document.getElementById("dash-protein").textContent = totals.protein;
   document.getElementById("dash-protein-target").textContent = `/ ${goals.proteinGoal}`;
-  const totalCaloriesBurned = sumActivityCaloriesBurned(activityEntries);
+  const totalCaloriesBurned = sumActivityCaloriesBurned(activityEntries, data.profile);
   document.getElementById("dash-activity").textContent = activeMinutes;
   document.getElementById("dash-activity-target").textContent = `/ ${goals.activityGoal}`;
   document.getElementById("dash-sessions").textContent = activityEntries.length;
@@ -336,26 +782,57 @@ function renderDashboard(data) {
   document.getElementById("protein-bar").style.width = proteinPct + "%";
   document.getElementById("activity-bar").style.width = activityPct + "%";
 
+  const nutrientBarsEl = document.getElementById("nutrient-bars");
+  if (nutrientBarsEl) {
+    nutrientBarsEl.innerHTML = NUTRIENT_GOALS.map(({ key, field, label, unit, limit }) => {
+      const goal = goals[key];
+      const pct = Math.min(100, goal ? (totals[field] / goal) * 100 : 0);
+      const over = limit && totals[field] > goal;
+      return `<div class="goal-bar-item${over ? " goal-bar-over" : ""}">
+          <span class="goal-bar-label">${label}</span>
+          <div class="bar-wrap"><div class="bar nutrient-bar nutrient-bar-${field}" style="width: ${pct}%"></div></div>
+          <span class="goal-bar-value">${Math.round(totals[field])} / ${limit ? "max " : ""}${goal} ${unit}</span>
+        </div>`;
+    }).join("");
+  }
+
   const recent = [
     ...dietEntries.map((e) => ({
       id: e.id,
-      text: `${e.name} — ${e.calories} cal`
+      text: `${escapeHtml(e.name)} — ${e.calories} cal`
     })),
     ...activityEntries.map((e) => {
-      const burned = e.caloriesBurned != null ? e.caloriesBurned : computeCaloriesBurned(e.type, e.intensity, e.duration || 0);
+      const burned = e.caloriesBurned != null ? e.caloriesBurned : computeCaloriesBurned(e.type, e.intensity, e.duration || 0, data.profile);
       return {
         id: e.id,
-        text: `${activityTypeLabels[e.type] || e.type} — ${e.duration} min · ${burned} cal burned`
+        text: `${activityTypeLabels[e.type] || escapeHtml(e.type)} — ${e.duration} min · ${burned} cal burned`
       };
     })
   ]
     .sort((a, b) => Number(b.id) - Number(a.id))
     .slice(0, 5);
 
+  const mealSummaryEl = document.getElementById("meal-summary");
+  if (mealSummaryEl) {
+    mealSummaryEl.innerHTML = groupDietByMeal(dietEntries)
+      .filter((g) => g.meal || g.entries.length > 0)
+      .map((g) => {
+        if (g.entries.length === 0) return `<li class="meal-empty"><strong>${g.label}</strong>Nothing logged</li>`;
+        const firstTime = g.entries.find((e) => e.eatenAt)?.eatenAt;
+        return `<li>
+            <strong>${g.label}${firstTime ? ` · ${firstTime}` : ""}</strong>
+            <span class="meal-calories">${g.totals.calories} cal</span> · ${g.entries.map((e) => escapeHtml(e.name)).join(", ")}
+          </li>`;
+      })
+      .join("");
+  }
+
   const recentEl = document.getElementById("recent-list");
   const welcomeEl = document.getElementById("dashboard-welcome");
   if (welcomeEl) welcomeEl.classList.toggle("hidden", recent.length > 0);
-  if (recent.length === 0) {
+  if (recent.length === 0 && date !== getToday()) {
+    recentEl.innerHTML = '<li class="empty-state">Nothing was logged on this day. Use the <strong>Food</strong> or <strong>Activity</strong> tab to back-fill it.</li>';
+  } else if (recent.length === 0) {
     recentEl.innerHTML = '<li class="empty-state">Your recent food and activity will show here. Try the <strong>Food</strong> or <strong>Talk</strong> tab to get started.</li>';
   } else {
     recentEl.innerHTML = recent
@@ -364,29 +841,123 @@ function renderDashboard(data) {
   }
 }
 
+/* Entry being edited inline in the Food or Activity log: { kind: "diet" | "activity", id } */
+let editingEntry = null;
+
+function isEditingEntry(kind, id) {
+  return !!editingEntry && editingEntry.kind === kind && editingEntry.id === id;
+}
+
+function setEditingEntry(kind, id) {
+  editingEntry = kind ? { kind, id } : null;
+  if (kind === "activity") renderActivityEntries(loadData());
+  else renderDietEntries(loadData());
+}
+
+function renderDietEditForm(e, date) {
+  const macro = (field, label) =>
+    `<label><span>${label}</span><input type="number" name="${field}" min="0" step="any" value="${e[field] ?? 0}" required></label>`;
+  const meal = getEntryMeal(e) || guessMealForTime(e.eatenAt);
+  const mealOptions = MEAL_SLOTS.map((m) => `<option value="${m}"${m === meal ? " selected" : ""}>${mealLabels[m]}</option>`).join("");
+  return `<li class="entry-editing">
+      <form class="form entry-edit-form" data-date="${date}" data-id="${e.id}">
+        <div class="entry-edit-fields">
+          <label class="entry-edit-wide"><span>Name</span><input type="text" name="name" value="${escapeHtml(e.name)}" maxlength="80" required></label>
+          <label class="entry-edit-wide"><span>Portion</span><input type="text" name="portion" value="${escapeHtml(e.portion || "")}" maxlength="60" placeholder="e.g. 150 g, 2 eggs, 1 cup"></label>
+          <label><span>Meal</span><select name="meal">${mealOptions}</select></label>
+          <label><span>Eaten at</span><input type="time" name="eatenAt" value="${e.eatenAt || ""}"></label>
+          ${macro("calories", "Calories")}
+          ${macro("protein", "Protein (g)")}
+          ${macro("carbs", "Carbs (g)")}
+          ${macro("fat", "Fat (g)")}
+          ${macro("fiber", "Fiber (g)")}
+          ${macro("sugar", "Sugar (g)")}
+          ${macro("sodium", "Sodium (mg)")}
+        </div>
+        <p class="entry-edit-status"></p>
+        <div class="entry-edit-actions">
+          <button type="submit" class="btn btn-primary btn-sm">Save</button>
+          <button type="button" class="btn btn-secondary btn-sm entry-edit-lookup" title="Look up nutrition again for this name and portion">Re-check nutrition</button>
+          <button type="button" class="btn btn-secondary btn-sm entry-edit-cancel">Cancel</button>
+        </div>
+      </form>
+    </li>`;
+}
+
+function bindDietEditForm(form) {
+  const statusEl = form.querySelector(".entry-edit-status");
+  form.querySelector(".entry-edit-cancel").addEventListener("click", () => setEditingEntry(null));
+  form.querySelector(".entry-edit-lookup").addEventListener("click", async (ev) => {
+    const btn = ev.currentTarget;
+    const name = form.elements.name.value.trim();
+    const portion = form.elements.portion.value.trim();
+    if (!name) {
+      statusEl.textContent = "Enter a food name.";
+      return;
+    }
+    btn.disabled = true;
+    statusEl.textContent = "Looking up nutrition…";
+    try {
+      const data = await lookupNutrition(getBodyForFoodItem({ name, quantity: portion }));
+      for (const field of NUTRIENT_FIELDS) form.elements[field].value = data[field] ?? 0;
+      const sourceLabel = NUTRITION_SOURCE_LABELS[data.source];
+      statusEl.textContent = `Updated from ${sourceLabel || "lookup"}. Save to keep it.`;
+    } catch (err) {
+      statusEl.textContent = "Error: " + (err.message || "Could not look up nutrition. Is the server running?");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+  form.addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const d = loadData();
+    updateDietEntry(d, form.dataset.date, form.dataset.id, {
+      name: form.elements.name.value,
+      portion: form.elements.portion.value,
+      meal: form.elements.meal.value,
+      eatenAt: form.elements.eatenAt.value,
+      ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, form.elements[field].value]))
+    });
+    editingEntry = null;
+    refreshAll();
+  });
+}
+
 function renderDietEntries(data) {
-  const entries = getDietToday(data);
+  const date = getSelectedDate();
+  const entries = getDietForDate(data, date);
   const el = document.getElementById("diet-entries");
-  const today = getToday();
+  const titleEl = document.getElementById("diet-entries-title");
+  if (titleEl) titleEl.textContent = date === getToday() ? "Today’s food log" : `Food log · ${formatShortDate(date)}`;
 
   if (entries.length === 0) {
-    el.innerHTML = '<li class="empty-state">Add your first meal—use the form above or say it in the <strong>Talk</strong> tab.</li>';
+    el.innerHTML = date === getToday()
+      ? '<li class="empty-state">Add your first meal—use the form above or say it in the <strong>Talk</strong> tab.</li>'
+      : '<li class="empty-state">No food logged on this day. Use the form above to back-fill it.</li>';
     return;
   }
 
-  el.innerHTML = entries
-    .map(
-      (e) =>
-        `<li>
+  const renderEntry = (e) =>
+    isEditingEntry("diet", e.id)
+      ? renderDietEditForm(e, date)
+      : `<li>
           <div>
-            <strong>${e.name}</strong>
-            <span class="entry-meta">${e.calories} cal · P ${e.protein}g C ${e.carbs}g F ${e.fat}g</span>
+            <strong>${escapeHtml(e.name)}</strong>
+            <span class="entry-meta">${e.eatenAt ? `<span class="entry-time">${escapeHtml(e.eatenAt)}</span> · ` : ""}${e.portion ? `${escapeHtml(e.portion)} · ` : ""}${e.calories} cal · P ${e.protein}g C ${e.carbs}g F ${e.fat}g${e.fiber || e.sugar || e.sodium ? ` · Fiber ${e.fiber || 0}g Sugar ${e.sugar || 0}g Sodium ${e.sodium || 0}mg` : ""}</span>
           </div>
-          <button type="button" class="entry-delete" data-date="${today}" data-id="${e.id}" aria-label="Delete">×</button>
-        </li>`
-    )
+          <div class="entry-actions">
+            <button type="button" class="entry-edit" data-id="${e.id}" aria-label="Edit">✎</button>
+            <button type="button" class="entry-delete" data-date="${date}" data-id="${e.id}" aria-label="Delete">×</button>
+          </div>
+        </li>`;
+  el.innerHTML = groupDietByMeal(entries)
+    .filter((g) => g.entries.length > 0)
+    .map((g) => `<li class="entries-group-title">${g.label} · ${g.totals.calories} cal</li>${g.entries.map(renderEntry).join("")}`)
     .join("");
 
+  el.querySelectorAll(".entry-edit").forEach((btn) => {
+    btn.addEventListener("click", () => setEditingEntry("diet", btn.dataset.id));
+  });
   el.querySelectorAll(".entry-delete").forEach((btn) => {
     btn.addEventListener("click", () => {
       const d = loadData();
@@ -395,35 +966,91 @@ function renderDietEntries(data) {
       renderDashboard(loadData());
     });
   });
+  el.querySelectorAll(".entry-edit-form").forEach(bindDietEditForm);
+}
+
+function renderActivityEditForm(e, date) {
+  const options = (labels, selected) =>
+    Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`)
+      .join("");
+  return `<li class="entry-editing">
+      <form class="form entry-edit-form" data-date="${date}" data-id="${e.id}">
+        <div class="entry-edit-fields">
+          <label><span>Activity</span><select name="type">${options(activityTypeLabels, e.type)}</select></label>
+          <label><span>Duration (minutes)</span><input type="number" name="duration" min="1" value="${e.duration || ""}" required></label>
+          <label><span>Intensity</span><select name="intensity">${options(intensityLabels, e.intensity)}</select></label>
+        </div>
+        <p class="entry-edit-status"></p>
+        <div class="entry-edit-actions">
+          <button type="submit" class="btn btn-primary btn-sm">Save</button>
+          <button type="button" class="btn btn-secondary btn-sm entry-edit-cancel">Cancel</button>
+        </div>
+      </form>
+    </li>`;
+}
+
+function bindActivityEditForm(form) {
+  const statusEl = form.querySelector(".entry-edit-status");
+  const preview = () => {
+    const burned = computeCaloriesBurned(form.elements.type.value, form.elements.intensity.value, Number(form.elements.duration.value) || 0, loadData().profile);
+    statusEl.textContent = `~${burned} cal burned`;
+  };
+  ["type", "intensity", "duration"].forEach((name) => form.elements[name].addEventListener("input", preview));
+  preview();
+  form.querySelector(".entry-edit-cancel").addEventListener("click", () => setEditingEntry(null));
+  form.addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const d = loadData();
+    updateActivityEntry(d, form.dataset.date, form.dataset.id, {
+      type: form.elements.type.value,
+      duration: form.elements.duration.value,
+      intensity: form.elements.intensity.value
+    });
+    editingEntry = null;
+    refreshAll();
+  });
 }
 
 function renderActivityEntries(data) {
-  const entries = getActivityToday(data);
+  const date = getSelectedDate();
+  const entries = getActivityForDate(data, date);
   const el = document.getElementById("activity-entries");
-  const today = getToday();
+  const titleEl = document.getElementById("activity-entries-title");
+  if (titleEl) titleEl.textContent = date === getToday() ? "Today’s activity log" : `Activity log · ${formatShortDate(date)}`;
 
   if (entries.length === 0) {
-    el.innerHTML = '<li class="empty-state">No activity logged today.</li>';
+    el.innerHTML = date === getToday()
+      ? '<li class="empty-state">No activity logged today.</li>'
+      : '<li class="empty-state">No activity logged on this day.</li>';
     return;
   }
 
   el.innerHTML = entries
     .map((e) => {
-      const burned = e.caloriesBurned != null ? e.caloriesBurned : computeCaloriesBurned(e.type, e.intensity, e.duration || 0);
+      const burned = e.caloriesBurned != null ? e.caloriesBurned : computeCaloriesBurned(e.type, e.intensity, e.duration || 0, data.profile);
       const benefits = e.benefits && e.benefits.length ? e.benefits : getBenefitsForActivity(e.type);
-      const chips = benefits.map((b) => `<span class="benefit-chip">${b}</span>`).join("");
+      const chips = benefits.map((b) => `<span class="benefit-chip">${escapeHtml(b)}</span>`).join("");
+      if (isEditingEntry("activity", e.id)) return renderActivityEditForm(e, date);
       return `<li>
           <div>
-            <strong>${activityTypeLabels[e.type] || e.type}</strong>
-            <span class="entry-meta">${e.duration} min · ${intensityLabels[e.intensity] || e.intensity}</span>
+            <strong>${activityTypeLabels[e.type] || escapeHtml(e.type)}</strong>
+            <span class="entry-meta">${e.duration} min · ${intensityLabels[e.intensity] || escapeHtml(e.intensity)}</span>
             <span class="calories-burned">~${burned} cal burned</span>
             <div class="benefit-chips">${chips}</div>
           </div>
-          <button type="button" class="entry-delete" data-date="${today}" data-id="${e.id}" aria-label="Delete">×</button>
+          <div class="entry-actions">
+            <button type="button" class="entry-edit" data-id="${e.id}" aria-label="Edit">✎</button>
+            <button type="button" class="entry-delete" data-date="${date}" data-id="${e.id}" aria-label="Delete">×</button>
+          </div>
         </li>`;
     })
     .join("");
 
+  el.querySelectorAll(".entry-edit").forEach((btn) => {
+    btn.addEventListener("click", () => setEditingEntry("activity", btn.dataset.id));
+  });
+
   el.querySelectorAll(".entry-delete").forEach((btn) => {
     btn.addEventListener("click", () => {
       const d = loadData();
@@ -432,6 +1059,7 @@ function renderActivityEntries(data) {
       renderDashboard(loadData());
     });
   });
+  el.querySelectorAll(".entry-edit-form").forEach(bindActivityEditForm);
 }
 
 function renderSuggestionsInto(listEl, suggestions) {
@@ -441,7 +1069,7 @@ function renderSuggestionsInto(listEl, suggestions) {
     return;
   }
   listEl.innerHTML = suggestions
-    .map((s) => `<li class="${s.type}">${s.text}</li>`)
+    .map((s) => `<li class="${escapeHtml(s.type)}">${escapeHtml(s.text)}</li>`)
     .join("");
 }
 
@@ -450,13 +1078,16 @@ function fetchSuggestions(data) {
   const activityEntries = getActivityToday(data);
   const goals = getGoals(data);
   const payload = {
-    dietEntries: dietEntries.map((e) => ({ name: e.name, calories: e.calories, protein: e.protein })),
+    dietEntries: dietContextEntries(dietEntries),
     activityEntries: activityEntries.map((e) => ({ type: e.type, duration: e.duration, intensity: e.intensity })),
     goals: { calorieGoal: goals.calorieGoal, proteinGoal: goals.proteinGoal, activityGoal: goals.activityGoal },
-    goalStory: goals.goalStory || ""
+    goalStory: goals.goalStory || "",
+    localTime: getCurrentTime(),
+    today: getToday()
   };
   return fetch(`${API_BASE}/api/suggestions`, {
     method: "POST",
+    credentials: "include",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload)
   })
@@ -525,6 +1156,7 @@ function initTabs() {
       }
       if (tabId === "goals") ensureGoalsChatSeeded();
       if (tabId === "talk-calixo") ensureTalkCalixoSeeded();
+      if (tabId === "reports") loadReports();
       refreshAll();
     });
   });
@@ -580,38 +1212,120 @@ document.getElementById("diet-form").addEventListener("submit", async (e) => {
     return;
   }
 
+  const body = { foodName: name };
+  if (useGrams) body.grams = grams;
+  else body.quantity = quantity;
+  const mealSelect = document.getElementById("food-meal");
+  const timeInput = document.getElementById("food-time");
+  const eatenAt = isTimeString(timeInput?.value) ? timeInput.value : getCurrentTime();
+  const timing = { meal: mealSelect?.value || guessMealForTime(eatenAt), eatenAt };
+  const clearForm = () => {
+    nameInput.value = "";
+    gramsInput.value = "";
+    foodQuantityInput.value = "";
+    if (timeInput) timeInput.value = "";
+  };
+
+  if (isOffline()) {
+    queuePendingNutrition(body, getSelectedDate(), timing);
+    clearForm();
+    statusEl.textContent = `You’re offline. ${name} is saved as pending and will be logged when you reconnect.`;
+    return;
+  }
+
   statusEl.textContent = "Looking up nutrition…";
   submitBtn.disabled = true;
   try {
-    const body = { foodName: name };
-    if (useGrams) body.grams = grams;
-    else body.quantity = quantity;
+    const data = await lookupNutrition(body);
+    const entry = { ...nutritionToDietEntry(data, name, portionFromBody(body)), ...timing };
+    const appData = loadData();
+    addDietEntry(appData, entry, getSelectedDate());
+    clearForm();
+    const sourceLabel = NUTRITION_SOURCE_LABELS[data.source];
+    statusEl.textContent = `Added to ${mealLabels[entry.meal].toLowerCase()}: ${entry.name} — ${data.calories} cal, ${data.protein}g protein${sourceLabel ? ` (${sourceLabel})` : ""}.`;
+    refreshAll();
+  } catch (err) {
+    if (isNetworkError(err)) {
+      queuePendingNutrition(body, getSelectedDate(), timing);
+      clearForm();
+      statusEl.textContent = `Can’t reach the server. ${name} is saved as pending and will be logged when you reconnect.`;
+    } else {
+      statusEl.textContent = "Error: " + (err.message || "Could not look up nutrition. Is the server running?");
+    }
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+/* POST /api/food-nutrition; throws a TypeError when the network or server is unreachable */
+async function lookupNutrition(body) {
+  const res = await fetch(`${API_BASE}/api/food-nutrition`, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Lookup failed.");
+  return data;
+}
+
+/* Portion as the user described it, from a /api/food-nutrition request body */
+function portionFromBody(body) {
+  return body.grams ? `${body.grams} g` : body.quantity || "";
+}
+
+function nutritionToDietEntry(data, fallbackName, portion = "") {
+  return {
+    name: data.name || fallbackName,
+    portion,
+    ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, String(data[field] ?? 0)]))
+  };
+}
 
-    const res = await fetch(`${API_BASE}/api/food-nutrition`, {
+const NUTRITION_SOURCE_LABELS = {
+  custom: "your custom food",
+  database: "food database",
+  cache: "saved lookup",
+  ai: "AI estimate"
+};
+
+document.getElementById("custom-food-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("custom-food-status");
+  const nameInput = document.getElementById("custom-food-name");
+  const servingGrams = Number(document.getElementById("custom-food-serving").value);
+  const body = {
+    name: nameInput.value.trim(),
+    per100g: {
+      calories: Number(document.getElementById("custom-food-calories").value),
+      protein: Number(document.getElementById("custom-food-protein").value),
+      carbs: Number(document.getElementById("custom-food-carbs").value),
+      fat: Number(document.getElementById("custom-food-fat").value),
+      fiber: document.getElementById("custom-food-fiber").value,
+      sugar: document.getElementById("custom-food-sugar").value,
+      sodium: document.getElementById("custom-food-sodium").value
+    },
+    servings: servingGrams > 0 ? { serving: servingGrams } : {}
+  };
+  if (!body.name) {
+    statusEl.textContent = "Enter a food name.";
+    return;
+  }
+  statusEl.textContent = "Saving…";
+  try {
+    const res = await fetch(`${API_BASE}/api/foods`, {
       method: "POST",
+      credentials: "include",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(body)
     });
     const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data.error || "Lookup failed.");
-    const entry = {
-      name: data.name || name,
-      calories: String(data.calories ?? 0),
-      protein: String(data.protein ?? 0),
-      carbs: String(data.carbs ?? 0),
-      fat: String(data.fat ?? 0)
-    };
-    const appData = loadData();
-    addDietEntry(appData, entry);
-    nameInput.value = "";
-    gramsInput.value = "";
-    foodQuantityInput.value = "";
-    statusEl.textContent = `Added: ${entry.name} — ${data.calories} cal, ${data.protein}g protein.`;
-    refreshAll();
+    if (!res.ok) throw new Error(data.error || "Could not save food.");
+    e.target.reset();
+    statusEl.textContent = `Saved "${data.food.name}". Look it up by name above.`;
   } catch (err) {
-    statusEl.textContent = "Error: " + (err.message || "Could not look up nutrition. Is the server running?");
-  } finally {
-    submitBtn.disabled = false;
+    statusEl.textContent = "Error: " + (err.message || "Could not save food.");
   }
 });
 
@@ -622,7 +1336,7 @@ document.getElementById("activity-form").addEventListener("submit", (e) => {
     type: document.getElementById("activity-type").value,
     duration: document.getElementById("activity-duration").value,
     intensity: document.getElementById("activity-intensity").value
-  });
+  }, getSelectedDate());
   document.getElementById("activity-duration").value = "";
   document.getElementById("activity-duration").focus();
   refreshAll();
@@ -867,163 +1581,1411 @@ document.getElementById("check-activity-mic").addEventListener("click", async fu
     return;
   }
 
-  voiceRecording.mode = "check-activity";
-  labelEl.textContent = "Stop";
-  statusEl.textContent = "Listening… Say the activity (e.g. 30 min walk). Click again when done.";
-  micBtn.disabled = true;
-  startVoiceRecording()
-    .then((blobOrNull) => {
-      if (blobOrNull) return;
-      micBtn.disabled = false;
-    })
-    .catch((err) => {
-      statusEl.textContent = "Error: " + (err.message || "Microphone access denied.");
-      labelEl.textContent = "Speak";
-      voiceRecording.active = false;
-      voiceRecording.mode = null;
-      micBtn.disabled = false;
-    });
-});
+  voiceRecording.mode = "check-activity";
+  labelEl.textContent = "Stop";
+  statusEl.textContent = "Listening… Say the activity (e.g. 30 min walk). Click again when done.";
+  micBtn.disabled = true;
+  startVoiceRecording()
+    .then((blobOrNull) => {
+      if (blobOrNull) return;
+      micBtn.disabled = false;
+    })
+    .catch((err) => {
+      statusEl.textContent = "Error: " + (err.message || "Microphone access denied.");
+      labelEl.textContent = "Speak";
+      voiceRecording.active = false;
+      voiceRecording.mode = null;
+      micBtn.disabled = false;
+    });
+});
+
+document.getElementById("refresh-suggestions").addEventListener("click", () => {
+  refreshAll();
+});
+
+/* Reports tab: daily recaps and weekly reviews kept by the server (MongoDB only) */
+let selectedReportId = null;
+
+function reportsUnavailable() {
+  const listEl = document.getElementById("reports-list");
+  if (listEl) listEl.innerHTML = '<li class="empty-state">Reports are kept on the server. Set MONGODB_URI in .env to turn them on.</li>';
+  document.getElementById("report-viewer")?.classList.add("hidden");
+}
+
+function describeDeliveries(deliveries) {
+  return (deliveries || [])
+    .map((d) => `${d.channel === "email" ? "Emailed" : "Webhook"}${d.ok ? "" : " failed"}`)
+    .join(" · ");
+}
+
+async function loadReports() {
+  const listEl = document.getElementById("reports-list");
+  if (!listEl) return;
+  try {
+    const res = await fetch(`${API_BASE}/api/reports`, { credentials: "include" });
+    if (res.status === 503) return reportsUnavailable();
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || "Could not load reports.");
+    listEl.innerHTML = data.reports.length
+      ? data.reports
+          .map((r) => {
+            const meta = [r.kind === "weekly" ? "Weekly review" : "Daily recap", describeDeliveries(r.deliveries)].filter(Boolean).join(" · ");
+            return `<li><button type="button" class="report-item${r.id === selectedReportId ? " active" : ""}" data-id="${r.id}">${escapeHtml(r.title)}<span class="report-item-meta">${escapeHtml(meta)}</span></button></li>`;
+          })
+          .join("")
+      : '<li class="empty-state">No reports yet. Recap today or review this week to create one.</li>';
+    listEl.querySelectorAll(".report-item").forEach((btn) => btn.addEventListener("click", () => showReport(btn.dataset.id)));
+    if (!selectedReportId && data.reports.length) showReport(data.reports[0].id);
+  } catch (err) {
+    listEl.innerHTML = `<li class="empty-state">${escapeHtml(err.message || "Could not load reports.")}</li>`;
+  }
+  loadReportSettings();
+}
+
+async function showReport(id) {
+  const viewer = document.getElementById("report-viewer");
+  const statusEl = document.getElementById("reports-status");
+  try {
+    const res = await fetch(`${API_BASE}/api/reports/${encodeURIComponent(id)}`, { credentials: "include" });
+    const report = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(report.error || "Could not open the report.");
+    selectedReportId = id;
+    document.querySelectorAll(".report-item").forEach((btn) => btn.classList.toggle("active", btn.dataset.id === id));
+    document.getElementById("report-viewer-title").textContent = report.title;
+    document.getElementById("report-frame").srcdoc = report.html;
+    document.getElementById("report-download-md").href = `${API_BASE}/api/reports/${encodeURIComponent(id)}?format=md`;
+    document.getElementById("report-download-html").href = `${API_BASE}/api/reports/${encodeURIComponent(id)}?format=html`;
+    viewer.classList.remove("hidden");
+  } catch (err) {
+    if (statusEl) statusEl.textContent = "Error: " + err.message;
+  }
+}
+
+async function createReport(kind, btn) {
+  const statusEl = document.getElementById("reports-status");
+  btn.disabled = true;
+  if (statusEl) statusEl.textContent = kind === "weekly" ? "Reviewing your week…" : "Recapping your day…";
+  try {
+    const res = await fetch(`${API_BASE}/api/reports`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ kind, date: getToday() })
+    });
+    const report = await res.json().catch(() => ({}));
+    if (res.status === 503) return reportsUnavailable();
+    if (!res.ok) throw new Error(report.error || "Could not create the report.");
+    if (statusEl) statusEl.textContent = "";
+    selectedReportId = report.id;
+    await loadReports();
+    showReport(report.id);
+  } catch (err) {
+    if (statusEl) statusEl.textContent = "Error: " + err.message;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function deleteSelectedReport() {
+  if (!selectedReportId || !confirm("Delete this report?")) return;
+  const res = await fetch(`${API_BASE}/api/reports/${encodeURIComponent(selectedReportId)}`, { method: "DELETE", credentials: "include" }).catch(() => null);
+  if (!res || !res.ok) {
+    document.getElementById("reports-status").textContent = "Error: Could not delete the report.";
+    return;
+  }
+  selectedReportId = null;
+  document.getElementById("report-viewer").classList.add("hidden");
+  loadReports();
+}
+
+async function loadReportSettings() {
+  const form = document.getElementById("report-settings-form");
+  if (!form || form.contains(document.activeElement)) return;
+  try {
+    const res = await fetch(`${API_BASE}/api/reports/settings`, { credentials: "include" });
+    if (!res.ok) return;
+    const settings = await res.json();
+    document.getElementById("report-daily").checked = settings.daily;
+    document.getElementById("report-weekly").checked = settings.weekly;
+    document.getElementById("report-hour").value = settings.hour;
+    renderReportDelivery(settings);
+  } catch {}
+}
+
+/* Email and webhook delivery are for signed-in accounts; an email address only receives reports once confirmed */
+function renderReportDelivery(settings) {
+  const emailEl = document.getElementById("report-email");
+  const webhookEl = document.getElementById("report-webhook");
+  emailEl.value = settings.pendingEmail || settings.email;
+  webhookEl.value = settings.webhookUrl;
+  emailEl.disabled = webhookEl.disabled = !settings.canDeliver;
+  emailEl.placeholder = !settings.canDeliver ? "Sign in to get reports by email" : settings.smtpConfigured ? "you@example.com" : "Email needs SMTP_HOST on the server";
+  webhookEl.placeholder = settings.canDeliver ? "https://…" : "Sign in to use a webhook";
+}
+
+document.getElementById("report-daily-btn")?.addEventListener("click", (e) => createReport("daily", e.currentTarget));
+document.getElementById("report-weekly-btn")?.addEventListener("click", (e) => createReport("weekly", e.currentTarget));
+document.getElementById("report-delete-btn")?.addEventListener("click", deleteSelectedReport);
+
+document.getElementById("report-settings-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("report-settings-status");
+  try {
+    const res = await fetch(`${API_BASE}/api/reports/settings`, {
+      method: "PUT",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        daily: document.getElementById("report-daily").checked,
+        weekly: document.getElementById("report-weekly").checked,
+        hour: Number(document.getElementById("report-hour").value),
+        email: document.getElementById("report-email").disabled ? "" : document.getElementById("report-email").value,
+        webhookUrl: document.getElementById("report-webhook").disabled ? "" : document.getElementById("report-webhook").value,
+        timezoneOffset: new Date().getTimezoneOffset()
+      })
+    });
+    const settings = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(settings.error || "Could not save the schedule.");
+    document.activeElement?.blur();
+    renderReportDelivery(settings);
+    statusEl.textContent = [
+      settings.daily || settings.weekly ? `Saved. Reports arrive at ${settings.hour}:00.` : "Saved. Scheduled reports are off.",
+      settings.pendingEmail ? `Open the link we sent to ${settings.pendingEmail} to start getting reports there.` : ""
+    ].filter(Boolean).join(" ");
+  } catch (err) {
+    statusEl.textContent = "Error: " + err.message;
+  }
+});
+
+function renderGoalsForm(data) {
+  const goals = getGoals(data);
+  const storyEl = document.getElementById("goal-story");
+  if (storyEl) storyEl.value = goals.goalStory || "";
+
+  const preview = document.getElementById("analyzed-goals-preview");
+  if (preview) {
+    if (data.goals != null) {
+      preview.classList.remove("hidden");
+      const pc = document.getElementById("preview-calories");
+      const pp = document.getElementById("preview-protein");
+      const pa = document.getElementById("preview-activity");
+      if (pc) pc.textContent = goals.calorieGoal;
+      if (pp) pp.textContent = goals.proteinGoal;
+      if (pa) pa.textContent = goals.activityGoal;
+    } else {
+      preview.classList.add("hidden");
+    }
+  }
+}
+
+const profileActivitySelect = document.getElementById("profile-activity-level");
+if (profileActivitySelect) {
+  profileActivitySelect.insertAdjacentHTML(
+    "beforeend",
+    Object.entries(ACTIVITY_LEVELS)
+      .map(([value, level]) => `<option value="${value}">${level.label}</option>`)
+      .join("")
+  );
+}
+
+function readProfileForm() {
+  return {
+    weightKg: document.getElementById("profile-weight").value,
+    heightCm: document.getElementById("profile-height").value,
+    age: document.getElementById("profile-age").value,
+    sex: document.getElementById("profile-sex").value,
+    activityLevel: document.getElementById("profile-activity-level").value
+  };
+}
+
+function renderProfileEstimate(data, profile) {
+  const el = document.getElementById("profile-estimate");
+  if (!el) return;
+  const bmr = computeBMR(profile);
+  if (!bmr) {
+    el.textContent = "Add weight, height and age to see your BMR and TDEE.";
+    return;
+  }
+  const tdee = computeTDEE(profile);
+  const goalNote = data.goals?.calorieGoal != null
+    ? `Your calorie goal is set to ${data.goals.calorieGoal}.`
+    : `Your default calorie goal is ${getDefaultCalorieGoal(profile)} until you or Calixo set one.`;
+  el.textContent = `BMR ≈ ${bmr} cal/day · TDEE ≈ ${tdee} cal/day. ${goalNote}`;
+}
+
+function readNutrientGoalsForm() {
+  const value = (id) => {
+    const raw = document.getElementById(id).value;
+    const n = Math.round(Number(raw));
+    return raw !== "" && Number.isFinite(n) && n >= 0 ? n : null;
+  };
+  return {
+    macroMode: document.getElementById("nutrient-macro-mode").value === "percent" ? "percent" : "grams",
+    carbsGoal: value("nutrient-carbs-goal"),
+    fatGoal: value("nutrient-fat-goal"),
+    carbsPct: value("nutrient-carbs-pct"),
+    fatPct: value("nutrient-fat-pct"),
+    fiberGoal: value("nutrient-fiber-goal"),
+    sugarGoal: value("nutrient-sugar-goal"),
+    sodiumGoal: value("nutrient-sodium-goal")
+  };
+}
+
+/* Show only the grams or percent inputs, and what the current entries work out to */
+function renderNutrientGoalsEstimate(data, values) {
+  const form = document.getElementById("nutrient-goals-form");
+  const estimateEl = document.getElementById("nutrient-goals-estimate");
+  if (!form || !estimateEl) return;
+  form.querySelectorAll(".macro-grams-field").forEach((el) => el.classList.toggle("hidden", values.macroMode !== "grams"));
+  form.querySelectorAll(".macro-percent-field").forEach((el) => el.classList.toggle("hidden", values.macroMode !== "percent"));
+  const goals = getGoals({ ...data, goals: { ...data.goals, ...values } });
+  const proteinPct = goals.calorieGoal ? Math.round((goals.proteinGoal * 4 * 100) / goals.calorieGoal) : 0;
+  const carbsPct = goals.calorieGoal ? Math.round((goals.carbsGoal * KCAL_PER_GRAM.carbs * 100) / goals.calorieGoal) : 0;
+  const fatPct = goals.calorieGoal ? Math.round((goals.fatGoal * KCAL_PER_GRAM.fat * 100) / goals.calorieGoal) : 0;
+  estimateEl.textContent =
+    `At ${goals.calorieGoal} cal: carbs ${goals.carbsGoal} g (${carbsPct}%), fat ${goals.fatGoal} g (${fatPct}%), protein ${goals.proteinGoal} g (${proteinPct}%).` +
+    (carbsPct + fatPct + proteinPct > 100 ? " These add up to more than 100% of your calories." : "");
+}
+
+function renderNutrientGoalsForm(data) {
+  const form = document.getElementById("nutrient-goals-form");
+  if (!form || form.contains(document.activeElement)) return;
+  const goals = getGoals(data);
+  document.getElementById("nutrient-macro-mode").value = goals.macroMode;
+  document.getElementById("nutrient-carbs-goal").value = goals.carbsGoal;
+  document.getElementById("nutrient-fat-goal").value = goals.fatGoal;
+  document.getElementById("nutrient-carbs-pct").value = goals.carbsPct;
+  document.getElementById("nutrient-fat-pct").value = goals.fatPct;
+  document.getElementById("nutrient-fiber-goal").value = goals.fiberGoal;
+  document.getElementById("nutrient-sugar-goal").value = goals.sugarGoal;
+  document.getElementById("nutrient-sodium-goal").value = goals.sodiumGoal;
+  renderNutrientGoalsEstimate(data, readNutrientGoalsForm());
+}
+
+document.getElementById("nutrient-goals-form")?.addEventListener("input", () => {
+  renderNutrientGoalsEstimate(loadData(), readNutrientGoalsForm());
+});
+
+document.getElementById("nutrient-goals-form")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("nutrient-goals-status");
+  const data = loadData();
+  const values = readNutrientGoalsForm();
+  if (values.macroMode === "percent" && (values.carbsPct ?? 0) + (values.fatPct ?? 0) > 100) {
+    if (statusEl) statusEl.textContent = "Carbs and fat can't be more than 100% of your calories together.";
+    return;
+  }
+  const goals = { ...data.goals };
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null) delete goals[key];
+    else goals[key] = value;
+  }
+  saveGoals(data, goals, data.goalStory || "");
+  document.activeElement?.blur();
+  refreshAll();
+  if (statusEl) statusEl.textContent = "Nutrient targets saved.";
+});
+
+function renderProfileForm(data) {
+  const form = document.getElementById("profile-form");
+  if (!form || form.contains(document.activeElement)) return;
+  const p = data.profile || {};
+  document.getElementById("profile-weight").value = p.weightKg ?? "";
+  document.getElementById("profile-height").value = p.heightCm ?? "";
+  document.getElementById("profile-age").value = p.age ?? "";
+  document.getElementById("profile-sex").value = p.sex || "";
+  document.getElementById("profile-activity-level").value = p.activityLevel || "";
+  renderProfileEstimate(data, data.profile);
+}
+
+document.getElementById("profile-form")?.addEventListener("input", () => renderProfileEstimate(loadData(), readProfileForm()));
+
+document.getElementById("profile-form")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("profile-status");
+  const data = loadData();
+  saveProfile(data, readProfileForm());
+  document.activeElement?.blur();
+  refreshAll();
+  if (statusEl) {
+    statusEl.textContent = computeBMR(data.profile)
+      ? "Profile saved. New activities use your personalized calorie burn."
+      : "Profile saved.";
+  }
+});
+
+/* Export and import: the server's copy when MongoDB is on, otherwise this browser's data. Imported files are always read
+   by /api/import; without MongoDB it only validates them and the entries are merged here. */
+const DIET_CSV_COLUMNS = ["date", "id", "meal", "eatenAt", "name", "portion", ...NUTRIENT_FIELDS];
+const ACTIVITY_CSV_COLUMNS = ["date", "id", "type", "duration", "intensity", "caloriesBurned", "startedAt", "distanceKm", "source"];
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* Same backup and CSV layout as GET /api/export */
+function buildLocalExport(data, format) {
+  if (format === "json") {
+    const backup = {
+      app: "CalixOlympics",
+      format: "calixolympics-backup",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      diet: data.diet,
+      activity: data.activity,
+      body: data.body,
+      ...goalsPayload(data),
+      achievementsEarnedAt: {}
+    };
+    return new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+  }
+  const kind = format === "diet-csv" ? "diet" : "activity";
+  const rows = Object.keys(data[kind])
+    .sort()
+    .flatMap((date) => data[kind][date].map((entry) => ({ ...entry, date })));
+  return new Blob([toCsv(kind === "diet" ? DIET_CSV_COLUMNS : ACTIVITY_CSV_COLUMNS, rows)], { type: "text/csv" });
+}
+
+async function exportData(format) {
+  const statusEl = document.getElementById("data-transfer-status");
+  const names = { json: "backup", "diet-csv": "diet", "activity-csv": "activity" };
+  let blob;
+  if (mongodbAvailable !== false) {
+    try {
+      const res = await fetch(`${API_BASE}/api/export?format=${format}`, { credentials: "include" });
+      if (res.ok) blob = await res.blob();
+    } catch {}
+  }
+  downloadBlob(blob || buildLocalExport(loadData(), format), `calixolympics-${names[format]}-${getToday()}.${format === "json" ? "json" : "csv"}`);
+  if (statusEl) statusEl.textContent = "";
+}
+
+/* Kept in step with importFingerprint in server.js: an entry matching one of these is the same entry imported twice */
+function importFingerprint(kind, date, entry) {
+  if (kind === "diet") return `diet|${date}|${String(entry.name).toLowerCase()}|${entry.eatenAt || ""}|${Math.round(Number(entry.calories) || 0)}`;
+  if (kind === "activity") return `activity|${date}|${entry.type}|${entry.duration}|${entry.startedAt || ""}`;
+  return `body|${date}`;
+}
+
+/* Add validated entries from /api/import to this browser's data, skipping ones already here; goals only fill in missing ones */
+function mergeImportedEntries(data, entries, goals) {
+  const ids = new Set();
+  const prints = new Set();
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(data[kind])) {
+      for (const e of list) {
+        ids.add(String(e.id));
+        prints.add(importFingerprint(kind, date, e));
+      }
+    }
+  }
+  const added = { diet: 0, activity: 0, body: 0 };
+  let duplicates = 0;
+  const now = Date.now();
+  for (const { kind, date, entry } of entries) {
+    const print = importFingerprint(kind, date, entry);
+    if (ids.has(String(entry.id)) || prints.has(print)) {
+      duplicates++;
+      continue;
+    }
+    ids.add(String(entry.id));
+    prints.add(print);
+    if (!data[kind][date]) data[kind][date] = [];
+    data[kind][date].push({ ...entry, updatedAt: now });
+    delete data.deleted[entry.id];
+    markEntryDirty(data, kind, entry.id);
+    added[kind]++;
+  }
+  const goalsRestored = !!goals && !hasGoalsPayload(data);
+  if (goalsRestored) {
+    Object.assign(data, goals);
+    data.goalsUpdatedAt = now;
+    data.sync.dirty.goals = true;
+  }
+  saveData(data);
+  return { added, duplicates, goalsRestored };
+}
+
+function describeImportResult(result) {
+  const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  const lines = [
+    `Imported ${count(result.added.diet, "food entry", "food entries")}, ${count(result.added.activity, "activity", "activities")} and ${count(result.added.body, "body measurement", "body measurements")}.`
+  ];
+  if (result.duplicates) lines.push(`Skipped ${count(result.duplicates, "duplicate", "duplicates")}.`);
+  if (result.goalsRestored) lines.push("Goals and profile restored from the backup.");
+  if (result.skippedCount) {
+    lines.push(`${count(result.skippedCount, "entry", "entries")} couldn't be imported:`);
+    lines.push(...result.skipped.map((s) => `${s.item} – ${s.reason}`));
+    if (result.skippedCount > result.skipped.length) lines.push("…");
+  }
+  return lines.join("\n");
+}
+
+async function importDataFile(file) {
+  const statusEl = document.getElementById("data-transfer-status");
+  if (statusEl) statusEl.textContent = `Importing ${file.name}…`;
+  const form = new FormData();
+  form.append("file", file);
+  form.append("timezoneOffset", String(new Date().getTimezoneOffset()));
+  try {
+    const res = await fetch(`${API_BASE}/api/import`, { method: "POST", credentials: "include", body: form });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || "Import failed.");
+    const result = data.saved ? data : { ...data, ...mergeImportedEntries(loadData(), data.entries, data.goals) };
+    if (data.saved) syncFromServer();
+    refreshAll();
+    if (statusEl) statusEl.textContent = describeImportResult(result);
+  } catch (err) {
+    if (statusEl) statusEl.textContent = "Error: " + (err instanceof TypeError ? "Importing needs a connection to the server." : err.message);
+  }
+}
+
+document.querySelectorAll("[data-export]").forEach((btn) => btn.addEventListener("click", () => exportData(btn.dataset.export)));
+
+document.getElementById("data-import-input")?.addEventListener("change", (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (file) importDataFile(file);
+});
+
+document.getElementById("goals-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const storyEl = document.getElementById("goal-story");
+  const statusEl = document.getElementById("goals-status");
+  const submitBtn = document.getElementById("goals-submit-btn");
+  if (!storyEl || !statusEl || !submitBtn) return;
+  const story = storyEl.value.trim();
+
+  if (!story) {
+    statusEl.textContent = "Please tell us your fitness story.";
+    return;
+  }
+
+  statusEl.textContent = "AI is analyzing your story…";
+  submitBtn.disabled = true;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/analyze-goals`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ story, profile: loadData().profile })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || "Analysis failed.");
+
+    const appData = loadData();
+    saveGoals(appData, {
+      ...appData.goals,
+      calorieGoal: data.calorieGoal,
+      proteinGoal: data.proteinGoal,
+      activityGoal: data.activityGoal,
+      ...pickNutrientGoals(data)
+    }, story);
+
+    statusEl.textContent = "Goals updated successfully!";
+    refreshAll();
+  } catch (err) {
+    statusEl.textContent = "Error: " + err.message;
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+/* Trends: per-day totals over the last N days, charted against goals */
+let trendsRangeDays = 7;
+
+const TREND_CHARTS = [
+  { key: "calories", label: "Calories", unit: "cal", goalKey: "calorieGoal", color: "var(--ice)" },
+  { key: "protein", label: "Protein", unit: "g", goalKey: "proteinGoal", color: "var(--success)" },
+  { key: "carbs", label: "Carbs", unit: "g", goalKey: "carbsGoal", color: "var(--accent)" },
+  { key: "fat", label: "Fat", unit: "g", goalKey: "fatGoal", color: "var(--warning)" },
+  { key: "fiber", label: "Fiber", unit: "g", goalKey: "fiberGoal", color: "#86efac" },
+  { key: "sugar", label: "Sugar", unit: "g", goalKey: "sugarGoal", color: "#f9a8d4" },
+  { key: "sodium", label: "Sodium", unit: "mg", goalKey: "sodiumGoal", color: "#fcd34d" },
+  { key: "minutes", label: "Active minutes", unit: "min", goalKey: "activityGoal", color: "#a5b4fc" },
+  { key: "burned", label: "Calories burned", unit: "cal", goalKey: null, color: "#c4b5fd" }
+];
+
+function getTrendSeries(data, days) {
+  const today = getToday();
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = shiftDate(today, -i);
+    const dietEntries = getDietForDate(data, date);
+    const activityEntries = getActivityForDate(data, date);
+    const totals = sumDiet(dietEntries);
+    series.push({
+      date,
+      hasDiet: dietEntries.length > 0,
+      hasActivity: activityEntries.length > 0,
+      ...totals,
+      minutes: sumActivityMinutes(activityEntries),
+      burned: sumActivityCaloriesBurned(activityEntries, data.profile)
+    });
+  }
+  return series;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : 0;
+}
+
+/* Same goal-hit rules as the server achievements: calories within ±10%, protein and activity at or above goal */
+function getTrendSummary(series, goals) {
+  const dietDays = series.filter((d) => d.hasDiet);
+  const activityDays = series.filter((d) => d.hasActivity);
+  return {
+    loggedDays: series.filter((d) => d.hasDiet || d.hasActivity).length,
+    avgCalories: average(dietDays.map((d) => d.calories)),
+    avgProtein: average(dietDays.map((d) => d.protein)),
+    avgCarbs: average(dietDays.map((d) => d.carbs)),
+    avgFat: average(dietDays.map((d) => d.fat)),
+    avgMinutes: average(series.map((d) => d.minutes)),
+    avgBurned: average(series.map((d) => d.burned)),
+    calorieAdherence: percent(
+      dietDays.filter((d) => d.calories >= goals.calorieGoal * 0.9 && d.calories <= goals.calorieGoal * 1.1).length,
+      dietDays.length
+    ),
+    proteinAdherence: percent(dietDays.filter((d) => d.protein >= goals.proteinGoal).length, dietDays.length),
+    activityAdherence: percent(series.filter((d) => d.minutes >= goals.activityGoal).length, series.length),
+    activityDays: activityDays.length
+  };
+}
+
+function buildTrendChartSvg(series, key, goal, color) {
+  const width = 600;
+  const height = 160;
+  const pad = { top: 10, right: 8, bottom: 20, left: 36 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+  const max = Math.max(1, goal || 0, ...series.map((d) => d[key])) * 1.1;
+  const slot = innerW / series.length;
+  const barW = Math.max(1, slot * 0.7);
+  const y = (v) => pad.top + innerH - (v / max) * innerH;
+  const labelEvery = series.length <= 7 ? 1 : series.length <= 30 ? 5 : 15;
+
+  const bars = series
+    .map((d, i) => {
+      const x = pad.left + i * slot + (slot - barW) / 2;
+      const h = pad.top + innerH - y(d[key]);
+      return `<rect x="${x.toFixed(1)}" y="${y(d[key]).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="2" fill="${color}"><title>${formatShortDate(d.date)}: ${d[key]}</title></rect>`;
+    })
+    .join("");
+  const labels = series
+    .map((d, i) => {
+      if ((series.length - 1 - i) % labelEvery !== 0) return "";
+      const x = pad.left + i * slot + slot / 2;
+      const [, m, day] = d.date.split("-").map(Number);
+      return `<text x="${x.toFixed(1)}" y="${height - 5}" text-anchor="middle">${m}/${day}</text>`;
+    })
+    .join("");
+  const goalLine = goal
+    ? `<line class="trend-goal-line" x1="${pad.left}" x2="${width - pad.right}" y1="${y(goal).toFixed(1)}" y2="${y(goal).toFixed(1)}"></line>
+       <text class="trend-goal-label" x="${width - pad.right}" y="${(y(goal) - 3).toFixed(1)}" text-anchor="end">goal ${goal}</text>`
+    : "";
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line class="trend-axis" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + innerH}" y2="${pad.top + innerH}"></line>
+      <text x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${Math.round(max)}</text>
+      <text x="${pad.left - 4}" y="${pad.top + innerH}" text-anchor="end">0</text>
+      ${bars}
+      ${goalLine}
+      ${labels}
+    </svg>`;
+}
+
+function renderTrends(data) {
+  const summaryEl = document.getElementById("trends-summary");
+  const chartsEl = document.getElementById("trends-charts");
+  if (!summaryEl || !chartsEl) return;
+  document.querySelectorAll(".trends-range-btn").forEach((b) => {
+    b.classList.toggle("active", Number(b.dataset.days) === trendsRangeDays);
+  });
+  const goals = getGoals(data);
+  const series = getTrendSeries(data, trendsRangeDays);
+  const summary = getTrendSummary(series, goals);
+
+  if (summary.loggedDays === 0) {
+    summaryEl.innerHTML = `<p class="empty-state">Nothing logged in the last ${trendsRangeDays} days. Log food and activity to see your trends.</p>`;
+    chartsEl.innerHTML = "";
+    return;
+  }
+
+  const stat = (label, value, sub) =>
+    `<div class="trends-stat"><span class="trends-stat-value">${value}</span><span class="trends-stat-label">${label}</span>${sub ? `<span class="trends-stat-sub">${sub}</span>` : ""}</div>`;
+  summaryEl.innerHTML = [
+    stat("Days logged", `${summary.loggedDays}/${trendsRangeDays}`),
+    stat("Avg calories", summary.avgCalories, `goal ${goals.calorieGoal}`),
+    stat("Avg protein", `${summary.avgProtein}g`, `goal ${goals.proteinGoal}g`),
+    stat("Avg carbs / fat", `${summary.avgCarbs}g / ${summary.avgFat}g`, `goal ${goals.carbsGoal}g / ${goals.fatGoal}g`),
+    stat("Avg active min", summary.avgMinutes, `goal ${goals.activityGoal}`),
+    stat("Avg burned", `${summary.avgBurned} cal`),
+    stat("Calorie goal hit", `${summary.calorieAdherence}%`, "of days with food"),
+    stat("Protein goal hit", `${summary.proteinAdherence}%`, "of days with food"),
+    stat("Activity goal hit", `${summary.activityAdherence}%`, `of ${trendsRangeDays} days`)
+  ].join("");
+
+  chartsEl.innerHTML = TREND_CHARTS.map((c) => {
+    const goal = c.goalKey ? goals[c.goalKey] : null;
+    return `<div class="trend-card">
+        <h3>${c.label} <span class="trend-unit">(${c.unit})</span></h3>
+        ${buildTrendChartSvg(series, c.key, goal, c.color)}
+      </div>`;
+  }).join("");
+}
+
+document.querySelectorAll(".trends-range-btn").forEach((btn) => {
+  btn.addEventListener("click", () => {
+    trendsRangeDays = Number(btn.dataset.days) || 7;
+    renderTrends(loadData());
+    renderBodyMetrics(loadData());
+  });
+});
+
+/* Body metrics trend: daily weight is noisy (water, food in transit), so the trend is an exponential moving
+   average that moves 10% of the way toward each weigh-in (compounded over days without one). */
+const WEIGHT_TREND_SMOOTHING = 0.1;
+const KCAL_PER_KG = 7700;
+const MIN_TREND_SPAN_DAYS = 7;
+
+function daysBetween(fromDate, toDate) {
+  const [y1, m1, d1] = fromDate.split("-").map(Number);
+  const [y2, m2, d2] = toDate.split("-").map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000);
+}
+
+/* One point per day from the first weigh-in to today: { date, weight (null if not weighed), trend } */
+function computeWeightTrend(data) {
+  const weighIns = getBodyEntries(data).filter((e) => e.weightKg != null);
+  if (weighIns.length === 0) return [];
+  const byDate = new Map(weighIns.map((e) => [e.date, e.weightKg]));
+  const points = [];
+  let trend = weighIns[0].weightKg;
+  let lastWeighIn = weighIns[0].date;
+  const today = getToday();
+  for (let date = weighIns[0].date; date <= today; date = shiftDate(date, 1)) {
+    const weight = byDate.has(date) ? byDate.get(date) : null;
+    if (weight != null) {
+      const alpha = 1 - Math.pow(1 - WEIGHT_TREND_SMOOTHING, Math.max(1, daysBetween(lastWeighIn, date)));
+      trend += alpha * (weight - trend);
+      lastWeighIn = date;
+    }
+    points.push({ date, weight, trend: Math.round(trend * 100) / 100 });
+  }
+  return points;
+}
+
+/* Rate of change and energy balance over the last `days` days. The rate is the least-squares slope of the
+   weigh-ins (the moving average lags too much for short ranges); balance (cal/day) = slope × 7700 and
+   maintenance ≈ average logged intake − balance. */
+function getBodySummary(data, days) {
+  const entries = getBodyEntries(data);
+  const latest = (key) => [...entries].reverse().find((e) => e[key] != null) || null;
+  const since = shiftDate(getToday(), -(days - 1));
+  const points = computeWeightTrend(data).filter((p) => p.date >= since);
+  const firstWeighed = points.find((p) => p.weight != null);
+  const lastWeighed = [...points].reverse().find((p) => p.weight != null);
+  const summary = { latestWeight: latest("weightKg"), latestWaist: latest("waistCm"), latestBodyFat: latest("bodyFatPct"), points };
+  if (!firstWeighed || !lastWeighed) return summary;
+  const span = daysBetween(firstWeighed.date, lastWeighed.date);
+  summary.trendWeight = lastWeighed.trend;
+  if (span < MIN_TREND_SPAN_DAYS) return summary;
+  const weighed = points.filter((p) => p.weight != null).map((p) => ({ x: daysBetween(firstWeighed.date, p.date), y: p.weight }));
+  const meanX = weighed.reduce((a, p) => a + p.x, 0) / weighed.length;
+  const meanY = weighed.reduce((a, p) => a + p.y, 0) / weighed.length;
+  const slope =
+    weighed.reduce((a, p) => a + (p.x - meanX) * (p.y - meanY), 0) / weighed.reduce((a, p) => a + (p.x - meanX) ** 2, 0);
+  summary.spanDays = span;
+  summary.weeklyRate = Math.round(slope * 7 * 100) / 100;
+  summary.dailyBalance = Math.round(slope * KCAL_PER_KG);
+  const intakeDays = [];
+  for (let date = firstWeighed.date; date <= lastWeighed.date; date = shiftDate(date, 1)) {
+    const dietEntries = getDietForDate(data, date);
+    if (dietEntries.length) intakeDays.push(sumDiet(dietEntries).calories);
+  }
+  if (intakeDays.length >= Math.min(MIN_TREND_SPAN_DAYS, span) / 2) {
+    summary.avgIntake = average(intakeDays);
+    summary.intakeDays = intakeDays.length;
+    summary.maintenance = summary.avgIntake - summary.dailyBalance;
+    const calorieGoal = getGoals(data).calorieGoal;
+    summary.goalWeeklyRate = Math.round(((calorieGoal - summary.maintenance) * 7 / KCAL_PER_KG) * 100) / 100;
+  }
+  return summary;
+}
+
+function formatSigned(value, unit) {
+  return `${value > 0 ? "+" : value < 0 ? "−" : "±"}${Math.abs(value)}${unit}`;
+}
+
+function buildWeightChartSvg(points) {
+  const width = 600;
+  const height = 180;
+  const pad = { top: 12, right: 8, bottom: 20, left: 40 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+  const values = points.flatMap((p) => (p.weight != null ? [p.weight, p.trend] : [p.trend]));
+  const min = Math.floor(Math.min(...values) - 0.5);
+  const max = Math.ceil(Math.max(...values) + 0.5);
+  const x = (i) => pad.left + (points.length === 1 ? innerW / 2 : (i / (points.length - 1)) * innerW);
+  const y = (v) => pad.top + innerH - ((v - min) / (max - min)) * innerH;
+  const labelEvery = points.length <= 7 ? 1 : points.length <= 30 ? 5 : 15;
+  const trendPath = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.trend).toFixed(1)}`).join(" ");
+  const dots = points
+    .map((p, i) =>
+      p.weight == null
+        ? ""
+        : `<circle class="weight-dot" cx="${x(i).toFixed(1)}" cy="${y(p.weight).toFixed(1)}" r="3"><title>${formatShortDate(p.date)}: ${p.weight} kg (trend ${p.trend})</title></circle>`
+    )
+    .join("");
+  const labels = points
+    .map((p, i) => {
+      if ((points.length - 1 - i) % labelEvery !== 0) return "";
+      const [, m, day] = p.date.split("-").map(Number);
+      return `<text x="${x(i).toFixed(1)}" y="${height - 5}" text-anchor="middle">${m}/${day}</text>`;
+    })
+    .join("");
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line class="trend-axis" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + innerH}" y2="${pad.top + innerH}"></line>
+      <text x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${max}</text>
+      <text x="${pad.left - 4}" y="${pad.top + innerH}" text-anchor="end">${min}</text>
+      <path class="weight-trend-line" d="${trendPath}"></path>
+      ${dots}
+      ${labels}
+    </svg>`;
+}
+
+function renderBodyMetrics(data) {
+  const summaryEl = document.getElementById("body-metrics-summary");
+  const chartEl = document.getElementById("body-weight-chart");
+  const listEl = document.getElementById("body-metrics-list");
+  const dateInput = document.getElementById("body-date");
+  if (!summaryEl || !chartEl || !listEl) return;
+  if (dateInput && !dateInput.value) {
+    dateInput.value = getToday();
+    dateInput.max = getToday();
+  }
+
+  const summary = getBodySummary(data, trendsRangeDays);
+  const stat = (label, value, sub) =>
+    `<div class="trends-stat"><span class="trends-stat-value">${value}</span><span class="trends-stat-label">${label}</span>${sub ? `<span class="trends-stat-sub">${sub}</span>` : ""}</div>`;
+  const stats = [];
+  if (summary.latestWeight) stats.push(stat("Latest weight", `${summary.latestWeight.weightKg} kg`, formatShortDate(summary.latestWeight.date)));
+  if (summary.trendWeight != null) stats.push(stat("Trend weight", `${summary.trendWeight.toFixed(1)} kg`, "smoothed"));
+  if (summary.weeklyRate != null) stats.push(stat("Rate", `${formatSigned(summary.weeklyRate, " kg")}/wk`, `over ${summary.spanDays} days`));
+  if (summary.dailyBalance != null) stats.push(stat("Energy balance", `${formatSigned(summary.dailyBalance, "")} cal/day`, summary.dailyBalance < 0 ? "deficit" : "surplus"));
+  if (summary.maintenance != null) {
+    stats.push(stat("Est. maintenance", `${summary.maintenance} cal`, `avg intake ${summary.avgIntake} on ${summary.intakeDays} days`));
+    stats.push(stat("At your calorie goal", `${formatSigned(summary.goalWeeklyRate, " kg")}/wk`, `goal ${getGoals(data).calorieGoal} cal`));
+  }
+  if (summary.latestWaist) stats.push(stat("Waist", `${summary.latestWaist.waistCm} cm`, formatShortDate(summary.latestWaist.date)));
+  if (summary.latestBodyFat) stats.push(stat("Body fat", `${summary.latestBodyFat.bodyFatPct}%`, formatShortDate(summary.latestBodyFat.date)));
+  summaryEl.innerHTML = stats.length
+    ? stats.join("") +
+      (summary.weeklyRate == null && summary.latestWeight
+        ? `<p class="body-metrics-note">Weigh in over at least ${MIN_TREND_SPAN_DAYS} days in this range to see your rate of change and energy balance.</p>`
+        : "")
+    : '<p class="empty-state">No measurements yet. Log your weight a few times a week to see your trend.</p>';
+
+  chartEl.innerHTML = summary.points.some((p) => p.weight != null)
+    ? `<h3>Weight <span class="trend-unit">(kg · dots = weigh-ins, line = trend)</span></h3>${buildWeightChartSvg(summary.points)}`
+    : "";
+  chartEl.classList.toggle("hidden", !chartEl.innerHTML);
+
+  const entries = getBodyEntries(data).reverse().slice(0, 10);
+  listEl.innerHTML = entries
+    .map((e) => {
+      const parts = [
+        e.weightKg != null && `${e.weightKg} kg`,
+        e.waistCm != null && `waist ${e.waistCm} cm`,
+        e.bodyFatPct != null && `${e.bodyFatPct}% body fat`
+      ].filter(Boolean);
+      return `<li>
+          <div>
+            <strong>${formatShortDate(e.date)}</strong>
+            <span class="entry-meta">${parts.join(" · ") || "—"}</span>
+          </div>
+          <button type="button" class="entry-delete" data-date="${e.date}" data-id="${e.id}" aria-label="Delete">×</button>
+        </li>`;
+    })
+    .join("");
+  listEl.querySelectorAll(".entry-delete").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      deleteBodyEntry(loadData(), btn.dataset.date, btn.dataset.id);
+      renderBodyMetrics(loadData());
+    });
+  });
+}
+
+document.getElementById("body-metrics-form")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("body-metrics-status");
+  const date = document.getElementById("body-date").value || getToday();
+  const values = {
+    weightKg: document.getElementById("body-weight").value,
+    waistCm: document.getElementById("body-waist").value,
+    bodyFatPct: document.getElementById("body-fat").value
+  };
+  if (!values.weightKg && !values.waistCm && !values.bodyFatPct) {
+    statusEl.textContent = "Enter at least one measurement.";
+    return;
+  }
+  if (date > getToday()) {
+    statusEl.textContent = "Pick today or an earlier date.";
+    return;
+  }
+  const data = loadData();
+  saveBodyEntry(data, date, values);
+  ["body-weight", "body-waist", "body-fat"].forEach((id) => (document.getElementById(id).value = ""));
+  statusEl.textContent = `Saved measurement for ${formatShortDate(date)}.`;
+  renderBodyMetrics(loadData());
+});
+
+const photoInput = document.getElementById("photo-input");
+const photoZone = document.getElementById("photo-upload-zone");
+const photoResult = document.getElementById("photo-result");
+const photoResultText = document.getElementById("photo-result-text");
+const photoItemsEl = document.getElementById("photo-items");
+const photoItemsTotalEl = document.getElementById("photo-items-total");
+const photoAddBtn = document.getElementById("photo-add-log");
+let lastPhotoAnalysis = null;
+/* Day the checklist items are logged to; null = today (set when reviewing a photo queued on an earlier day) */
+let photoLogDate = null;
+/* Detected items from the last photo: { name, portion, calories, protein, carbs, fat, confidence, selected } */
+let lastPhotoItems = [];
+
+photoZone.addEventListener("click", () => photoInput.click());
+photoZone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  photoZone.classList.add("dragover");
+});
+photoZone.addEventListener("dragleave", () => photoZone.classList.remove("dragover"));
+photoZone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  photoZone.classList.remove("dragover");
+  const file = e.dataTransfer?.files?.[0];
+  if (file && file.type.startsWith("image/")) handlePhotoFile(file);
+});
+
+photoInput.addEventListener("change", () => {
+  const file = photoInput.files?.[0];
+  if (file) handlePhotoFile(file);
+  photoInput.value = "";
+});
+
+function getConfidenceLabel(confidence) {
+  if (confidence >= 0.75) return "high";
+  if (confidence >= 0.4) return "medium";
+  return "low";
+}
+
+function renderPhotoItemsTotal() {
+  if (!photoItemsTotalEl) return;
+  const selected = lastPhotoItems.filter((i) => i.selected);
+  if (lastPhotoItems.length === 0) {
+    photoItemsTotalEl.textContent = "";
+    return;
+  }
+  const totals = sumDiet(selected);
+  photoItemsTotalEl.textContent =
+    `Selected ${selected.length} of ${lastPhotoItems.length}: ${totals.calories} cal · P ${totals.protein}g C ${totals.carbs}g F ${totals.fat}g`;
+}
+
+function renderPhotoItems() {
+  if (!photoItemsEl) return;
+  if (photoAddBtn) photoAddBtn.disabled = !lastPhotoItems.some((i) => i.selected);
+  if (lastPhotoItems.length === 0) {
+    photoItemsEl.innerHTML = "";
+    renderPhotoItemsTotal();
+    return;
+  }
+  const macroInput = (i, field, label) =>
+    `<label class="photo-item-macro"><span>${label}</span><input type="number" min="0" step="1" data-index="${i}" data-field="${field}" value="${lastPhotoItems[i][field] ?? 0}"></label>`;
+  photoItemsEl.innerHTML = lastPhotoItems
+    .map((item, i) => {
+      const level = getConfidenceLabel(item.confidence);
+      return `<li class="photo-item ${item.selected ? "" : "photo-item-off"}">
+          <div class="photo-item-head">
+            <input type="checkbox" class="photo-item-check" data-index="${i}" ${item.selected ? "checked" : ""} aria-label="Include item">
+            <input type="text" class="photo-item-name" data-index="${i}" data-field="name" value="${escapeHtml(item.name)}" maxlength="80" aria-label="Food name">
+            <input type="text" class="photo-item-portion" data-index="${i}" data-field="portion" value="${escapeHtml(item.portion)}" maxlength="60" placeholder="portion" aria-label="Portion">
+            <span class="photo-item-confidence confidence-${level}" title="Model confidence">${level}</span>
+            <button type="button" class="entry-delete photo-item-remove" data-index="${i}" aria-label="Remove">×</button>
+          </div>
+          <div class="photo-item-macros">
+            ${macroInput(i, "calories", "cal")}
+            ${macroInput(i, "protein", "P g")}
+            ${macroInput(i, "carbs", "C g")}
+            ${macroInput(i, "fat", "F g")}
+            ${macroInput(i, "fiber", "Fib g")}
+            ${macroInput(i, "sugar", "Sug g")}
+            ${macroInput(i, "sodium", "Na mg")}
+          </div>
+        </li>`;
+    })
+    .join("");
+
+  photoItemsEl.querySelectorAll(".photo-item-check").forEach((box) => {
+    box.addEventListener("change", () => {
+      lastPhotoItems[Number(box.dataset.index)].selected = box.checked;
+      box.closest(".photo-item")?.classList.toggle("photo-item-off", !box.checked);
+      if (photoAddBtn) photoAddBtn.disabled = !lastPhotoItems.some((i) => i.selected);
+      renderPhotoItemsTotal();
+    });
+  });
+  photoItemsEl.querySelectorAll("input[data-field]").forEach((input) => {
+    input.addEventListener("input", () => {
+      const item = lastPhotoItems[Number(input.dataset.index)];
+      const field = input.dataset.field;
+      item[field] = input.type === "number" ? Math.max(0, Math.round(Number(input.value) || 0)) : input.value;
+      renderPhotoItemsTotal();
+    });
+  });
+  photoItemsEl.querySelectorAll(".photo-item-remove").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      lastPhotoItems.splice(Number(btn.dataset.index), 1);
+      renderPhotoItems();
+    });
+  });
+  renderPhotoItemsTotal();
+}
+
+/* POST /api/analyze-food-image; throws a TypeError when the network or server is unreachable */
+async function analyzeFoodImage(file) {
+  const form = new FormData();
+  form.append("image", file);
+  const res = await fetch(`${API_BASE}/api/analyze-food-image`, {
+    method: "POST",
+    body: form
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Analysis failed.");
+  return data;
+}
+
+function showPhotoAnalysis(data, date = null) {
+  lastPhotoAnalysis = data.text || data.summary || "";
+  lastPhotoItems = (data.items || []).map((i) => ({ ...i, selected: true }));
+  photoLogDate = date;
+  photoResultText.textContent = lastPhotoAnalysis;
+  if (photoAddBtn) {
+    photoAddBtn.textContent = !date || date === getToday() ? "Add selected to today’s log" : `Add selected to the ${formatShortDate(date)} log`;
+  }
+  renderPhotoItems();
+  photoResult.classList.remove("hidden");
+}
+
+async function handlePhotoFile(file) {
+  const statusEl = document.getElementById("photo-status");
+  photoResult.classList.add("hidden");
+  lastPhotoItems = [];
+  renderPhotoItems();
+  const queueOffline = async (message) => {
+    try {
+      await queuePendingPhoto(file, getToday());
+      if (statusEl) statusEl.textContent = message;
+    } catch (err) {
+      if (statusEl) statusEl.textContent = "Error: " + (err.message || "Could not save the photo for later.");
+    }
+  };
+  if (isOffline()) {
+    await queueOffline("You’re offline. The photo is queued and will be analyzed when you reconnect.");
+    return;
+  }
+  if (statusEl) statusEl.textContent = "Analyzing image…";
+  try {
+    const data = await analyzeFoodImage(file);
+    showPhotoAnalysis(data);
+    if (statusEl) statusEl.textContent = lastPhotoItems.length ? "" : "No food items detected to add.";
+  } catch (err) {
+    if (isNetworkError(err)) {
+      await queueOffline("Can’t reach the server. The photo is queued and will be analyzed when you reconnect.");
+      return;
+    }
+    if (statusEl) statusEl.textContent = "Error: " + (err.message || "Could not analyze image.");
+    photoResultText.textContent = "Could not analyze this image. Make sure the server is running and OPENROUTER_API_KEY is set.";
+    photoResult.classList.remove("hidden");
+  }
+}
+
+photoAddBtn.addEventListener("click", () => {
+  const selected = lastPhotoItems.filter((i) => i.selected && (i.name || "").trim());
+  if (selected.length === 0) return;
+  const data = loadData();
+  const meal = document.getElementById("photo-meal")?.value || "";
+  for (const item of selected) {
+    addDietEntry(data, {
+      name: item.name.trim(),
+      portion: item.portion || "",
+      meal,
+      ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, String(item[field] ?? 0)]))
+    }, photoLogDate || getToday());
+  }
+  const dayLabel = !photoLogDate || photoLogDate === getToday() ? "today's" : `the ${formatShortDate(photoLogDate)}`;
+  lastPhotoItems = [];
+  photoLogDate = null;
+  photoAddBtn.textContent = "Add selected to today’s log";
+  renderPhotoItems();
+  refreshAll();
+  const statusEl = document.getElementById("photo-status");
+  if (statusEl) statusEl.textContent = `Added ${selected.length} item(s) to ${dayLabel} log: ${selected.map((i) => i.name.trim()).join(", ")}.`;
+});
+
+/* Offline queue: food lookups and photos that couldn't reach the server, replayed when connectivity returns.
+   Items: { id, kind: "nutrition" | "photo", date, createdAt, status: "pending" | "ready" | "failed", error?,
+   body (nutrition request) + meal, eatenAt | image (downscaled JPEG data URL), items?, summary? (analyzed photo awaiting review) } */
+const PENDING_STORAGE_KEY = "calixolympics_pending";
+const PENDING_PHOTO_MAX_SIDE = 1280;
+let pendingReplayInFlight = false;
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/* fetch rejects with a TypeError when the request never got a response (offline, server down) */
+function isNetworkError(err) {
+  return err instanceof TypeError || isOffline();
+}
+
+function loadPendingQueue() {
+  try {
+    const raw = localStorage.getItem(PENDING_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePendingQueue(queue) {
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(queue));
+  renderPendingQueue();
+}
+
+function updatePendingItem(id, changes) {
+  savePendingQueue(loadPendingQueue().map((item) => (item.id === id ? { ...item, ...changes } : item)));
+}
+
+function removePendingItem(id) {
+  savePendingQueue(loadPendingQueue().filter((item) => item.id !== id));
+}
+
+function queuePendingNutrition(body, date, timing = {}) {
+  const queue = loadPendingQueue();
+  queue.push({ id: newEntryId(), kind: "nutrition", date, createdAt: Date.now(), status: "pending", body, meal: timing.meal, eatenAt: timing.eatenAt });
+  savePendingQueue(queue);
+}
+
+/* Downscale before storing so a few queued photos fit in localStorage */
+async function imageFileToDataUrl(file, maxSide = PENDING_PHOTO_MAX_SIDE) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+async function queuePendingPhoto(file, date) {
+  const image = await imageFileToDataUrl(file);
+  const queue = loadPendingQueue();
+  queue.push({ id: newEntryId(), kind: "photo", date, createdAt: Date.now(), status: "pending", image });
+  try {
+    savePendingQueue(queue);
+  } catch {
+    throw new Error("Not enough storage to queue this photo. Remove a queued photo or try again when online.");
+  }
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(",");
+  const mime = (header.match(/data:([^;]+)/) || [])[1] || "image/jpeg";
+  const bytes = atob(base64);
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+  return new Blob([buffer], { type: mime });
+}
+
+/* Replay queued requests in order; stop at the first network failure since the rest would fail too */
+async function replayPendingQueue() {
+  if (pendingReplayInFlight || isOffline()) return;
+  const queued = loadPendingQueue().filter((item) => item.status !== "ready");
+  if (queued.length === 0) return;
+  pendingReplayInFlight = true;
+  let logged = 0;
+  try {
+    for (const item of queued) {
+      try {
+        if (item.kind === "nutrition") {
+          const data = await lookupNutrition(item.body);
+          addDietEntry(loadData(), { ...nutritionToDietEntry(data, item.body.foodName, portionFromBody(item.body)), meal: item.meal, eatenAt: item.eatenAt }, item.date);
+          removePendingItem(item.id);
+          logged++;
+        } else if (item.kind === "photo") {
+          const data = await analyzeFoodImage(dataUrlToBlob(item.image));
+          updatePendingItem(item.id, { status: "ready", image: null, items: data.items || [], summary: data.summary || data.text || "", error: null });
+        }
+      } catch (err) {
+        if (isNetworkError(err)) break;
+        updatePendingItem(item.id, { status: "failed", error: err.message || "Request failed." });
+      }
+    }
+  } finally {
+    pendingReplayInFlight = false;
+  }
+  if (logged > 0) {
+    refreshAll();
+    const statusEl = document.getElementById("diet-status");
+    if (statusEl) statusEl.textContent = `Back online: logged ${logged} pending food${logged === 1 ? "" : "s"}.`;
+  }
+}
+
+function describePendingItem(item) {
+  if (item.kind === "nutrition") {
+    const b = item.body || {};
+    const amount = b.grams ? `${b.grams} g` : b.quantity || "";
+    return `<strong>${escapeHtml(b.foodName)}</strong><span class="entry-meta">${amount ? `${amount} · ` : ""}${formatShortDate(item.date)}</span>`;
+  }
+  const count = (item.items || []).length;
+  const detail = item.status === "ready" ? `${count} item${count === 1 ? "" : "s"} detected` : "Meal photo";
+  return `<strong>${detail}</strong><span class="entry-meta">${formatShortDate(item.date)}</span>`;
+}
+
+function renderPendingQueue() {
+  const queue = loadPendingQueue();
+  document.querySelectorAll(".pending-queue").forEach((section) => {
+    const items = queue.filter((item) => item.kind === section.dataset.kind);
+    section.classList.toggle("hidden", items.length === 0);
+    const list = section.querySelector(".pending-list");
+    if (!list) return;
+    list.innerHTML = items
+      .map((item) => {
+        const status =
+          item.status === "failed"
+            ? `<span class="pending-status pending-status-failed">${escapeHtml(item.error || "Failed")}</span>`
+            : item.status === "ready"
+              ? '<span class="pending-status pending-status-ready">Ready to review</span>'
+              : '<span class="pending-status">Waiting for connection</span>';
+        const review = item.status === "ready" ? `<button type="button" class="btn btn-secondary btn-sm pending-review" data-id="${item.id}">Review</button>` : "";
+        return `<li>
+          <div>${describePendingItem(item)}${status}</div>
+          <div class="pending-actions">${review}<button type="button" class="entry-delete pending-remove" data-id="${item.id}" aria-label="Remove">×</button></div>
+        </li>`;
+      })
+      .join("");
+  });
+}
 
-document.getElementById("refresh-suggestions").addEventListener("click", () => {
-  refreshAll();
+document.querySelectorAll(".pending-queue").forEach((section) => {
+  section.querySelector(".pending-retry-btn")?.addEventListener("click", () => replayPendingQueue());
+  section.querySelector(".pending-list")?.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".pending-remove");
+    if (removeBtn) {
+      removePendingItem(removeBtn.dataset.id);
+      return;
+    }
+    const reviewBtn = e.target.closest(".pending-review");
+    if (!reviewBtn) return;
+    const item = loadPendingQueue().find((i) => i.id === reviewBtn.dataset.id);
+    if (!item) return;
+    showPhotoAnalysis({ summary: item.summary, items: item.items }, item.date);
+    removePendingItem(item.id);
+    const statusEl = document.getElementById("photo-status");
+    if (statusEl) statusEl.textContent = lastPhotoItems.length ? "" : "No food items detected to add.";
+  });
 });
 
-function renderGoalsForm(data) {
-  const goals = getGoals(data);
-  const storyEl = document.getElementById("goal-story");
-  if (storyEl) storyEl.value = goals.goalStory || "";
+window.addEventListener("online", () => replayPendingQueue());
 
-  const preview = document.getElementById("analyzed-goals-preview");
-  if (preview) {
-    if (data.goals != null) {
-      preview.classList.remove("hidden");
-      const pc = document.getElementById("preview-calories");
-      const pp = document.getElementById("preview-protein");
-      const pa = document.getElementById("preview-activity");
-      if (pc) pc.textContent = goals.calorieGoal;
-      if (pp) pp.textContent = goals.proteinGoal;
-      if (pa) pa.textContent = goals.activityGoal;
-    } else {
-      preview.classList.add("hidden");
+function renderDayNav() {
+  const date = getSelectedDate();
+  const today = getToday();
+  document.querySelectorAll(".day-nav").forEach((nav) => {
+    const input = nav.querySelector(".day-nav-input");
+    if (input) {
+      input.value = date;
+      input.max = today;
     }
-  }
+    const next = nav.querySelector(".day-nav-next");
+    if (next) next.disabled = date >= today;
+    const todayBtn = nav.querySelector(".day-nav-today");
+    if (todayBtn) todayBtn.classList.toggle("hidden", date === today);
+  });
 }
 
-document.getElementById("goals-form")?.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  const storyEl = document.getElementById("goal-story");
-  const statusEl = document.getElementById("goals-status");
-  const submitBtn = document.getElementById("goals-submit-btn");
-  if (!storyEl || !statusEl || !submitBtn) return;
-  const story = storyEl.value.trim();
+function initDayNav() {
+  document.querySelectorAll(".day-nav").forEach((nav) => {
+    nav.querySelector(".day-nav-prev")?.addEventListener("click", () => setSelectedDate(shiftDate(getSelectedDate(), -1)));
+    nav.querySelector(".day-nav-next")?.addEventListener("click", () => setSelectedDate(shiftDate(getSelectedDate(), 1)));
+    nav.querySelector(".day-nav-today")?.addEventListener("click", () => setSelectedDate(getToday()));
+    nav.querySelector(".day-nav-input")?.addEventListener("change", (e) => setSelectedDate(e.target.value));
+  });
+}
 
-  if (!story) {
-    statusEl.textContent = "Please tell us your fitness story.";
-    return;
+function refreshAll() {
+  const data = loadData();
+  renderDayNav();
+  renderDashboard(data);
+  renderDietEntries(data);
+  renderActivityEntries(data);
+  renderTrends(data);
+  renderBodyMetrics(data);
+  renderSuggestions(data);
+  renderGoalsForm(data);
+  renderNutrientGoalsForm(data);
+  renderProfileForm(data);
+}
+
+/* Accounts: email/password sign-in; signed-out browsers keep using the anonymous cookie */
+let authMode = "login";
+
+function renderAccountUI() {
+  const emailEl = document.getElementById("account-email");
+  const signInBtn = document.getElementById("account-signin-btn");
+  const signOutBtn = document.getElementById("account-signout-btn");
+  if (!emailEl || !signInBtn || !signOutBtn) return;
+  const enabled = mongodbAvailable !== false;
+  emailEl.textContent = currentAccount ? currentAccount.email : "";
+  emailEl.classList.toggle("hidden", !currentAccount);
+  signOutBtn.classList.toggle("hidden", !currentAccount);
+  signInBtn.classList.toggle("hidden", !!currentAccount || !enabled);
+}
+
+function fetchAccount() {
+  return fetch(`${API_BASE}/api/auth/me`, { credentials: "include" })
+    .then((res) => (res.ok ? res.json() : null))
+    .then((payload) => {
+      currentAccount = payload?.account || null;
+      if (payload && payload.accountsEnabled === false) setMongodbAvailable(false);
+      renderAccountUI();
+    })
+    .catch(() => renderAccountUI());
+}
+
+function setAuthMode(mode) {
+  authMode = mode;
+  const isLogin = mode === "login";
+  document.getElementById("auth-panel-title").textContent = isLogin ? "Sign in" : "Create account";
+  document.getElementById("auth-submit-btn").textContent = isLogin ? "Sign in" : "Create account";
+  document.getElementById("auth-mode-toggle").textContent = isLogin ? "Create an account instead" : "I already have an account";
+  document.getElementById("auth-password").autocomplete = isLogin ? "current-password" : "new-password";
+  document.getElementById("auth-claim").checked = !isLogin;
+  document.getElementById("auth-status").textContent = "";
+}
+
+function openAuthPanel() {
+  setAuthMode("login");
+  document.getElementById("auth-panel")?.classList.remove("hidden");
+  document.getElementById("auth-email")?.focus();
+}
+
+function closeAuthPanel() {
+  document.getElementById("auth-panel")?.classList.add("hidden");
+}
+
+/* Local data belonged to the previous identity; drop it and load whatever the server has for the new one */
+/* Before signing in or out: log queued food lookups and push unsynced changes to the identity they were made under.
+   Whatever still can't be saved (offline, server error, photos awaiting review) would be dropped by the switch, so ask first. */
+async function confirmIdentitySwitch(action) {
+  await replayPendingQueue();
+  for (let attempt = 0; attempt < 3 && mongodbAvailable !== false && hasUnsyncedChanges(loadData()); attempt++) {
+    await pushChanges();
   }
+  const unsynced = mongodbAvailable !== false && hasUnsyncedChanges(loadData());
+  const queued = loadPendingQueue().length;
+  if (!unsynced && queued === 0) return true;
+  const lost = [
+    unsynced && "changes that haven't synced to the server yet",
+    queued && `${queued} queued food ${queued === 1 ? "lookup or photo" : "lookups or photos"}`
+  ].filter(Boolean);
+  return confirm(`This browser has ${lost.join(" and ")}. They will be lost if you ${action} now. Continue anyway?`);
+}
 
-  statusEl.textContent = "AI is analyzing your story…";
-  submitBtn.disabled = true;
+function reloadDataForIdentity() {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(PENDING_STORAGE_KEY);
+  localStorage.removeItem(ACHIEVEMENTS_SEEN_KEY);
+  localStorage.removeItem(CHAT_STORAGE_KEY_GOALS);
+  localStorage.removeItem(CHAT_STORAGE_KEY_TALK);
+  refreshAll();
+  renderPendingQueue();
+  syncFromServer();
+  ensureGoalsChatSeeded();
+  loadServerConversations();
+}
 
+document.getElementById("auth-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById("auth-status");
+  const submitBtn = document.getElementById("auth-submit-btn");
+  const body = {
+    email: document.getElementById("auth-email").value.trim(),
+    password: document.getElementById("auth-password").value,
+    claimAnonymous: document.getElementById("auth-claim").checked
+  };
+  submitBtn.disabled = true;
+  statusEl.textContent = "Saving this browser's changes…";
+  if (!(await confirmIdentitySwitch(authMode === "login" ? "sign in" : "create the account"))) {
+    statusEl.textContent = "";
+    submitBtn.disabled = false;
+    return;
+  }
+  statusEl.textContent = authMode === "login" ? "Signing in…" : "Creating account…";
   try {
-    const res = await fetch(`${API_BASE}/api/analyze-goals`, {
+    const res = await fetch(`${API_BASE}/api/auth/${authMode === "login" ? "login" : "register"}`, {
       method: "POST",
+      credentials: "include",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ story })
+      body: JSON.stringify(body)
     });
     const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data.error || "Analysis failed.");
-
-    const appData = loadData();
-    saveGoals(appData, {
-      calorieGoal: data.calorieGoal,
-      proteinGoal: data.proteinGoal,
-      activityGoal: data.activityGoal
-    }, story);
-
-    statusEl.textContent = "Goals updated successfully!";
-    refreshAll();
+    if (!res.ok) throw new Error(data.error || "Could not sign in.");
+    currentAccount = data.account;
+    document.getElementById("auth-password").value = "";
+    closeAuthPanel();
+    renderAccountUI();
+    reloadDataForIdentity();
   } catch (err) {
-    statusEl.textContent = "Error: " + err.message;
+    statusEl.textContent = "Error: " + (err.message || "Could not sign in.");
   } finally {
     submitBtn.disabled = false;
   }
 });
 
-const photoInput = document.getElementById("photo-input");
-const photoZone = document.getElementById("photo-upload-zone");
-const photoResult = document.getElementById("photo-result");
-const photoResultText = document.getElementById("photo-result-text");
-let lastPhotoAnalysis = null;
-
-photoZone.addEventListener("click", () => photoInput.click());
-photoZone.addEventListener("dragover", (e) => {
-  e.preventDefault();
-  photoZone.classList.add("dragover");
-});
-photoZone.addEventListener("dragleave", () => photoZone.classList.remove("dragover"));
-photoZone.addEventListener("drop", (e) => {
-  e.preventDefault();
-  photoZone.classList.remove("dragover");
-  const file = e.dataTransfer?.files?.[0];
-  if (file && file.type.startsWith("image/")) handlePhotoFile(file);
-});
-
-photoInput.addEventListener("change", () => {
-  const file = photoInput.files?.[0];
-  if (file) handlePhotoFile(file);
-  photoInput.value = "";
-});
-
-async function handlePhotoFile(file) {
-  const statusEl = document.getElementById("photo-status");
-  if (statusEl) statusEl.textContent = "Analyzing image…";
-  photoResult.classList.add("hidden");
-  const form = new FormData();
-  form.append("image", file);
+async function signOut() {
+  if (!(await confirmIdentitySwitch("sign out"))) return;
   try {
-    const res = await fetch(`${API_BASE}/api/analyze-food-image`, {
-      method: "POST",
-      body: form
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data.error || "Analysis failed.");
-    lastPhotoAnalysis = data.text || data.summary || "";
-    photoResultText.textContent = lastPhotoAnalysis;
-    photoResult.classList.remove("hidden");
-    if (statusEl) statusEl.textContent = "";
+    const res = await fetch(`${API_BASE}/api/auth/logout`, { method: "POST", credentials: "include" });
+    if (!res.ok) throw new Error("Failed to sign out.");
+    currentAccount = null;
+    renderAccountUI();
+    reloadDataForIdentity();
   } catch (err) {
-    if (statusEl) statusEl.textContent = "Error: " + (err.message || "Could not analyze image.");
-    photoResultText.textContent = "Could not analyze this image. Make sure the server is running and OPENROUTER_API_KEY is set.";
-    photoResult.classList.remove("hidden");
+    alert(err.message || "Could not sign out.");
   }
 }
 
-document.getElementById("photo-add-log").addEventListener("click", () => {
-  if (!lastPhotoAnalysis) return;
-  const match = lastPhotoAnalysis.match(/[Tt]otal[:\s]*[Aa]bout\s*(\d+)\s*calories?/);
-  const calories = match ? Number(match[1]) : 0;
-  const data = loadData();
-  addDietEntry(data, {
-    name: "Meal from photo",
-    calories: String(calories),
-    protein: "0",
-    carbs: "0",
-    fat: "0"
-  });
-  refreshAll();
-  document.getElementById("photo-result-text").textContent = "Added to today's log. " + (lastPhotoAnalysis || "");
-});
-
-function refreshAll() {
-  const data = loadData();
-  renderDashboard(data);
-  renderDietEntries(data);
-  renderActivityEntries(data);
-  renderSuggestions(data);
-  renderGoalsForm(data);
-}
+document.getElementById("account-signin-btn")?.addEventListener("click", openAuthPanel);
+document.getElementById("account-signout-btn")?.addEventListener("click", signOut);
+document.getElementById("auth-panel-close")?.addEventListener("click", closeAuthPanel);
+document.getElementById("auth-mode-toggle")?.addEventListener("click", () => setAuthMode(authMode === "login" ? "register" : "login"));
 
 function renderWalletUI() {
   const statusEl = document.getElementById("wallet-status");
@@ -1045,6 +3007,36 @@ function renderWalletUI() {
   }
 }
 
+/* Solana Explorer link for an address or transaction; null for the mock provider and local validators */
+function solanaExplorerUrl(kind, value, network) {
+  if (!value || network === "mock" || network === "localnet") return null;
+  const cluster = network && network !== "mainnet-beta" ? `?cluster=${encodeURIComponent(network)}` : "";
+  return `https://explorer.solana.com/${kind}/${encodeURIComponent(value)}${cluster}`;
+}
+
+function shortenAddress(value) {
+  return value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : value;
+}
+
+function renderMintDetails(mint) {
+  if (!mint?.mintAddress) return '<span class="achievement-minted">Minted</span>';
+  const link = (kind, value, label) => {
+    const url = solanaExplorerUrl(kind, value, mint.network);
+    return url
+      ? `<a href="${url}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(value)}">${label}</a>`
+      : `<span title="${escapeHtml(value)}">${label}</span>`;
+  };
+  const when = mint.mintedAt ? new Date(mint.mintedAt).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : "";
+  return `<div class="achievement-mint">
+      <span class="achievement-minted">Minted${mint.network ? ` on ${escapeHtml(mint.network)}` : ""}</span>
+      <span class="achievement-mint-links">
+        ${link("address", mint.mintAddress, `NFT ${escapeHtml(shortenAddress(mint.mintAddress))}`)}
+        ${mint.signature ? ` · ${link("tx", mint.signature, "Transaction")}` : ""}
+      </span>
+      ${when ? `<span class="achievement-mint-date">${when}</span>` : ""}
+    </div>`;
+}
+
 function renderAchievements() {
   const listEl = document.getElementById("achievements-list");
   if (!listEl) return;
@@ -1057,14 +3049,25 @@ function renderAchievements() {
     .map((a) => {
       const earned = (achievementsEarned || []).includes(a.id);
       const minted = (achievementsMinted || []).includes(a.id);
+      const progress = achievementsProgress[a.id];
       let action = "";
-      if (earned && minted) action = '<span class="achievement-minted">Minted</span>';
+      if (earned && minted) action = renderMintDetails(achievementMints[a.id]);
       else if (earned && walletAddress)
         action = `<button type="button" class="btn btn-mint" data-achievement-id="${a.id}" title="Mint as NFT">Mint NFT</button>`;
       else if (earned) action = '<span class="achievement-locked">Connect wallet to mint</span>';
-      else action = '<span class="achievement-locked">—</span>';
+      else if (!progress) action = '<span class="achievement-locked">—</span>';
+      let status = "";
+      if (earned && progress?.earnedOn) {
+        status = `<span class="achievement-earned-on">Earned ${formatShortDate(progress.earnedOn)}</span>`;
+      } else if (!earned && progress) {
+        const pct = Math.min(100, progress.target ? (progress.current / progress.target) * 100 : 0);
+        status = `<div class="achievement-progress">
+            <div class="bar-wrap"><div class="bar" style="width: ${pct}%"></div></div>
+            <span class="achievement-progress-text">${progress.current}/${progress.target}</span>
+          </div>`;
+      }
       return `<li class="achievement-item ${earned ? "earned" : ""}">
-        <div class="achievement-info"><strong>${a.name}</strong><span class="achievement-desc">${a.description}</span></div>
+        <div class="achievement-info"><strong>${a.name}</strong><span class="achievement-desc">${a.description}</span>${status}</div>
         <div class="achievement-action">${action}</div>
       </li>`;
     })
@@ -1074,6 +3077,45 @@ function renderAchievements() {
   });
 }
 
+/* Achievement ids this browser has already shown, so each unlock toasts once */
+const ACHIEVEMENTS_SEEN_KEY = "calixolympics_achievements_seen";
+const ACHIEVEMENT_TOAST_MS = 6000;
+
+function showAchievementToast(achievement) {
+  const container = document.getElementById("achievement-toasts");
+  if (!container) return;
+  const toast = document.createElement("div");
+  toast.className = "achievement-toast";
+  toast.setAttribute("role", "status");
+  toast.innerHTML = `<span class="achievement-toast-title">Achievement unlocked</span>
+    <strong>${escapeHtml(achievement.name)}</strong>
+    <span class="achievement-toast-desc">${escapeHtml(achievement.description)}</span>`;
+  const dismiss = () => toast.remove();
+  toast.addEventListener("click", dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, ACHIEVEMENT_TOAST_MS);
+}
+
+/* Achievement fields from GET /api/data, /api/data/changes or PUT /api/data. The first response in a browser
+   only records what is already earned; after that, anything new gets an unlock toast. */
+function applyAchievementsPayload(payload) {
+  if (!Array.isArray(payload?.achievementsEarned)) return;
+  achievementsEarned = payload.achievementsEarned;
+  achievementsMinted = payload.achievementsMinted || [];
+  achievementsMeta = payload.achievementsMeta || [];
+  achievementsProgress = payload.achievementsProgress || {};
+  achievementMints = payload.achievementMints || {};
+  let seen = null;
+  try {
+    seen = JSON.parse(localStorage.getItem(ACHIEVEMENTS_SEEN_KEY));
+  } catch {}
+  if (Array.isArray(seen)) {
+    achievementsMeta.filter((a) => achievementsEarned.includes(a.id) && !seen.includes(a.id)).forEach(showAchievementToast);
+  }
+  localStorage.setItem(ACHIEVEMENTS_SEEN_KEY, JSON.stringify([...new Set([...(seen || []), ...achievementsEarned])]));
+  renderAchievements();
+}
+
 function getSolanaProvider() {
   if (typeof window === "undefined") return null;
   if (window.phantom?.solana?.isPhantom) return window.phantom.solana;
@@ -1093,7 +3135,10 @@ async function linkWallet() {
     const resp = await provider.connect();
     const publicKey = resp.publicKey?.toString?.() || resp.publicKey;
     if (!publicKey) throw new Error("No public key returned.");
-    const message = `Link CalixOlympics to this wallet at ${Date.now()}`;
+    const challengeRes = await fetch(`${API_BASE}/api/wallet-challenge`, { method: "POST", credentials: "include" });
+    const challenge = await challengeRes.json().catch(() => ({}));
+    if (!challengeRes.ok) throw new Error(challenge.error || "Could not start wallet linking.");
+    const message = challenge.message;
     const msgBytes = new TextEncoder().encode(message);
     const { signature } = await provider.signMessage(msgBytes);
     const sigBytes = signature instanceof Uint8Array ? signature : new Uint8Array(signature);
@@ -1143,6 +3188,7 @@ async function mintAchievement(achievementId) {
     const data = await res.json().catch(() => ({}));
     if (!res.ok) throw new Error(data.error || "Mint failed.");
     achievementsMinted = [...(achievementsMinted || []), achievementId];
+    if (data.mint) achievementMints = { ...achievementMints, [achievementId]: data.mint };
     renderAchievements();
     syncFromServer();
   } catch (err) {
@@ -1152,36 +3198,46 @@ async function mintAchievement(achievementId) {
   }
 }
 
+/* A full GET /api/data response expressed as a change set */
+function fullPayloadToChanges(payload) {
+  const entries = [];
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(payload[kind] || {})) {
+      for (const entry of list || []) entries.push({ kind, date, entry });
+    }
+  }
+  const hasGoals = hasGoalsPayload(payload);
+  return {
+    entries,
+    deletions: payload.deleted || [],
+    goals: hasGoals ? { ...goalsPayload(payload), updatedAt: payload.goalsUpdatedAt || 0 } : null
+  };
+}
+
+/* Pull everything on first sync, then only what changed since our cursor; merge, then push local edits */
 function syncFromServer() {
   if (mongodbAvailable === false) return;
-  fetch(`${API_BASE}/api/data`, { method: "GET", credentials: "include" })
+  const cursor = loadData().sync.cursor;
+  const timezoneOffset = new Date().getTimezoneOffset();
+  const url = cursor == null
+    ? `${API_BASE}/api/data?timezoneOffset=${timezoneOffset}`
+    : `${API_BASE}/api/data/changes?since=${cursor}&timezoneOffset=${timezoneOffset}`;
+  fetch(url, { method: "GET", credentials: "include" })
     .then((res) => {
       if (!res.ok && res.status === 503) setMongodbAvailable(false);
       return res.ok ? res.json() : null;
     })
     .then((payload) => {
-      if (payload) setMongodbAvailable(true);
       if (payload) {
+        setMongodbAvailable(true);
         walletAddress = payload.walletAddress || null;
-        achievementsEarned = payload.achievementsEarned || [];
-        achievementsMinted = payload.achievementsMinted || [];
-        achievementsMeta = payload.achievementsMeta || [];
-      }
-      const hasData =
-        payload &&
-        (Object.keys(payload.diet || {}).length > 0 ||
-          Object.keys(payload.activity || {}).length > 0 ||
-          payload.goals != null ||
-          (payload.goalStory && String(payload.goalStory).trim().length > 0));
-      if (hasData && payload) {
-        const data = {
-          diet: payload.diet || {},
-          activity: payload.activity || {},
-          goals: payload.goals ?? null,
-          goalStory: payload.goalStory || ""
-        };
+        applyAchievementsPayload(payload);
+        const data = loadData();
+        mergeRemoteChanges(data, payload.changes || fullPayloadToChanges(payload));
+        data.sync.cursor = payload.cursor;
         localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
         refreshAll();
+        pushChanges();
       }
       renderWalletUI();
       renderAchievements();
@@ -1189,6 +3245,12 @@ function syncFromServer() {
     .catch(() => setMongodbAvailable(false));
 }
 
+/* Back online: retry the server and send anything edited while offline */
+window.addEventListener("online", () => {
+  mongodbAvailable = null;
+  syncFromServer();
+});
+
 /* ElevenLabs voice: read text aloud, with stop control */
 let currentPlayingAudio = null;
 let currentVoiceButton = null;
@@ -1282,15 +3344,15 @@ document.getElementById("stop-audio-btn").addEventListener("click", stopCurrentA
 
 document.getElementById("voice-dashboard-btn").addEventListener("click", () => {
   const data = loadData();
-  const today = getToday();
+  const date = getSelectedDate();
   const goals = getGoals(data);
-  const dietEntries = getDietToday(data);
-  const activityEntries = getActivityToday(data);
+  const dietEntries = getDietForDate(data, date);
+  const activityEntries = getActivityForDate(data, date);
   const totals = sumDiet(dietEntries);
   const activeMinutes = sumActivityMinutes(activityEntries);
-  const totalBurned = sumActivityCaloriesBurned(activityEntries);
+  const totalBurned = sumActivityCaloriesBurned(activityEntries, data.profile);
   const summary = [
-    `${formatDate(today)}.`,
+    `${formatDate(date)}.`,
     `Calories: ${totals.calories} of ${goals.calorieGoal}. Protein: ${totals.protein} of ${goals.proteinGoal} grams.`,
     `Activity: ${activeMinutes} of ${goals.activityGoal} minutes. Calories burned from activity: about ${totalBurned}.`,
     dietEntries.length === 0 && activityEntries.length === 0
@@ -1315,12 +3377,15 @@ document.getElementById("voice-briefing-btn").addEventListener("click", async ()
   try {
     const res = await fetch(`${API_BASE}/api/coach-briefing`, {
       method: "POST",
+      credentials: "include",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         dietEntries,
         activityEntries,
         goals,
-        goalStory: goals.goalStory
+        goalStory: goals.goalStory,
+        localTime: getCurrentTime(),
+        today: getToday()
       })
     });
     const result = await res.json().catch(() => ({}));
@@ -1484,18 +3549,13 @@ async function handleSpeechFood() {
         const body = getBodyForFoodItem(item);
         const nutRes = await fetch(`${API_BASE}/api/food-nutrition`, {
           method: "POST",
+          credentials: "include",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify(body)
         });
         const nut = await nutRes.json().catch(() => ({}));
         if (!nutRes.ok) continue;
-        addDietEntry(appData, {
-          name: nut.name || item.name,
-          calories: String(nut.calories ?? 0),
-          protein: String(nut.protein ?? 0),
-          carbs: String(nut.carbs ?? 0),
-          fat: String(nut.fat ?? 0)
-        });
+        addDietEntry(appData, { ...nutritionToDietEntry(nut, item.name, portionFromBody(body)), meal: item.meal }, getSelectedDate());
         added++;
       }
       refreshAll();
@@ -1585,7 +3645,7 @@ async function handleSpeechActivity() {
           type: a.type || "other",
           duration: String(a.duration || 0),
           intensity: a.intensity || "moderate"
-        });
+        }, getSelectedDate());
       }
       refreshAll();
       statusEl.textContent = `Added ${activities.length} activity session(s).`;
@@ -1653,6 +3713,59 @@ function saveTalkChatMessages(messages) {
   localStorage.setItem(CHAT_STORAGE_KEY_TALK, JSON.stringify(messages));
 }
 
+/* With MongoDB the server keeps both conversations; replace the local copies so another device's chat shows up here */
+async function loadServerConversations() {
+  for (const [channel, save] of [["goals", saveGoalsChatMessages], ["talk", saveTalkChatMessages]]) {
+    try {
+      const res = await fetch(`${API_BASE}/api/conversations/${channel}`, { credentials: "include" });
+      if (!res.ok) return;
+      const data = await res.json();
+      if (data.messages.length === 0) continue;
+      save(data.messages.map(({ role, content, actions }) => ({ role, content, ...(actions && { actions }) })));
+      if (channel === "goals") renderGoalsChatMessages(getGoalsChatMessages());
+    } catch {
+      return;
+    }
+  }
+}
+
+async function clearGoalsChat() {
+  if (!confirm("Clear the Calixo chat history? Calixo keeps its long-term notes about you.")) return;
+  try {
+    const res = await fetch(`${API_BASE}/api/conversations/goals`, { method: "DELETE", credentials: "include" });
+    if (!res.ok && res.status !== 503) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "Could not clear the chat.");
+    }
+    const welcome = [{ role: "assistant", content: CALIXO_WELCOME }];
+    saveGoalsChatMessages(welcome);
+    renderGoalsChatMessages(welcome);
+  } catch (err) {
+    alert(err.message || "Could not clear the chat.");
+  }
+}
+
+/* Download the server's conversations and memory, or this browser's copies when there is no server history */
+async function exportConversations() {
+  let blob;
+  try {
+    const res = await fetch(`${API_BASE}/api/conversations/export`, { credentials: "include" });
+    if (res.ok) blob = await res.blob();
+  } catch {}
+  if (!blob) {
+    const local = {
+      exportedAt: new Date().toISOString(),
+      conversations: [
+        { channel: "goals", messages: getGoalsChatMessages() },
+        { channel: "talk", messages: getTalkChatMessages() }
+      ],
+      memory: null
+    };
+    blob = new Blob([JSON.stringify(local, null, 2)], { type: "application/json" });
+  }
+  downloadBlob(blob, `calixo-conversations-${getToday()}.json`);
+}
+
 function openChatPanel() {
   const panel = document.getElementById("chat-panel");
   if (panel) panel.classList.remove("hidden");
@@ -1677,35 +3790,87 @@ function renderGoalsChatMessages(messages) {
       if (m.role === "user") {
         return `<div class="chat-message user">${escapeHtml(m.content)}</div>`;
       }
-      return `<div class="chat-message assistant"><span class="chat-message-name">Calixo</span> ${escapeHtml(m.content)}</div>`;
+      const streamingClass = m.streaming ? " streaming" : "";
+      return `<div class="chat-message assistant${streamingClass}"><span class="chat-message-name">Calixo</span> ${escapeHtml(m.content)}${renderChatActions(m.actions)}</div>`;
     })
     .join("");
   const panelEl = document.getElementById("chat-messages");
   const inlineEl = document.getElementById("goals-chat-messages");
-  if (panelEl) {
-    panelEl.innerHTML = html;
-    panelEl.scrollTop = panelEl.scrollHeight;
+  for (const el of [panelEl, inlineEl]) {
+    if (!el) continue;
+    el.innerHTML = html;
+    el.scrollTop = el.scrollHeight;
+    el.querySelectorAll(".chat-action-undo").forEach((btn) => {
+      btn.addEventListener("click", () => undoChatAction(btn.dataset.actionId, btn));
+    });
+  }
+}
+
+/* What Calixo changed in the log during a reply, each with an Undo button until undone */
+function renderChatActions(actions) {
+  if (!actions || actions.length === 0) return "";
+  const items = actions
+    .map((a) => {
+      const control = a.undone
+        ? `<span class="chat-action-undone">Undone</span>`
+        : `<button type="button" class="btn btn-secondary btn-sm chat-action-undo" data-action-id="${escapeHtml(a.id)}">Undo</button>`;
+      return `<li class="chat-action${a.undone ? " undone" : ""}"><span class="chat-action-summary">${escapeHtml(a.summary)}</span> ${control}</li>`;
+    })
+    .join("");
+  return `<ul class="chat-actions">${items}</ul>`;
+}
+
+function markChatActionUndone(actionId) {
+  for (const [load, save] of [[getGoalsChatMessages, saveGoalsChatMessages], [getTalkChatMessages, saveTalkChatMessages]]) {
+    const messages = load();
+    const action = messages.flatMap((m) => m.actions || []).find((a) => a.id === actionId);
+    if (!action) continue;
+    action.undone = true;
+    save(messages);
   }
-  if (inlineEl) {
-    inlineEl.innerHTML = html;
-    inlineEl.scrollTop = inlineEl.scrollHeight;
+}
+
+async function undoChatAction(actionId, btn) {
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetch(`${API_BASE}/api/chat/actions/${encodeURIComponent(actionId)}/undo`, { method: "POST", credentials: "include" });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok && data.error !== "Already undone.") throw new Error(data.error || "Undo failed.");
+    markChatActionUndone(actionId);
+    renderGoalsChatMessages(getGoalsChatMessages());
+    syncFromServer();
+  } catch (err) {
+    if (btn) btn.disabled = false;
+    for (const id of ["chat-status", "goals-chat-status"]) {
+      const el = document.getElementById(id);
+      if (el) el.textContent = "Error: " + (err.message || "Undo failed.");
+    }
   }
 }
 
+/* Safe in element content and in quoted attribute values */
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 }
 
 function getChatContext() {
   const data = loadData();
   const goals = getGoals(data);
   return {
-    dietEntries: getDietToday(data).map((e) => ({ name: e.name, calories: e.calories, protein: e.protein })),
-    activityEntries: getActivityToday(data).map((e) => ({ type: e.type, duration: e.duration, intensity: e.intensity })),
-    goals: { calorieGoal: goals.calorieGoal, proteinGoal: goals.proteinGoal, activityGoal: goals.activityGoal },
-    goalStory: goals.goalStory || ""
+    dietEntries: dietContextEntries(getDietToday(data)),
+    activityEntries: getActivityToday(data).map((e) => ({ id: e.id, type: e.type, duration: e.duration, intensity: e.intensity })),
+    goals: {
+      calorieGoal: goals.calorieGoal,
+      proteinGoal: goals.proteinGoal,
+      activityGoal: goals.activityGoal,
+      ...Object.fromEntries(NUTRIENT_GOALS.map(({ key }) => [key, goals[key]]))
+    },
+    goalStory: goals.goalStory || "",
+    today: getToday(),
+    localTime: getCurrentTime(),
+    profile: data.profile
   };
 }
 
@@ -1727,18 +3892,13 @@ async function tryLogFoodAndActivityFromTranscript(transcript) {
         const body = getBodyForFoodItem(item);
         const nutRes = await fetch(`${API_BASE}/api/food-nutrition`, {
           method: "POST",
+          credentials: "include",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify(body)
         });
         const nut = await nutRes.json().catch(() => ({}));
         if (!nutRes.ok) continue;
-        addDietEntry(appData, {
-          name: nut.name || item.name,
-          calories: String(nut.calories ?? 0),
-          protein: String(nut.protein ?? 0),
-          carbs: String(nut.carbs ?? 0),
-          fat: String(nut.fat ?? 0)
-        });
+        addDietEntry(appData, { ...nutritionToDietEntry(nut, item.name, portionFromBody(body)), meal: item.meal });
         foodCount++;
       }
     }
@@ -1770,9 +3930,11 @@ function applySuggestedGoals(payload) {
   if (!payload || !payload.goalStory) return;
   const data = loadData();
   saveGoals(data, {
-    calorieGoal: payload.calorieGoal ?? 2000,
+    ...data.goals,
+    calorieGoal: payload.calorieGoal ?? getDefaultCalorieGoal(data.profile),
     proteinGoal: payload.proteinGoal ?? 50,
-    activityGoal: payload.activityGoal ?? 30
+    activityGoal: payload.activityGoal ?? 30,
+    ...pickNutrientGoals(payload)
   }, payload.goalStory || "");
   refreshAll();
 }
@@ -1786,15 +3948,18 @@ async function runVoiceConversationTurn(transcript) {
   try {
     const res = await fetch(`${API_BASE}/api/chat`, {
       method: "POST",
+      credentials: "include",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ messages, context: getChatContext() })
+      body: JSON.stringify({ messages, channel: "talk", context: getChatContext() })
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) throw new Error(data.error || "Chat failed.");
     const reply = (data.reply || "").trim();
-    messages.push({ role: "assistant", content: reply });
+    const actions = data.actions || [];
+    messages.push({ role: "assistant", content: reply, ...(actions.length > 0 && { actions }) });
     saveTalkChatMessages(messages);
     if (data.suggestedGoals && data.suggestedGoals.goalStory) applySuggestedGoals(data.suggestedGoals);
+    if (actions.length > 0) syncFromServer();
     return reply || null;
   } catch (err) {
     const fallback = "Sorry, I couldn't respond right now. Please try again.";
@@ -1804,6 +3969,47 @@ async function runVoiceConversationTurn(transcript) {
   }
 }
 
+/* POST to /api/chat/stream and call onText(replySoFar) as "delta" events arrive and onAction(action) for each change Calixo
+   makes to the log; resolves with the final { reply, suggestedGoals, actions? } */
+async function streamChatReply(messages, channel, onText, onAction = () => {}) {
+  const res = await fetch(`${API_BASE}/api/chat/stream`, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ messages, channel, context: getChatContext() })
+  });
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Chat failed.");
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const event = (frame.match(/^event: (.*)$/m) || [])[1];
+      const payload = JSON.parse((frame.match(/^data: (.*)$/m) || [])[1] || "{}");
+      if (event === "delta") {
+        text += payload.text || "";
+        onText(text);
+      } else if (event === "action") {
+        onAction(payload);
+      } else if (event === "done") {
+        return payload;
+      } else if (event === "error") {
+        throw new Error(payload.error || "Chat failed.");
+      }
+    }
+  }
+  throw new Error("Calixo's reply was cut off.");
+}
+
 async function sendChatMessage(text, source) {
   const input = source === "goals" ? document.getElementById("goals-chat-input") : document.getElementById("chat-input");
   const statusEl = source === "goals" ? document.getElementById("goals-chat-status") : document.getElementById("chat-status");
@@ -1824,7 +4030,9 @@ async function sendChatMessage(text, source) {
   const statusElPanel = document.getElementById("chat-status");
   const statusElGoals = document.getElementById("goals-chat-status");
 
-  const { foodCount, activityCount } = await tryLogFoodAndActivityFromTranscript(trimmed);
+  const { foodCount, activityCount } = calixoToolsEnabled
+    ? { foodCount: 0, activityCount: 0 }
+    : await tryLogFoodAndActivityFromTranscript(trimmed);
   if (foodCount > 0 || activityCount > 0) {
     const parts = [];
     if (foodCount > 0) parts.push(foodCount === 1 ? "1 food" : foodCount + " foods");
@@ -1837,27 +4045,50 @@ async function sendChatMessage(text, source) {
     if (statusElGoals) statusElGoals.textContent = "Calixo is thinking…";
   }
 
+  /* The partial reply is rendered in both chat views while it streams, and only saved once complete */
+  const assistantMessage = { role: "assistant", content: "", streaming: true };
+  const showAssistantMessage = () => {
+    if (messages.includes(assistantMessage)) return;
+    messages.push(assistantMessage);
+    if (statusElPanel) statusElPanel.textContent = "";
+    if (statusElGoals) statusElGoals.textContent = "";
+  };
   try {
-    const res = await fetch(`${API_BASE}/api/chat`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ messages, context: getChatContext() })
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data.error || "Chat failed.");
+    const data = await streamChatReply(
+      messages,
+      "goals",
+      (partial) => {
+        showAssistantMessage();
+        assistantMessage.content = partial;
+        renderGoalsChatMessages(messages);
+      },
+      (action) => {
+        showAssistantMessage();
+        assistantMessage.actions = [...(assistantMessage.actions || []), action];
+        renderGoalsChatMessages(messages);
+      }
+    );
 
-    messages.push({ role: "assistant", content: data.reply || "" });
+    showAssistantMessage();
+    assistantMessage.content = data.reply || "";
+    if (data.actions && data.actions.length > 0) assistantMessage.actions = data.actions;
+    delete assistantMessage.streaming;
     saveGoalsChatMessages(messages);
     renderGoalsChatMessages(messages);
 
     if (data.suggestedGoals && data.suggestedGoals.goalStory) applySuggestedGoals(data.suggestedGoals);
+    if (assistantMessage.actions) syncFromServer();
   } catch (err) {
     const errMsg = "Error: " + (err.message || "Could not send.");
     if (statusElPanel) statusElPanel.textContent = errMsg;
     if (statusElGoals) statusElGoals.textContent = errMsg;
-    messages.push({ role: "assistant", content: "Sorry, I couldn't respond right now. Please try again." });
+    if (messages.includes(assistantMessage)) messages.splice(messages.indexOf(assistantMessage), 1);
+    /* Changes Calixo made before the failure still happened; keep them visible so they can be undone */
+    const { actions } = assistantMessage;
+    messages.push({ role: "assistant", content: "Sorry, I couldn't respond right now. Please try again.", ...(actions && { actions }) });
     saveGoalsChatMessages(messages);
     renderGoalsChatMessages(messages);
+    if (actions) syncFromServer();
   } finally {
     if (statusElPanel) statusElPanel.textContent = "";
     if (statusElGoals) statusElGoals.textContent = "";
@@ -1887,6 +4118,9 @@ function bindChatSend(inputId, sendBtnId, source) {
     }
   });
 }
+document.getElementById("goals-chat-clear")?.addEventListener("click", clearGoalsChat);
+document.getElementById("goals-chat-export")?.addEventListener("click", exportConversations);
+
 bindChatSend("chat-input", "chat-send", "panel");
 bindChatSend("goals-chat-input", "goals-chat-send", "goals");
 
@@ -1986,8 +4220,10 @@ setupChatMic("goals-chat-mic", "goals-chat-mic-label", "goals-chat-status", "goa
           resetIdle();
           return;
         }
-        setStatus("Checking for food or activity…");
-        const { foodCount, activityCount } = await tryLogFoodAndActivityFromTranscript(transcript);
+        if (!calixoToolsEnabled) setStatus("Checking for food or activity…");
+        const { foodCount, activityCount } = calixoToolsEnabled
+          ? { foodCount: 0, activityCount: 0 }
+          : await tryLogFoodAndActivityFromTranscript(transcript);
         if (foodCount > 0 || activityCount > 0) {
           const parts = [];
           if (foodCount > 0) parts.push(foodCount === 1 ? "1 food" : foodCount + " foods");
@@ -2029,7 +4265,9 @@ setupChatMic("goals-chat-mic", "goals-chat-mic-label", "goals-chat-status", "goa
 })();
 
 fetchHealth();
+fetchAccount();
 initTabs();
+initDayNav();
 const walletConnectBtn = document.getElementById("wallet-connect-btn");
 const walletDisconnectBtn = document.getElementById("wallet-disconnect-btn");
 if (walletConnectBtn) walletConnectBtn.addEventListener("click", linkWallet);
@@ -2037,4 +4275,10 @@ if (walletDisconnectBtn) walletDisconnectBtn.addEventListener("click", disconnec
 refreshAll();
 renderWalletUI();
 renderAchievements();
+renderPendingQueue();
 syncFromServer();
+loadServerConversations();
+replayPendingQueue();
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((err) => console.warn("Service worker registration failed:", err));
+}
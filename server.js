@@ -1,6 +1,7 @@
 /**
- * CalixOlympics API server – OpenRouter for food nutrition, suggestions, parse-speech, and photo analysis.
- * Optional MongoDB + anonymous cookie for persisting diet/activity/goals. Set OPENROUTER_API_KEY in .env.
+ * CalixOlympics API server – local food database + an AI provider (OpenRouter, a local OpenAI-compatible model, or fixtures)
+ * for food nutrition, suggestions, parse-speech, and photo analysis.
+ * Optional MongoDB for persisting diet/activity/goals per email/password account or anonymous cookie. Set OPENROUTER_API_KEY in .env.
  *
  * Run: node server.js  (or npm start)
  * Default port: 3000 (set PORT in .env to override)
@@ -14,20 +15,52 @@ const multer = require("multer");
 const path = require("path");
 const { MongoClient } = require("mongodb");
 const crypto = require("crypto");
+const net = require("net");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
 const { PublicKey } = require("@solana/web3.js");
 const nacl = require("tweetnacl");
+const { DEFAULT_CALORIE_GOAL, DEFAULT_PROTEIN_GOAL, DEFAULT_ACTIVITY_GOAL, resolveGoals } = require("./goals");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const OPENROUTER_VISION_MODEL = process.env.OPENROUTER_VISION_MODEL || "google/gemini-2.0-flash-001";
 const OPENROUTER_CHAT_MODEL = process.env.OPENROUTER_CHAT_MODEL || "google/gemini-2.0-flash-001";
+const AI_PROVIDER = (process.env.AI_PROVIDER || "openrouter").toLowerCase();
+const LOCAL_LLM_URL = (process.env.LOCAL_LLM_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || "llama3.1";
+const LOCAL_LLM_VISION_MODEL = process.env.LOCAL_LLM_VISION_MODEL || "llava";
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || "";
+const LOCAL_LLM_RESPONSE_FORMAT = (process.env.LOCAL_LLM_RESPONSE_FORMAT || "json_schema").toLowerCase();
+const AI_FIXTURES_PATH = process.env.AI_FIXTURES_PATH || path.join(__dirname, "data", "ai-fixtures.json");
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || "JBFqnCBsd6RMkjVDRZzb";
+/* Report delivery: a local SMTP stand-in such as Mailpit or MailHog (plain SMTP, no auth), and how often the scheduler runs */
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+const REPORTS_FROM = process.env.REPORTS_FROM || "CalixOlympics <reports@calixolympics.local>";
+const REPORTS_CHECK_MINUTES = process.env.REPORTS_CHECK_MINUTES != null ? Number(process.env.REPORTS_CHECK_MINUTES) : 15;
+/* Webhook hosts allowed even though they resolve to private or loopback addresses (e.g. a receiver on this machine) */
+const REPORTS_WEBHOOK_ALLOW_HOSTS = (process.env.REPORTS_WEBHOOK_ALLOW_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
 const MONGODB_URI = process.env.MONGODB_URI || "";
 const USE_MONGODB = MONGODB_URI.length > 0;
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || "https://api.devnet.solana.com";
 const SOLANA_MINT_KEYPAIR_B58 = process.env.SOLANA_MINT_KEYPAIR || "";
+/* "metaplex" mints real NFTs on SOLANA_RPC_URL; "mock" fakes them in memory for local development */
+const SOLANA_MINT_PROVIDER = (process.env.SOLANA_MINT_PROVIDER || "metaplex").toLowerCase();
+
+/* Unique index on users.email so two sign-ups racing for one address can't both create an account */
+function ensureIndexes(database) {
+  return database
+    .collection("users")
+    .createIndex({ email: 1 }, { unique: true })
+    .catch((err) => console.error("Creating MongoDB indexes failed:", err.message));
+}
 
 let db = null;
 if (USE_MONGODB) {
@@ -37,7 +70,7 @@ if (USE_MONGODB) {
       .then((client) => {
         db = client.db();
         console.log("MongoDB connected.");
-        return client;
+        return ensureIndexes(db).then(() => client);
       })
       .catch((err) => {
         console.error("MongoDB connection failed:", err.message);
@@ -67,15 +100,349 @@ app.use(express.static(path.join(__dirname, ".")));
 
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
-if (!OPENROUTER_API_KEY) {
-  console.warn("OPENROUTER_API_KEY not set – food lookup, suggestions, parse-speech, and photo analysis will fail.");
+/* AI providers. Every AI route gets its backend from getAiProvider(task):
+   - openrouter: OpenRouter (OPENROUTER_API_KEY, OPENROUTER_CHAT_MODEL, OPENROUTER_VISION_MODEL)
+   - local: any OpenAI-compatible server such as Ollama or llama.cpp (LOCAL_LLM_URL, LOCAL_LLM_MODEL, LOCAL_LLM_VISION_MODEL)
+   - fixture: canned answers from data/ai-fixtures.json (or AI_FIXTURES_PATH), deterministic and offline
+   AI_PROVIDER sets the default; AI_PROVIDER_<TASK> overrides one route, e.g. AI_PROVIDER_ANALYZE_FOOD_IMAGE=openrouter. */
+const AI_TASKS = [
+  "chat",
+  "check-food",
+  "check-activity",
+  "suggestions",
+  "parse-speech",
+  "coach-briefing",
+  "analyze-goals",
+  "food-nutrition",
+  "analyze-food-image",
+  "chat-memory",
+  "report-commentary"
+];
+
+/* OpenAI-style response_format for a { name, schema } definition: "json_schema" (structured output), "json_object" (JSON mode) or "none" */
+function buildResponseFormat(schema, mode) {
+  if (!schema || mode === "none") return undefined;
+  if (mode === "json_object") return { type: "json_object" };
+  return { type: "json_schema", json_schema: { name: schema.name, schema: schema.schema } };
+}
+
+/* POST an OpenAI-style chat completion and return the successful response; errors carry the upstream HTTP status */
+async function postChatCompletion({ url, headers = {}, model, messages, maxTokens, responseFormat, tools, label }, stream = false) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        response_format: responseFormat,
+        tools,
+        tool_choice: tools ? "auto" : undefined,
+        stream: stream || undefined
+      })
+    });
+  } catch (err) {
+    const unreachable = new Error(`Could not reach ${label} at ${url}: ${err.cause?.code || err.cause?.message || err.message}`);
+    unreachable.status = 502;
+    throw unreachable;
+  }
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    let errData = {};
+    try {
+      errData = JSON.parse(text);
+    } catch (_) {}
+    const upstream = typeof errData.error === "string" ? errData.error : errData.error?.message || errData.error?.code;
+    const err = new Error(upstream || text || `${label} request failed.`);
+    err.status = response.status;
+    throw err;
+  }
+  return response;
+}
+
+/* The assistant message of a chat completion: { content, toolCalls: [{ id, name, arguments (JSON string) }] } */
+async function requestChatMessage(request) {
+  const data = await (await postChatCompletion(request)).json();
+  const message = data.choices?.[0]?.message || {};
+  const toolCalls = (message.tool_calls || []).map((call) => ({
+    id: call.id,
+    name: call.function?.name,
+    arguments: call.function?.arguments || "{}"
+  }));
+  return { content: (message.content || "").trim(), toolCalls };
+}
+
+/* The whole reply text of a chat completion */
+async function requestChatCompletion(request) {
+  return (await requestChatMessage(request)).content;
+}
+
+/* The reply text of a streamed chat completion, chunk by chunk as the server-sent events arrive.
+   Tool calls arrive in pieces too; they are put together and yielded last as one { toolCalls } item. */
+async function* streamChatCompletion(request) {
+  const response = await postChatCompletion(request, true);
+  const decoder = new TextDecoder();
+  const toolCalls = [];
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const payload = line.startsWith("data:") ? line.slice(5).trim() : "";
+      if (!payload || payload === "[DONE]") continue;
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (_) {
+        continue;
+      }
+      if (event.error) {
+        const err = new Error(typeof event.error === "string" ? event.error : event.error.message || `${request.label} stream failed.`);
+        err.status = 502;
+        throw err;
+      }
+      const delta = event.choices?.[0]?.delta || {};
+      for (const part of delta.tool_calls || []) {
+        const call = (toolCalls[part.index ?? toolCalls.length] ||= { id: "", name: "", arguments: "" });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+      if (delta.content) yield delta.content;
+    }
+  }
+  const calls = toolCalls.filter(Boolean);
+  if (calls.length > 0) yield { toolCalls: calls.map((call) => ({ ...call, arguments: call.arguments || "{}" })) };
+}
+
+/* Fixture entries per task: [{ match?: regex tested against the last user message, response: string | JSON, toolCalls? }].
+   The first entry that matches (or has no match) answers. An entry with toolCalls ([{ name, arguments }]) calls those tools
+   when tools are offered, then answers with its response once the tool results are in. */
+function fixtureMessage(task, messages, tools) {
+  const fixtures = require(path.resolve(AI_FIXTURES_PATH));
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  const text = Array.isArray(last?.content) ? last.content.map((part) => part.text || "").join("\n") : String(last?.content || "");
+  const hit = (fixtures[task] || []).find((f) => !f.match || new RegExp(f.match, "i").test(text));
+  if (!hit) {
+    const err = new Error(`No AI fixture for "${task}" in ${AI_FIXTURES_PATH}.`);
+    err.status = 501;
+    throw err;
+  }
+  if (tools && hit.toolCalls && messages[messages.length - 1]?.role !== "tool") {
+    const toolCalls = hit.toolCalls.map((call, i) => ({ id: `fixture-call-${i + 1}`, name: call.name, arguments: JSON.stringify(call.arguments || {}) }));
+    return { content: "", toolCalls };
+  }
+  return { content: typeof hit.response === "string" ? hit.response : JSON.stringify(hit.response), toolCalls: [] };
+}
+
+const openRouterRequest = ({ messages, maxTokens, vision, schema, tools }) => ({
+  url: "https://openrouter.ai/api/v1/chat/completions",
+  headers: { Authorization: `Bearer ${OPENROUTER_API_KEY}`, "HTTP-Referer": "http://localhost:3000" },
+  model: vision ? OPENROUTER_VISION_MODEL : OPENROUTER_CHAT_MODEL,
+  messages,
+  maxTokens,
+  responseFormat: buildResponseFormat(schema, "json_schema"),
+  tools: tools || undefined,
+  label: "OpenRouter"
+});
+
+const localLlmRequest = ({ messages, maxTokens, vision, schema, tools }) => ({
+  url: `${LOCAL_LLM_URL}/chat/completions`,
+  headers: LOCAL_LLM_API_KEY ? { Authorization: `Bearer ${LOCAL_LLM_API_KEY}` } : {},
+  model: vision ? LOCAL_LLM_VISION_MODEL : LOCAL_LLM_MODEL,
+  messages,
+  maxTokens,
+  responseFormat: buildResponseFormat(schema, LOCAL_LLM_RESPONSE_FORMAT),
+  tools: tools || undefined,
+  label: "the local model server"
+});
+
+const AI_PROVIDERS = {
+  openrouter: {
+    isConfigured: () => !!OPENROUTER_API_KEY,
+    setupHint: "Add OPENROUTER_API_KEY to .env",
+    complete: (options) => requestChatCompletion(openRouterRequest(options)),
+    respond: (options) => requestChatMessage(openRouterRequest(options)),
+    stream: (options) => streamChatCompletion(openRouterRequest(options))
+  },
+  local: {
+    isConfigured: () => !!LOCAL_LLM_URL,
+    setupHint: "Set LOCAL_LLM_URL in .env",
+    complete: (options) => requestChatCompletion(localLlmRequest(options)),
+    respond: (options) => requestChatMessage(localLlmRequest(options)),
+    stream: (options) => streamChatCompletion(localLlmRequest(options))
+  },
+  fixture: {
+    isConfigured: () => true,
+    setupHint: "",
+    complete: async ({ task, messages }) => fixtureMessage(task, messages, null).content,
+    respond: async ({ task, messages, tools }) => fixtureMessage(task, messages, tools),
+    /* Word by word, so streaming clients can be exercised offline */
+    stream: async function* ({ task, messages, tools }) {
+      const { content, toolCalls } = fixtureMessage(task, messages, tools);
+      yield* content.match(/\S+\s*|\s+/g) || [];
+      if (toolCalls.length > 0) yield { toolCalls };
+    }
+  }
+};
+
+function getAiProviderName(task) {
+  const name = (process.env[`AI_PROVIDER_${task.toUpperCase().replace(/-/g, "_")}`] || AI_PROVIDER).toLowerCase();
+  return AI_PROVIDERS[name] ? name : "openrouter";
+}
+
+/* The provider for one route: { name, task, isConfigured(), setupHint, complete(messages, { maxTokens, vision, schema }) -> reply text,
+   respond(messages, { maxTokens, tools }) -> { content, toolCalls },
+   stream(messages, { maxTokens, tools }) -> async iterable of reply text chunks, then { toolCalls } if the model called tools }.
+   Pass a { name, schema } definition to ask for structured output; use completeJson to also validate it.
+   tools are OpenAI-style function definitions; tool calls come back as { id, name, arguments (JSON string) }. */
+function getAiProvider(task) {
+  const name = getAiProviderName(task);
+  const provider = AI_PROVIDERS[name];
+  return {
+    name,
+    task,
+    isConfigured: provider.isConfigured,
+    setupHint: provider.setupHint,
+    complete: (messages, { maxTokens = 500, vision = false, schema = null } = {}) =>
+      provider.complete({ task, messages, maxTokens, vision, schema }),
+    respond: (messages, { maxTokens = 500, tools = null } = {}) =>
+      provider.respond({ task, messages, maxTokens, vision: false, schema: null, tools }),
+    stream: (messages, { maxTokens = 500, tools = null } = {}) =>
+      provider.stream({ task, messages, maxTokens, vision: false, schema: null, tools })
+  };
+}
+
+/* The route's provider, or null after answering 503 when it isn't set up */
+function requireAi(res, task, feature) {
+  const ai = getAiProvider(task);
+  if (ai.isConfigured()) return ai;
+  res.status(503).json({ error: `AI is not configured. ${ai.setupHint} to enable ${feature}.` });
+  return null;
+}
+
+/* Thrown when a model reply still doesn't match the route's schema after the repair retry */
+class AiOutputError extends Error {
+  constructor(task, errors) {
+    super(`The AI returned an invalid ${task} response. Try again.`);
+    this.name = "AiOutputError";
+    this.status = 422;
+    this.code = "ai_invalid_output";
+    this.details = errors;
+  }
+}
+
+/* Validate a value against the JSON Schema subset used by the AI schemas
+   (type, enum, properties, required, items, minItems, minimum, maximum, minLength). Returns error strings, empty when valid. */
+function validateJsonSchema(value, schema, at = "$") {
+  const types = [].concat(schema.type || []);
+  const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+  const actual = typeOf(value);
+  if (types.length && !types.some((t) => t === actual || (t === "number" && actual === "integer"))) {
+    return [`${at} should be ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) return [`${at} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`];
+  const errors = [];
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) errors.push(`${at} should be a finite number`);
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string" && schema.minLength != null && value.trim().length < schema.minLength) {
+    errors.push(`${at} should not be empty`);
+  }
+  if (actual === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at} should have at least ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateJsonSchema(value[key], sub, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/* Parse a reply as JSON (tolerating code fences or text around the object) and validate it: { value, errors } */
+function parseAiJson(content, schema) {
+  const text = String(content || "").replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "").trim();
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (_) {
+    const match = text.match(/\{[\s\S]*\}/);
+    try {
+      value = match ? JSON.parse(match[0]) : undefined;
+    } catch (_) {
+      value = undefined;
+    }
+  }
+  if (value === undefined) return { value, errors: ["reply is not valid JSON"] };
+  return { value, errors: validateJsonSchema(value, schema.schema) };
+}
+
+/* One repair attempt: show the model its invalid reply and the validation errors, then validate the retry.
+   Resolves to the corrected value or rejects with AiOutputError. */
+async function repairAiJson(ai, messages, content, errors, { schema, ...options }) {
+  console.warn(`${ai.task}: AI reply failed schema validation (${errors.join("; ")}) – retrying once.`);
+  const repairMessages = [
+    ...messages,
+    { role: "assistant", content },
+    {
+      role: "user",
+      content: `Your reply did not match the required JSON schema:\n- ${errors.join("\n- ")}\n\nSchema:\n${JSON.stringify(schema.schema)}\n\nReply again with ONLY the corrected JSON, no other text.`
+    }
+  ];
+  const retry = parseAiJson(await ai.complete(repairMessages, { ...options, schema }), schema);
+  if (retry.errors.length === 0) return retry.value;
+  throw new AiOutputError(ai.task, retry.errors);
+}
+
+/* Ask for JSON matching schema ({ name, schema }), repairing once if the reply doesn't conform */
+async function completeJson(ai, messages, options) {
+  const content = await ai.complete(messages, options);
+  const { value, errors } = parseAiJson(content, options.schema);
+  return errors.length === 0 ? value : repairAiJson(ai, messages, content, errors, options);
+}
+
+/* JSON body for a failed AI route: { error } plus code/details for invalid model output */
+function aiErrorBody(err, fallback) {
+  const body = { error: err.message || fallback };
+  if (err instanceof AiOutputError) Object.assign(body, { code: err.code, details: err.details });
+  return body;
+}
+
+for (const [key, value] of Object.entries(process.env)) {
+  if ((key === "AI_PROVIDER" || key.startsWith("AI_PROVIDER_")) && !AI_PROVIDERS[String(value).toLowerCase()]) {
+    console.warn(`${key}=${value} is not a known AI provider (${Object.keys(AI_PROVIDERS).join(", ")}) – using openrouter.`);
+  }
+}
+const openRouterTasks = AI_TASKS.filter((task) => getAiProviderName(task) === "openrouter");
+if (!OPENROUTER_API_KEY && openRouterTasks.length > 0) {
+  console.warn(`OPENROUTER_API_KEY not set – only the local food database is available; ${openRouterTasks.join(", ")} will fail.`);
 }
 if (!ELEVENLABS_API_KEY) {
   console.warn("ELEVENLABS_API_KEY not set – read-aloud voice will be unavailable.");
 }
+if (SOLANA_MINT_PROVIDER === "mock") {
+  console.warn("SOLANA_MINT_PROVIDER=mock – achievement NFTs are simulated in memory, nothing is minted on Solana.");
+}
 
 app.get("/api/health", (req, res) => {
-  res.json({ ok: true, openrouter: !!OPENROUTER_API_KEY, elevenlabs: !!ELEVENLABS_API_KEY, mongodb: USE_MONGODB && !!db });
+  res.json({
+    ok: true,
+    openrouter: !!OPENROUTER_API_KEY,
+    ai: Object.fromEntries(AI_TASKS.map((task) => [task, getAiProviderName(task)])),
+    elevenlabs: !!ELEVENLABS_API_KEY,
+    mongodb: USE_MONGODB && !!db,
+    chatTools: USE_MONGODB && !!db
+  });
 });
 
 /* Anonymous cookie: ensure every request has an anon_id for MongoDB identity */
@@ -93,911 +460,3982 @@ function getOrCreateAnonId(req, res, next) {
   next();
 }
 
-/* Achievement definitions: id, name, description, check(diet, activity, goals) -> boolean */
-const ACHIEVEMENTS = [
-  {
-    id: "first_food",
-    name: "First Bite",
-    description: "Log your first food entry"
-  },
-  {
-    id: "first_activity",
-    name: "First Move",
-    description: "Log your first activity"
-  },
-  {
-    id: "streak_3",
-    name: "3-Day Streak",
-    description: "Log food or activity 3 days in a row"
-  },
-  {
-    id: "streak_7",
-    name: "Week Warrior",
-    description: "Log food or activity 7 days in a row"
-  },
-  {
-    id: "ten_activities",
-    name: "Active Ten",
-    description: "Log 10 activity sessions"
-  },
-  {
-    id: "protein_goal_5",
-    name: "Protein Pro",
-    description: "Hit your protein goal 5 days"
-  },
-  {
-    id: "calorie_goal_5",
-    name: "Calorie Champion",
-    description: "Hit your calorie goal 5 days"
-  },
-  {
-    id: "activity_goal_5",
-    name: "Movement Master",
-    description: "Hit your activity goal 5 days"
-  }
-];
+/* Accounts: email/password users (MongoDB "users") with server-side sessions (MongoDB "sessions").
+   Session cookie holds a random token; only its SHA-256 hash is stored. */
+const SESSION_COOKIE = "session_id";
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
 
-function getOrderedDates(diet, activity) {
-  const dates = new Set([...(Object.keys(diet || {})), ...(Object.keys(activity || {}))]);
-  return Array.from(dates).sort();
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
 }
 
-function computeAchievementsEarned(diet, activity, goals) {
-  const earned = [];
-  const dietDates = Object.keys(diet || {});
-  const activityDates = Object.keys(activity || {});
-  const allDates = getOrderedDates(diet, activity);
-  const calorieGoal = goals?.calorieGoal ?? 2000;
-  const proteinGoal = goals?.proteinGoal ?? 50;
-  const activityGoal = goals?.activityGoal ?? 30;
-
-  const totalFoodEntries = dietDates.reduce((sum, d) => sum + (diet[d]?.length || 0), 0);
-  const totalActivitySessions = activityDates.reduce((sum, d) => sum + (activity[d]?.length || 0), 0);
-
-  if (totalFoodEntries > 0) earned.push("first_food");
-  if (totalActivitySessions > 0) earned.push("first_activity");
-  if (totalActivitySessions >= 10) earned.push("ten_activities");
-
-  let streak = 0;
-  const sortedDates = allDates.slice().sort();
-  for (let i = sortedDates.length - 1; i >= 0; i--) {
-    const d = sortedDates[i];
-    const hasFood = (diet[d]?.length || 0) > 0;
-    const hasActivity = (activity[d]?.length || 0) > 0;
-    if (hasFood || hasActivity) streak++;
-    else break;
-  }
-  if (streak >= 3) earned.push("streak_3");
-  if (streak >= 7) earned.push("streak_7");
-
-  let proteinDays = 0;
-  let calorieDays = 0;
-  let activityMinutesDays = 0;
-  for (const d of dietDates) {
-    const entries = diet[d] || [];
-    const protein = entries.reduce((s, e) => s + (Number(e.protein) || 0), 0);
-    const calories = entries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
-    if (protein >= proteinGoal) proteinDays++;
-    if (calories >= calorieGoal * 0.9 && calories <= calorieGoal * 1.1) calorieDays++;
-  }
-  for (const d of activityDates) {
-    const entries = activity[d] || [];
-    const minutes = entries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
-    if (minutes >= activityGoal) activityMinutesDays++;
-  }
-  if (proteinDays >= 5) earned.push("protein_goal_5");
-  if (calorieDays >= 5) earned.push("calorie_goal_5");
-  if (activityMinutesDays >= 5) earned.push("activity_goal_5");
-
-  return [...new Set(earned)];
-}
-
-/* GET /api/data – load diet, activity, goals for this anonymous user (MongoDB) */
-app.get("/api/data", getOrCreateAnonId, async (req, res) => {
-  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable sync." });
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) reject(err);
+      else resolve({ salt, hash: key.toString("hex") });
+    });
+  });
+}
+
+async function verifyPassword(password, salt, expectedHash) {
+  const { hash } = await hashPassword(password, salt);
+  const a = Buffer.from(hash, "hex");
+  const b = Buffer.from(String(expectedHash || ""), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+async function createSession(res, userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  await db.collection("sessions").insertOne({
+    _id: hashToken(token),
+    userId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS)
+  });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    maxAge: SESSION_MAX_AGE_MS,
+    sameSite: "lax"
+  });
+}
+
+/* Identify the caller: the signed-in account if there is a valid session, otherwise the anonymous cookie.
+   Sets req.userId (the appdata document _id) and req.account ({ id, email } or null). */
+async function resolveUser(req, res, next) {
+  getOrCreateAnonId(req, res, () => {});
+  req.userId = req.anonId;
+  req.account = null;
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (!token || !db) return next();
   try {
-    const col = db.collection("appdata");
-    const doc = await col.findOne({ _id: req.anonId });
-    const diet = doc?.diet || {};
-    const activity = doc?.activity || {};
-    const goals = doc?.goals ?? null;
-    const goalStory = doc?.goalStory || "";
-    const walletAddress = doc?.walletAddress || null;
-    const storedMinted = doc?.achievementsMinted || [];
-    const earned = computeAchievementsEarned(diet, activity, goals);
-    const earnedSet = new Set(earned);
-    const minted = storedMinted.filter((id) => earnedSet.has(id));
-    if (minted.length !== storedMinted.length || storedMinted.some((id) => !earnedSet.has(id))) {
-      await col.updateOne(
-        { _id: req.anonId },
-        { $set: { achievementsEarned: earned, achievementsMinted: minted, updatedAt: new Date() } },
-        { upsert: true }
-      );
-    } else if (doc && (doc.achievementsEarned === undefined || doc.achievementsMinted === undefined)) {
-      await col.updateOne(
-        { _id: req.anonId },
-        { $set: { achievementsEarned: earned, achievementsMinted: minted, updatedAt: new Date() } },
-        { upsert: true }
-      );
+    const session = await db.collection("sessions").findOne({ _id: hashToken(token), expiresAt: { $gt: new Date() } });
+    if (session) {
+      const user = await db.collection("users").findOne({ _id: session.userId });
+      if (user) {
+        req.account = { id: user._id, email: user.email };
+        req.userId = user._id;
+      }
     }
-    res.json({
-      diet,
-      activity,
-      goals,
-      goalStory,
-      walletAddress,
-      achievementsEarned: earned,
-      achievementsMinted: minted,
-      achievementsMeta: ACHIEVEMENTS
-    });
+    if (!req.account) res.clearCookie(SESSION_COOKIE);
+    next();
   } catch (err) {
-    console.error("GET /api/data error:", err);
-    res.status(500).json({ error: err.message || "Failed to load data." });
+    console.error("resolveUser error:", err);
+    res.status(500).json({ error: "Failed to load session." });
   }
-});
+}
 
-/* PUT /api/data – save diet, activity, goals for this anonymous user (MongoDB) */
-app.put("/api/data", getOrCreateAnonId, async (req, res) => {
-  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable sync." });
-  const { diet = {}, activity = {}, goals = null, goalStory = "" } = req.body || {};
+/* Union of two { achievementId: date } maps (date keys or ms), keeping the earlier date */
+function mergeEarnedDates(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [id, date] of Object.entries(b || {})) {
+    if (!merged[id] || date < merged[id]) merged[id] = date;
+  }
+  return merged;
+}
+
+/* Move anonymous chat history and memory to the account where the account has none of its own; Calixo's undoable actions follow the data */
+async function claimAnonymousConversations(anonId, userId) {
+  const conversations = db.collection("conversations");
+  for (const doc of await conversations.find({ userId: anonId }).toArray()) {
+    const target = conversationId(userId, doc.channel);
+    if (!(await conversations.findOne({ _id: target }, { projection: { _id: 1 } }))) {
+      await conversations.insertOne({ ...doc, _id: target, userId });
+    }
+    await conversations.deleteOne({ _id: doc._id });
+  }
+  const memories = db.collection("chatmemory");
+  const anonMemory = await memories.findOne({ _id: anonId });
+  if (anonMemory && !(await memories.findOne({ _id: userId }, { projection: { _id: 1 } }))) {
+    await memories.insertOne({ ...anonMemory, _id: userId });
+  }
+  await memories.deleteOne({ _id: anonId });
+  await db.collection("chatactions").updateMany({ userId: anonId }, { $set: { userId } });
+}
+
+/* Move this browser's anonymous appdata document (and custom foods, chats and reports) into an account, merging with what the account already has */
+async function claimAnonymousData(anonId, userId) {
+  const col = db.collection("appdata");
+  const anonDoc = await col.findOne({ _id: anonId });
+  await db.collection("foods").updateMany({ owner: anonId }, { $set: { owner: userId } });
+  await claimAnonymousConversations(anonId, userId);
+  await claimAnonymousReports(anonId, userId);
+  if (!anonDoc) return false;
+  const anonChanges = collectChangesSince(anonDoc, null);
+  await updateSyncDoc(userId, (next, seq) => {
+    applySyncChanges(next, { entries: anonChanges.entries, deletions: anonChanges.deletions }, seq);
+    if (!hasGoalsPayload(next) && anonChanges.goals) {
+      applyGoalsChange(next, { ...anonChanges.goals, updatedAt: Math.max(anonChanges.goals.updatedAt, 1) }, seq);
+    }
+  });
+  const userDoc = await col.findOne({ _id: userId });
+  await col.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        walletAddress: userDoc?.walletAddress || anonDoc.walletAddress || null,
+        achievementsMinted: [...new Set([...(userDoc?.achievementsMinted || []), ...(anonDoc.achievementsMinted || [])])],
+        achievementsEarnedAt: mergeEarnedDates(userDoc?.achievementsEarnedAt, anonDoc.achievementsEarnedAt),
+        achievementsUnlockedAt: mergeEarnedDates(userDoc?.achievementsUnlockedAt, anonDoc.achievementsUnlockedAt),
+        achievementMints: { ...(anonDoc.achievementMints || {}), ...(userDoc?.achievementMints || {}) }
+      }
+    }
+  );
+  await col.deleteOne({ _id: anonId });
+  return true;
+}
+
+/* POST /api/auth/register – create an email/password account and sign in; optionally claim this browser's anonymous data */
+app.post("/api/auth/register", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable accounts." });
+  const { email, password, claimAnonymous = true } = req.body || {};
+  const cleanEmail = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) return res.status(400).json({ error: "Enter a valid email address." });
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+  }
   try {
-    const col = db.collection("appdata");
-    await col.updateOne(
-      { _id: req.anonId },
-      { $set: { diet, activity, goals, goalStory, updatedAt: new Date() } },
-      { upsert: true }
-    );
-    res.json({ ok: true });
+    const users = db.collection("users");
+    if (await users.findOne({ email: cleanEmail })) {
+      return res.status(409).json({ error: "An account with this email already exists. Sign in instead." });
+    }
+    const { salt, hash } = await hashPassword(password);
+    const userId = `user:${crypto.randomUUID()}`;
+    try {
+      await users.insertOne({ _id: userId, email: cleanEmail, passwordSalt: salt, passwordHash: hash, createdAt: new Date() });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: "An account with this email already exists. Sign in instead." });
+      throw err;
+    }
+    const claimed = claimAnonymous ? await claimAnonymousData(req.anonId, userId) : false;
+    await createSession(res, userId);
+    res.json({ ok: true, account: { email: cleanEmail }, claimed });
   } catch (err) {
-    console.error("PUT /api/data error:", err);
-    res.status(500).json({ error: err.message || "Failed to save data." });
+    console.error("POST /api/auth/register error:", err);
+    res.status(500).json({ error: err.message || "Failed to create account." });
   }
 });
 
-/* POST /api/link-wallet – verify signature and link Solana wallet to anon_id */
-app.post("/api/link-wallet", getOrCreateAnonId, async (req, res) => {
-  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
-  const { publicKey, message, signature } = req.body || {};
-  if (!publicKey || !message || !signature) {
-    return res.status(400).json({ error: "Missing publicKey, message, or signature." });
-  }
+/* POST /api/auth/login – sign in with email/password; optionally claim this browser's anonymous data */
+app.post("/api/auth/login", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable accounts." });
+  const { email, password, claimAnonymous = false } = req.body || {};
   try {
-    const msgBytes = Buffer.from(String(message), "utf8");
-    const sigBytes = Buffer.isBuffer(signature) ? signature : Buffer.from(signature, "base64");
-    const pk = new PublicKey(publicKey);
-    const pkBytes = pk.toBytes();
-    if (sigBytes.length !== 64) {
-      return res.status(400).json({ error: "Invalid signature length." });
+    const user = await db.collection("users").findOne({ email: normalizeEmail(email) });
+    if (!user || !(await verifyPassword(password, user.passwordSalt, user.passwordHash))) {
+      return res.status(401).json({ error: "Incorrect email or password." });
     }
-    const valid = nacl.sign.detached.verify(msgBytes, sigBytes, pkBytes);
-    if (!valid) return res.status(401).json({ error: "Invalid signature." });
-    const col = db.collection("appdata");
-    await col.updateOne(
-      { _id: req.anonId },
-      { $set: { walletAddress: publicKey, updatedAt: new Date() } },
-      { upsert: true }
-    );
-    res.json({ ok: true, walletAddress: publicKey });
+    const claimed = claimAnonymous ? await claimAnonymousData(req.anonId, user._id) : false;
+    await createSession(res, user._id);
+    res.json({ ok: true, account: { email: user.email }, claimed });
   } catch (err) {
-    console.error("POST /api/link-wallet error:", err);
-    res.status(500).json({ error: err.message || "Failed to link wallet." });
+    console.error("POST /api/auth/login error:", err);
+    res.status(500).json({ error: err.message || "Failed to sign in." });
   }
 });
 
-/* POST /api/disconnect-wallet – remove wallet link for this anon_id */
-app.post("/api/disconnect-wallet", getOrCreateAnonId, async (req, res) => {
-  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+/* POST /api/auth/logout – end the current session; the browser falls back to its anonymous identity */
+app.post("/api/auth/logout", async (req, res) => {
+  const token = req.cookies?.[SESSION_COOKIE];
   try {
-    const col = db.collection("appdata");
-    await col.updateOne(
-      { _id: req.anonId },
-      { $unset: { walletAddress: "" }, $set: { updatedAt: new Date() } }
-    );
+    if (token && db) await db.collection("sessions").deleteOne({ _id: hashToken(token) });
+    res.clearCookie(SESSION_COOKIE);
     res.json({ ok: true });
   } catch (err) {
-    console.error("POST /api/disconnect-wallet error:", err);
-    res.status(500).json({ error: err.message || "Failed to disconnect wallet." });
+    console.error("POST /api/auth/logout error:", err);
+    res.status(500).json({ error: err.message || "Failed to sign out." });
   }
 });
 
-/* POST /api/mint-achievement – mint achievement NFT to linked wallet (optional: requires SOLANA_MINT_KEYPAIR) */
-app.post("/api/mint-achievement", getOrCreateAnonId, async (req, res) => {
+/* GET /api/auth/me – current account, if signed in */
+app.get("/api/auth/me", resolveUser, (req, res) => {
+  res.json({ account: req.account ? { email: req.account.email } : null, accountsEnabled: !!db });
+});
+
+/* POST /api/auth/claim – merge this browser's anonymous data into the signed-in account */
+app.post("/api/auth/claim", resolveUser, async (req, res) => {
   if (!db) return res.status(503).json({ error: "MongoDB not configured." });
-  const { achievementId } = req.body || {};
-  if (!achievementId) return res.status(400).json({ error: "Missing achievementId." });
+  if (!req.account) return res.status(401).json({ error: "Sign in first." });
   try {
-    const col = db.collection("appdata");
-    const doc = await col.findOne({ _id: req.anonId });
-    const walletAddress = doc?.walletAddress;
-    const earned = doc?.achievementsEarned || computeAchievementsEarned(doc?.diet || {}, doc?.activity || {}, doc?.goals);
-    const minted = doc?.achievementsMinted || [];
-    if (!walletAddress) return res.status(400).json({ error: "Connect a Solana wallet first." });
-    if (!earned.includes(achievementId)) return res.status(400).json({ error: "Achievement not earned." });
-    if (minted.includes(achievementId)) return res.status(400).json({ error: "Already minted." });
-    const meta = ACHIEVEMENTS.find((a) => a.id === achievementId);
-    if (!meta) return res.status(400).json({ error: "Unknown achievement." });
-    if (!SOLANA_MINT_KEYPAIR_B58) {
-      return res.status(503).json({
-        error: "NFT minting not configured. Set SOLANA_MINT_KEYPAIR in .env to enable (base58 secret key)."
-      });
-    }
-    const mintNft = await getMintNftHandler();
-    if (!mintNft) {
-      return res.status(503).json({
-        error: "NFT minting not available. Install @metaplex-foundation/js and fund the mint keypair for devnet/mainnet."
-      });
-    }
-    const txSignature = await mintNft(walletAddress, meta);
-    await col.updateOne(
-      { _id: req.anonId },
-      { $addToSet: { achievementsMinted: achievementId }, $set: { updatedAt: new Date() } }
-    );
-    res.json({ ok: true, signature: txSignature });
+    const claimed = await claimAnonymousData(req.anonId, req.userId);
+    res.json({ ok: true, claimed });
   } catch (err) {
-    console.error("POST /api/mint-achievement error:", err);
-    res.status(500).json({ error: err.message || "Mint failed." });
+    console.error("POST /api/auth/claim error:", err);
+    res.status(500).json({ error: err.message || "Failed to claim data." });
   }
 });
 
-function getMintNftHandler() {
-  try {
-    const { Connection, Keypair } = require("@solana/web3.js");
-    const bs58 = require("bs58");
-    const { Metaplex, keypairIdentity } = require("@metaplex-foundation/js");
-    const keypairBytes = bs58.decode(SOLANA_MINT_KEYPAIR_B58);
-    const payer = Keypair.fromSecretKey(keypairBytes);
-    const connection = new Connection(SOLANA_RPC_URL);
-    const metaplex = Metaplex.make(connection).use(keypairIdentity(payer));
-    return async (toWalletAddress, achievementMeta) => {
-      const toPubkey = new PublicKey(toWalletAddress);
-      let uri;
-      try {
-        const up = await metaplex.nfts().uploadMetadata({
-          name: achievementMeta.name,
-          description: achievementMeta.description
-        });
-        uri = up.uri;
-      } catch (_) {
-        uri = "data:application/json," + encodeURIComponent(JSON.stringify({
-          name: achievementMeta.name,
-          description: achievementMeta.description
-        }));
-      }
-      const { nft } = await metaplex.nfts().create({
-        uri,
-        name: achievementMeta.name,
-        symbol: "CALIX",
-        sellerFeeBasisPoints: 0
-      }, { recipient: toPubkey });
-      return nft.address.toBase58();
-    };
-  } catch (_) {
-    return null;
-  }
+/* Achievement definitions live in data/achievements.json as { id, name, description, rule } and are evaluated
+   by ACHIEVEMENT_RULES below, so new achievements are added as data. Rule types:
+   - count: { metric: "foodEntries" | "activitySessions" | "loggedDays", min }
+   - streak: { min } days in a row with food or activity, ending today (or yesterday while today is still empty);
+     earned on the day that run reached min
+   - goalDays: { goal: "calories" | "protein" | "activity", min } days the current goal was hit
+   - personalBest: { metric, afterDays } a day beating every earlier day, once afterDays days with that metric came before
+   - activityTotal: { activityType, measure: "minutes" | "sessions", min } totals for one activity type */
+const ACHIEVEMENTS = require("./data/achievements.json");
+
+/* Body profile: { weightKg, heightCm, age, sex: "female" | "male" | null, activityLevel }.
+   BMR uses Mifflin-St Jeor; TDEE multiplies it by the activity level. Kept in step with script.js. */
+const ACTIVITY_LEVEL_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+
+const ACTIVITY_LEVEL_LABELS = {
+  sedentary: "sedentary",
+  light: "lightly active",
+  moderate: "moderately active",
+  active: "active",
+  very_active: "very active"
+};
+
+function normalizeProfile(profile) {
+  if (!profile || typeof profile !== "object") return null;
+  const num = (value, min, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= min && n <= max ? Math.round(n * 10) / 10 : null;
+  };
+  const normalized = {
+    weightKg: num(profile.weightKg, 25, 350),
+    heightCm: num(profile.heightCm, 100, 250),
+    age: num(profile.age, 13, 110),
+    sex: profile.sex === "female" || profile.sex === "male" ? profile.sex : null,
+    activityLevel: ACTIVITY_LEVEL_FACTORS[profile.activityLevel] ? profile.activityLevel : null
+  };
+  return Object.values(normalized).some((v) => v != null) ? normalized : null;
 }
 
-app.post("/api/text-to-speech", async (req, res) => {
-  if (!ELEVENLABS_API_KEY) {
-    return res.status(503).json({ error: "ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env" });
-  }
-  const { text } = req.body;
-  const toSpeak = (text || "").trim().slice(0, 2500);
-  if (!toSpeak) return res.status(400).json({ error: "Missing or empty 'text'." });
+function computeBMR(profile) {
+  const p = normalizeProfile(profile);
+  if (!p?.weightKg || !p.heightCm || !p.age) return null;
+  const sexOffset = p.sex === "male" ? 5 : p.sex === "female" ? -161 : -78;
+  return Math.round(10 * p.weightKg + 6.25 * p.heightCm - 5 * p.age + sexOffset);
+}
 
-  const voiceId = ELEVENLABS_VOICE_ID;
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+function computeTDEE(profile) {
+  const bmr = computeBMR(profile);
+  if (!bmr) return null;
+  return Math.round(bmr * ACTIVITY_LEVEL_FACTORS[normalizeProfile(profile).activityLevel || "light"]);
+}
 
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "xi-api-key": ELEVENLABS_API_KEY,
-        "Content-Type": "application/json",
-        Accept: "audio/mpeg"
-      },
-      body: JSON.stringify({
+/* Calorie goal when none is set: TDEE rounded to 50, or the fixed default without a complete profile */
+function getDefaultCalorieGoal(profile) {
+  const tdee = computeTDEE(profile);
+  return tdee ? Math.round(tdee / 50) * 50 : DEFAULT_CALORIE_GOAL;
+}
+
+/* One line for prompts, e.g. "80 kg, 180 cm, 34 y, male, moderately active; BMR ~1800, TDEE ~2790 cal/day" */
+function describeProfile(profile) {
+  const p = normalizeProfile(profile);
+  if (!p) return "";
+  const parts = [
+    p.weightKg && `${p.weightKg} kg`,
+    p.heightCm && `${p.heightCm} cm`,
+    p.age && `${p.age} y`,
+    p.sex,
+    p.activityLevel && ACTIVITY_LEVEL_LABELS[p.activityLevel]
+  ].filter(Boolean);
+  const bmr = computeBMR(p);
+  const tdee = computeTDEE(p);
+  return parts.join(", ") + (bmr ? `; BMR ~${bmr}, TDEE ~${tdee} cal/day` : "");
+}
+
+const ACTIVITY_TYPES = ["walk", "run", "cycle", "gym", "sports", "other"];
+const ACTIVITY_INTENSITIES = ["light", "moderate", "vigorous"];
+
+/* Same MET table, benefits and burn formula as the client, for activity logged on the server */
+const MET_BY_ACTIVITY = {
+  walk: { light: 2.5, moderate: 3.5, vigorous: 5.0 },
+  run: { light: 6.0, moderate: 9.0, vigorous: 12.0 },
+  cycle: { light: 4.0, moderate: 8.0, vigorous: 12.0 },
+  gym: { light: 3.0, moderate: 5.0, vigorous: 6.0 },
+  sports: { light: 5.0, moderate: 7.0, vigorous: 10.0 },
+  other: { light: 3.0, moderate: 5.0, vigorous: 7.0 }
+};
+
+const ACTIVITY_BENEFITS = {
+  walk: ["Heart health", "Mood", "Steps"],
+  run: ["Cardio", "Endurance", "Calorie burn"],
+  cycle: ["Leg strength", "Cardio", "Low impact"],
+  gym: ["Strength", "Bone density", "Muscle"],
+  sports: ["Full body", "Coordination", "Fun"],
+  other: ["General fitness", "Movement"]
+};
+
+const DEFAULT_WEIGHT_KG = 70;
+
+function computeCaloriesBurned(type, intensity, durationMinutes, profile = null) {
+  const byType = MET_BY_ACTIVITY[type] || MET_BY_ACTIVITY.other;
+  const met = byType[intensity] ?? byType.moderate;
+  const hours = durationMinutes / 60;
+  const bmr = computeBMR(profile);
+  if (bmr) return Math.round(met * (bmr / 24) * hours);
+  return Math.round(met * (normalizeProfile(profile)?.weightKg || DEFAULT_WEIGHT_KG) * hours);
+}
+
+function getOrderedDates(diet, activity) {
+  const dates = new Set([...(Object.keys(diet || {})), ...(Object.keys(activity || {}))]);
+  return Array.from(dates).sort();
+}
+
+function toDateKey(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+function shiftDateKey(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return toDateKey(new Date(y, m - 1, d + days));
+}
+
+/* Per-day totals, oldest first, for the achievement rules */
+function getDailyStats(diet, activity) {
+  const sum = (entries, field) => entries.reduce((s, e) => s + (Number(e[field]) || 0), 0);
+  return getOrderedDates(diet, activity).map((date) => {
+    const food = diet?.[date] || [];
+    const sessions = activity?.[date] || [];
+    return {
+      date,
+      sessions,
+      foodEntries: food.length,
+      activitySessions: sessions.length,
+      loggedDays: food.length + sessions.length > 0 ? 1 : 0,
+      calories: sum(food, "calories"),
+      protein: sum(food, "protein"),
+      activityMinutes: sum(sessions, "duration"),
+      caloriesBurned: sum(sessions, "caloriesBurned")
+    };
+  });
+}
+
+/* Same goal-hit rules as the Trends tab: calories within ±10%, protein and activity at or above goal */
+const GOAL_HIT_CHECKS = {
+  calories: (day, goals) => day.foodEntries > 0 && day.calories >= goals.calorieGoal * 0.9 && day.calories <= goals.calorieGoal * 1.1,
+  protein: (day, goals) => day.foodEntries > 0 && day.protein >= goals.proteinGoal,
+  activity: (day, goals) => day.activityMinutes >= goals.activityGoal
+};
+
+/* Running total over the days: { current, target, earnedOn } where earnedOn is the date it first reached min */
+function runningTotalProgress(days, min, valueOf) {
+  let total = 0;
+  let earnedOn = null;
+  for (const day of days) {
+    total += valueOf(day);
+    if (!earnedOn && total >= min) earnedOn = day.date;
+  }
+  return { current: total, target: min, earnedOn };
+}
+
+/* Each rule type: (rule, days, ctx) -> { current, target, earnedOn: dateKey | null } */
+const ACHIEVEMENT_RULES = {
+  count: (rule, days) => runningTotalProgress(days, rule.min, (day) => day[rule.metric] || 0),
+  goalDays: (rule, days, ctx) => {
+    const check = GOAL_HIT_CHECKS[rule.goal];
+    return runningTotalProgress(days, rule.min, (day) => (check && check(day, ctx.goals) ? 1 : 0));
+  },
+  activityTotal: (rule, days) =>
+    runningTotalProgress(days, rule.min, (day) => {
+      const sessions = day.sessions.filter((e) => e.type === rule.activityType);
+      return rule.measure === "sessions" ? sessions.length : sessions.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+    }),
+  /* Progress is the days with that metric logged so far; beating the best only counts once there are afterDays of them */
+  personalBest: (rule, days) => {
+    let best = 0;
+    let counted = 0;
+    let earnedOn = null;
+    for (const day of days) {
+      const value = day[rule.metric] || 0;
+      if (value <= 0) continue;
+      if (!earnedOn && counted >= rule.afterDays && value > best) earnedOn = day.date;
+      best = Math.max(best, value);
+      counted++;
+    }
+    return { current: counted, target: rule.afterDays + 1, earnedOn };
+  },
+  streak: (rule, days, ctx) => {
+    const logged = new Set(days.filter((day) => day.loggedDays > 0).map((day) => day.date));
+    let cursor = logged.has(ctx.today) ? ctx.today : shiftDateKey(ctx.today, -1);
+    let streak = 0;
+    while (logged.has(cursor)) {
+      streak++;
+      cursor = shiftDateKey(cursor, -1);
+    }
+    /* cursor is now the day before the run began */
+    const earnedOn = streak >= rule.min ? shiftDateKey(cursor, rule.min) : null;
+    return { current: streak, target: rule.min, earnedOn };
+  }
+};
+
+/* { achievementId: { current, target, earnedOn } } for every achievement; earnedOn is set when its rule holds now.
+   today is the user's own date (see userToday), so streaks don't break or extend at the server's midnight. */
+function evaluateAchievements(diet, activity, goals, profile = null, today = toDateKey(new Date())) {
+  const ctx = { today, goals: resolveGoals(goals, getDefaultCalorieGoal(profile)) };
+  const days = getDailyStats(diet, activity);
+  const progress = {};
+  for (const a of ACHIEVEMENTS) {
+    const evaluate = ACHIEVEMENT_RULES[a.rule?.type];
+    progress[a.id] = evaluate ? evaluate(a.rule, days, ctx) : { current: 0, target: 1, earnedOn: null };
+  }
+  return progress;
+}
+
+function computeAchievementsEarned(diet, activity, goals, profile = null) {
+  const progress = evaluateAchievements(diet, activity, goals, profile);
+  return Object.keys(progress).filter((id) => progress[id].earnedOn);
+}
+
+/* Incremental sync: each diet/activity/body entry carries updatedAt (ms since epoch) and deletions are kept as
+   tombstones in `deleted`. Every write bumps the document's `seq` and stamps what it changed with that seq,
+   so clients can pull "changes since cursor". Conflicts resolve by comparing versions
+   [updatedAt, isDeletion, payload]: newer wins, a deletion beats an edit with the same timestamp, and the
+   payload string breaks remaining ties so every client and the server pick the same winner. */
+/* body: per-date measurements { id, weightKg, waistCm, bodyFatPct } (at most one per date) */
+const ENTRY_KINDS = ["diet", "activity", "body"];
+
+/* The user's date from the timezoneOffset their browser reported (minutes, as Date#getTimezoneOffset);
+   the server's date when it is missing or out of range */
+function userToday(timezoneOffset) {
+  const offset = Number(timezoneOffset);
+  if (timezoneOffset == null || timezoneOffset === "" || !Number.isInteger(offset) || Math.abs(offset) > 14 * 60) {
+    return toDateKey(new Date());
+  }
+  return localDateAndHour(new Date(), offset).date;
+}
+
+function isDateKey(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(date || ""));
+}
+
+function stripSeq(entry) {
+  const { seq, ...rest } = entry || {};
+  return rest;
+}
+
+function versionOf(updatedAt, isDeletion, payload) {
+  return [Number(updatedAt) || 0, isDeletion ? 1 : 0, JSON.stringify(payload ?? null)];
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function findEntry(doc, kind, id) {
+  for (const [date, entries] of Object.entries(doc[kind] || {})) {
+    const index = (entries || []).findIndex((e) => String(e.id) === id);
+    if (index !== -1) return { date, index, entry: entries[index] };
+  }
+  return null;
+}
+
+function removeEntryAt(doc, kind, found) {
+  doc[kind][found.date].splice(found.index, 1);
+  if (doc[kind][found.date].length === 0) delete doc[kind][found.date];
+}
+
+function applyEntryUpsert(doc, kind, date, entry, seq) {
+  if (!ENTRY_KINDS.includes(kind) || !isDateKey(date) || !entry || entry.id == null) return;
+  const clean = { ...stripSeq(entry), id: String(entry.id), updatedAt: Number(entry.updatedAt) || 0 };
+  const incoming = versionOf(clean.updatedAt, false, clean);
+  const tombstone = doc.deleted[clean.id];
+  if (tombstone && compareVersions(versionOf(tombstone.deletedAt, true, clean.id), incoming) >= 0) return;
+  const found = findEntry(doc, kind, clean.id);
+  if (found && compareVersions(versionOf(found.entry.updatedAt, false, stripSeq(found.entry)), incoming) >= 0) return;
+  if (found) removeEntryAt(doc, kind, found);
+  if (!doc[kind][date]) doc[kind][date] = [];
+  doc[kind][date].push({ ...clean, seq });
+  delete doc.deleted[clean.id];
+}
+
+function applyEntryDeletion(doc, deletion, seq) {
+  const { kind, date } = deletion || {};
+  if (!ENTRY_KINDS.includes(kind) || deletion.id == null) return;
+  const id = String(deletion.id);
+  const deletedAt = Number(deletion.deletedAt) || 0;
+  const incoming = versionOf(deletedAt, true, id);
+  const tombstone = doc.deleted[id];
+  if (tombstone && compareVersions(versionOf(tombstone.deletedAt, true, id), incoming) >= 0) return;
+  const found = findEntry(doc, kind, id);
+  if (found && compareVersions(versionOf(found.entry.updatedAt, false, stripSeq(found.entry)), incoming) > 0) return;
+  if (found) removeEntryAt(doc, kind, found);
+  doc.deleted[id] = { kind, date: found?.date || (isDateKey(date) ? date : null), deletedAt, seq };
+}
+
+/* Goals, goal story and body profile sync as one unit */
+function goalsPayload(src) {
+  return { goals: src?.goals ?? null, goalStory: src?.goalStory || "", profile: normalizeProfile(src?.profile) };
+}
+
+function hasGoalsPayload(src) {
+  return src?.goals != null || !!src?.goalStory || !!normalizeProfile(src?.profile);
+}
+
+function applyGoalsChange(doc, change, seq) {
+  if (!change) return;
+  const incoming = versionOf(change.updatedAt, false, goalsPayload(change));
+  const existing = versionOf(doc.goalsUpdatedAt, false, goalsPayload(doc));
+  if (compareVersions(incoming, existing) <= 0) return;
+  Object.assign(doc, goalsPayload(change));
+  doc.goalsUpdatedAt = Number(change.updatedAt) || 0;
+  doc.goalsSeq = seq;
+}
+
+/* changes: { entries: [{ kind, date, entry }], deletions: [{ id, kind, date, deletedAt }], goals: { goals, goalStory, profile, updatedAt } | null } */
+function applySyncChanges(doc, changes, seq) {
+  for (const c of changes?.entries || []) applyEntryUpsert(doc, c.kind, c.date, c.entry, seq);
+  for (const d of changes?.deletions || []) applyEntryDeletion(doc, d, seq);
+  applyGoalsChange(doc, changes?.goals, seq);
+}
+
+/* Everything stamped after `since` (null = everything) */
+function collectChangesSince(doc, since) {
+  const after = (seq) => since == null || (Number(seq) || 0) > since;
+  const entries = [];
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(doc?.[kind] || {})) {
+      for (const e of list || []) {
+        if (after(e.seq)) entries.push({ kind, date, entry: stripSeq(e) });
+      }
+    }
+  }
+  const deletions = Object.entries(doc?.deleted || {})
+    .filter(([, t]) => after(t.seq))
+    .map(([id, t]) => ({ id, kind: t.kind, date: t.date, deletedAt: t.deletedAt }));
+  const goals = doc && after(doc.goalsSeq) && hasGoalsPayload(doc)
+    ? { ...goalsPayload(doc), updatedAt: doc.goalsUpdatedAt || 0 }
+    : null;
+  return { entries, deletions, goals };
+}
+
+/* Read-modify-write of the sync fields with optimistic concurrency on `seq`; retried when another write wins */
+async function updateSyncDoc(userId, mutate) {
+  const col = db.collection("appdata");
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const doc = await col.findOne({ _id: userId });
+    const baseSeq = doc?.seq;
+    const seq = (baseSeq || 0) + 1;
+    const next = {
+      diet: structuredClone(doc?.diet || {}),
+      activity: structuredClone(doc?.activity || {}),
+      body: structuredClone(doc?.body || {}),
+      deleted: structuredClone(doc?.deleted || {}),
+      goals: doc?.goals ?? null,
+      goalStory: doc?.goalStory || "",
+      profile: normalizeProfile(doc?.profile),
+      goalsUpdatedAt: doc?.goalsUpdatedAt || 0,
+      goalsSeq: doc?.goalsSeq || 0
+    };
+    mutate(next, seq);
+    try {
+      const result = await col.updateOne(
+        baseSeq == null ? { _id: userId, seq: { $exists: false } } : { _id: userId, seq: baseSeq },
+        { $set: { ...next, seq, updatedAt: new Date() } },
+        { upsert: true }
+      );
+      if (result.matchedCount > 0 || result.upsertedCount > 0) return { ...doc, ...next, seq };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Sync conflict: too many concurrent writes. Try again.");
+}
+
+/* Pre-sync clients PUT the whole document; treat every entry in it as a change (they never send deletions) */
+function legacyBodyToChanges(body) {
+  const entries = [];
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(body?.[kind] || {})) {
+      for (const entry of list || []) entries.push({ kind, date, entry });
+    }
+  }
+  return { entries, deletions: [], goals: { ...goalsPayload(body), updatedAt: Date.now() } };
+}
+
+/* Whether a stored streak badge came from a run that was still going when the server first saw it. Earlier versions
+   also awarded streaks for runs long past; those badges fail this check once and are dropped. */
+function streakWasCurrent(diet, activity, rule, earnedOn, unlockedAt) {
+  const logged = new Set(getDailyStats(diet, activity).filter((day) => day.loggedDays > 0).map((day) => day.date));
+  /* the first version dated streaks by the evaluation day, which can be an empty today ending the run */
+  const anchor = logged.has(earnedOn) ? earnedOn : shiftDateKey(earnedOn, -1);
+  if (!unlockedAt || !logged.has(anchor)) return false;
+  let start = anchor;
+  while (logged.has(shiftDateKey(start, -1))) start = shiftDateKey(start, -1);
+  let end = anchor;
+  while (logged.has(shiftDateKey(end, 1))) end = shiftDateKey(end, 1);
+  /* a day of slack either side for the user's timezone against the server's */
+  return shiftDateKey(start, rule.min - 1) <= anchor && end >= shiftDateKey(toDateKey(new Date(unlockedAt)), -2);
+}
+
+/* Re-evaluate achievements and store the date each was earned (achievementsEarnedAt, a date key) and the moment the
+   server first saw it (achievementsUnlockedAt, ms), judged by the user's date today. Deleting entries can take most
+   achievements away again; streaks are kept once recorded, after checking stored ones once (streaksVerified). */
+async function reconcileAchievements(col, userId, doc, today = toDateKey(new Date())) {
+  const current = evaluateAchievements(doc?.diet || {}, doc?.activity || {}, doc?.goals ?? null, doc?.profile, today);
+  const stored = doc?.achievementsEarnedAt || {};
+  const storedUnlocked = doc?.achievementsUnlockedAt || {};
+  const verifyStreaks = !doc?.streaksVerified;
+  const now = Date.now();
+  const earnedAt = {};
+  const unlockedAt = {};
+  const progress = {};
+  for (const a of ACHIEVEMENTS) {
+    const kept =
+      a.rule?.type === "streak" &&
+      stored[a.id] &&
+      (!verifyStreaks || streakWasCurrent(doc?.diet, doc?.activity, a.rule, stored[a.id], storedUnlocked[a.id]));
+    const trusted = a.rule?.type !== "streak" || kept;
+    const p = current[a.id];
+    if (p.earnedOn || kept) {
+      earnedAt[a.id] = (trusted && stored[a.id]) || p.earnedOn;
+      unlockedAt[a.id] = (trusted && storedUnlocked[a.id]) || now;
+    }
+    progress[a.id] = {
+      current: Math.min(p.current, p.target),
+      target: p.target,
+      earnedOn: earnedAt[a.id] || null,
+      unlockedAt: unlockedAt[a.id] || null
+    };
+  }
+  const earned = Object.keys(earnedAt);
+  const storedMinted = doc?.achievementsMinted || [];
+  const minted = storedMinted.filter((id) => earnedAt[id]);
+  const changed =
+    minted.length !== storedMinted.length ||
+    JSON.stringify(earnedAt) !== JSON.stringify(stored) ||
+    JSON.stringify(unlockedAt) !== JSON.stringify(storedUnlocked) ||
+    (doc && (doc.achievementsEarned === undefined || doc.achievementsMinted === undefined || verifyStreaks));
+  if (changed) {
+    await col.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          achievementsEarned: earned,
+          achievementsEarnedAt: earnedAt,
+          achievementsUnlockedAt: unlockedAt,
+          achievementsMinted: minted,
+          streaksVerified: true,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+  return {
+    walletAddress: doc?.walletAddress || null,
+    achievementsEarned: earned,
+    achievementsEarnedAt: earnedAt,
+    achievementsProgress: progress,
+    achievementsMinted: minted,
+    achievementMints: doc?.achievementMints || {},
+    achievementsMeta: ACHIEVEMENTS
+  };
+}
+
+/* GET /api/data – load diet, activity, body metrics, goals for the signed-in account or anonymous user (MongoDB).
+   ?timezoneOffset=<minutes> (all three sync routes) dates achievements by the user's day. */
+app.get("/api/data", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable sync." });
+  try {
+    const col = db.collection("appdata");
+    const doc = await col.findOne({ _id: req.userId });
+    const { entries, deletions } = collectChangesSince(doc, null);
+    const byKind = Object.fromEntries(ENTRY_KINDS.map((kind) => [kind, {}]));
+    for (const { kind, date, entry } of entries) {
+      const target = byKind[kind];
+      if (!target[date]) target[date] = [];
+      target[date].push(entry);
+    }
+    res.json({
+      ...byKind,
+      deleted: deletions,
+      goals: doc?.goals ?? null,
+      goalStory: doc?.goalStory || "",
+      profile: normalizeProfile(doc?.profile),
+      goalsUpdatedAt: doc?.goalsUpdatedAt || 0,
+      cursor: doc?.seq || 0,
+      ...(await reconcileAchievements(col, req.userId, doc, userToday(req.query.timezoneOffset)))
+    });
+  } catch (err) {
+    console.error("GET /api/data error:", err);
+    res.status(500).json({ error: err.message || "Failed to load data." });
+  }
+});
+
+/* GET /api/data/changes?since=<cursor> – entries, deletions and goals changed after the cursor */
+app.get("/api/data/changes", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable sync." });
+  const since = Number(req.query.since);
+  if (!Number.isInteger(since) || since < 0) return res.status(400).json({ error: "Provide 'since' as a non-negative integer cursor." });
+  try {
+    const col = db.collection("appdata");
+    const doc = await col.findOne({ _id: req.userId });
+    res.json({
+      cursor: doc?.seq || 0,
+      changes: collectChangesSince(doc, since),
+      ...(await reconcileAchievements(col, req.userId, doc, userToday(req.query.timezoneOffset)))
+    });
+  } catch (err) {
+    console.error("GET /api/data/changes error:", err);
+    res.status(500).json({ error: err.message || "Failed to load changes." });
+  }
+});
+
+/* PUT /api/data – merge entry-level changes for the signed-in account or anonymous user (MongoDB).
+   Body: { changes, cursor, timezoneOffset } → { ok, cursor, changes } plus the achievement fields; changes are everything after the client's cursor. */
+app.put("/api/data", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to enable sync." });
+  const body = req.body || {};
+  const changes = body.changes || legacyBodyToChanges(body);
+  const since = Number.isInteger(body.cursor) && body.cursor >= 0 ? body.cursor : null;
+  try {
+    const doc = await updateSyncDoc(req.userId, (next, seq) => applySyncChanges(next, changes, seq));
+    res.json({
+      ok: true,
+      cursor: doc.seq,
+      changes: collectChangesSince(doc, since),
+      ...(await reconcileAchievements(db.collection("appdata"), req.userId, doc, userToday(body.timezoneOffset)))
+    });
+  } catch (err) {
+    console.error("PUT /api/data error:", err);
+    res.status(500).json({ error: err.message || "Failed to save data." });
+  }
+});
+
+/* Wallet linking is challenge/response: the server issues a single-use nonce for this user (MongoDB "walletchallenges"),
+   the wallet signs the exact message built here, and /api/link-wallet only accepts a signature over that message
+   while the challenge is unused and unexpired. A captured signature can't be replayed for another user or twice. */
+const WALLET_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const WALLET_CHALLENGE_PATTERN =
+  /^CalixOlympics wants you to link your Solana wallet\.\n\nDomain: (\S+)\nNonce: ([0-9a-f]{32})\nIssued At: (\S+)\nExpiration Time: (\S+)$/;
+
+function buildWalletChallengeMessage({ domain, nonce, issuedAt, expiresAt }) {
+  return [
+    "CalixOlympics wants you to link your Solana wallet.",
+    "",
+    `Domain: ${domain}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join("\n");
+}
+
+/* POST /api/wallet-challenge – issue a short-lived nonce and the message to sign; replaces any earlier challenge */
+app.post("/api/wallet-challenge", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  try {
+    const issuedAt = new Date();
+    const challenge = {
+      _id: crypto.randomBytes(16).toString("hex"),
+      userId: req.userId,
+      domain: req.get("host") || "localhost",
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + WALLET_CHALLENGE_TTL_MS)
+    };
+    challenge.message = buildWalletChallengeMessage({ ...challenge, nonce: challenge._id });
+    const col = db.collection("walletchallenges");
+    await col.deleteMany({ $or: [{ userId: req.userId }, { expiresAt: { $lte: issuedAt } }] });
+    await col.insertOne(challenge);
+    res.json({ message: challenge.message, nonce: challenge._id, expiresAt: challenge.expiresAt });
+  } catch (err) {
+    console.error("POST /api/wallet-challenge error:", err);
+    res.status(500).json({ error: err.message || "Failed to create wallet challenge." });
+  }
+});
+
+/* POST /api/link-wallet – verify the signed challenge and link the Solana wallet to the current user */
+app.post("/api/link-wallet", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  const { publicKey, message, signature } = req.body || {};
+  if (!publicKey || !message || !signature) {
+    return res.status(400).json({ error: "Missing publicKey, message, or signature." });
+  }
+  const parsed = String(message).match(WALLET_CHALLENGE_PATTERN);
+  if (!parsed) return res.status(400).json({ error: "Message is not a CalixOlympics wallet challenge. Request a new one." });
+  const [, domain, nonce] = parsed;
+  if (domain !== (req.get("host") || "localhost")) {
+    return res.status(400).json({ error: "Challenge was issued for a different domain." });
+  }
+  try {
+    const msgBytes = Buffer.from(String(message), "utf8");
+    const sigBytes = Buffer.isBuffer(signature) ? signature : Buffer.from(signature, "base64");
+    const pk = new PublicKey(publicKey);
+    const pkBytes = pk.toBytes();
+    if (sigBytes.length !== 64) {
+      return res.status(400).json({ error: "Invalid signature length." });
+    }
+    const valid = nacl.sign.detached.verify(msgBytes, sigBytes, pkBytes);
+    if (!valid) return res.status(401).json({ error: "Invalid signature." });
+    const challenge = await db.collection("walletchallenges").findOneAndDelete({ _id: nonce, userId: req.userId });
+    if (!challenge || challenge.message !== message) {
+      return res.status(400).json({ error: "Challenge not found or already used. Request a new one." });
+    }
+    if (challenge.expiresAt <= new Date()) {
+      return res.status(400).json({ error: "Challenge expired. Request a new one." });
+    }
+    const col = db.collection("appdata");
+    await col.updateOne(
+      { _id: req.userId },
+      { $set: { walletAddress: publicKey, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ ok: true, walletAddress: publicKey });
+  } catch (err) {
+    console.error("POST /api/link-wallet error:", err);
+    res.status(500).json({ error: err.message || "Failed to link wallet." });
+  }
+});
+
+/* POST /api/disconnect-wallet – remove wallet link for the current user */
+app.post("/api/disconnect-wallet", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  try {
+    const col = db.collection("appdata");
+    await col.updateOne(
+      { _id: req.userId },
+      { $unset: { walletAddress: "" }, $set: { updatedAt: new Date() } }
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /api/disconnect-wallet error:", err);
+    res.status(500).json({ error: err.message || "Failed to disconnect wallet." });
+  }
+});
+
+/* POST /api/mint-achievement – mint achievement NFT to linked wallet (optional: requires SOLANA_MINT_KEYPAIR) */
+app.post("/api/mint-achievement", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  const { achievementId } = req.body || {};
+  if (!achievementId) return res.status(400).json({ error: "Missing achievementId." });
+  try {
+    const col = db.collection("appdata");
+    const doc = await col.findOne({ _id: req.userId });
+    const walletAddress = doc?.walletAddress;
+    const earned = doc?.achievementsEarned || computeAchievementsEarned(doc?.diet || {}, doc?.activity || {}, doc?.goals, doc?.profile);
+    const minted = doc?.achievementsMinted || [];
+    if (!walletAddress) return res.status(400).json({ error: "Connect a Solana wallet first." });
+    if (!earned.includes(achievementId)) return res.status(400).json({ error: "Achievement not earned." });
+    if (minted.includes(achievementId)) return res.status(400).json({ error: "Already minted." });
+    const meta = ACHIEVEMENTS.find((a) => a.id === achievementId);
+    if (!meta) return res.status(400).json({ error: "Unknown achievement." });
+    const provider = MINT_PROVIDERS[SOLANA_MINT_PROVIDER];
+    if (!provider) {
+      return res.status(503).json({
+        error: `Unknown SOLANA_MINT_PROVIDER "${SOLANA_MINT_PROVIDER}". Use one of: ${Object.keys(MINT_PROVIDERS).join(", ")}.`
+      });
+    }
+    if (provider.requiresKeypair && !SOLANA_MINT_KEYPAIR_B58) {
+      return res.status(503).json({
+        error: "NFT minting not configured. Set SOLANA_MINT_KEYPAIR in .env to enable (base58 secret key), or SOLANA_MINT_PROVIDER=mock for local testing."
+      });
+    }
+    const mintNft = getMintNftHandler();
+    if (!mintNft) {
+      return res.status(503).json({
+        error: "NFT minting not available. Install @metaplex-foundation/js and fund the mint keypair for devnet/mainnet."
+      });
+    }
+    const { signature, mintAddress } = await mintNft(walletAddress, meta);
+    const mint = {
+      signature,
+      mintAddress,
+      provider: SOLANA_MINT_PROVIDER,
+      network: getSolanaNetwork(),
+      walletAddress,
+      mintedAt: new Date()
+    };
+    await col.updateOne(
+      { _id: req.userId },
+      {
+        $addToSet: { achievementsMinted: achievementId },
+        $set: { [`achievementMints.${achievementId}`]: mint, updatedAt: new Date() }
+      }
+    );
+    res.json({ ok: true, signature, mintAddress, mint });
+  } catch (err) {
+    console.error("POST /api/mint-achievement error:", err);
+    res.status(500).json({ error: err.message || "Mint failed." });
+  }
+});
+
+/* Mint providers: create() returns async (toWalletAddress, achievementMeta) => { signature, mintAddress, metadata },
+   or null when the provider can't run here. Picked with SOLANA_MINT_PROVIDER. */
+const MINT_PROVIDERS = {
+  metaplex: { requiresKeypair: true, create: createMetaplexMinter },
+  mock: { requiresKeypair: false, create: createMockMinter }
+};
+
+/* Cluster the mints land on, for explorer links: "mock" for the mock provider, otherwise guessed from SOLANA_RPC_URL */
+function getSolanaNetwork() {
+  if (SOLANA_MINT_PROVIDER === "mock") return "mock";
+  const url = SOLANA_RPC_URL.toLowerCase();
+  if (url.includes("devnet")) return "devnet";
+  if (url.includes("testnet")) return "testnet";
+  if (url.includes("localhost") || url.includes("127.0.0.1")) return "localnet";
+  return "mainnet-beta";
+}
+
+function achievementNftMetadata(achievementMeta) {
+  return {
+    name: achievementMeta.name,
+    symbol: "CALIX",
+    description: achievementMeta.description,
+    attributes: [{ trait_type: "achievement", value: achievementMeta.id }]
+  };
+}
+
+function createMetaplexMinter() {
+  try {
+    const { Connection, Keypair } = require("@solana/web3.js");
+    const bs58 = require("bs58");
+    const { Metaplex, keypairIdentity } = require("@metaplex-foundation/js");
+    const keypairBytes = bs58.decode(SOLANA_MINT_KEYPAIR_B58);
+    const payer = Keypair.fromSecretKey(keypairBytes);
+    const connection = new Connection(SOLANA_RPC_URL);
+    const metaplex = Metaplex.make(connection).use(keypairIdentity(payer));
+    return async (toWalletAddress, achievementMeta) => {
+      const toPubkey = new PublicKey(toWalletAddress);
+      const metadata = achievementNftMetadata(achievementMeta);
+      let uri;
+      try {
+        const up = await metaplex.nfts().uploadMetadata(metadata);
+        uri = up.uri;
+      } catch (_) {
+        uri = "data:application/json," + encodeURIComponent(JSON.stringify(metadata));
+      }
+      const { nft, response } = await metaplex.nfts().create({
+        uri,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        sellerFeeBasisPoints: 0
+      }, { recipient: toPubkey });
+      return { signature: response.signature, mintAddress: nft.address.toBase58(), metadata: { ...metadata, uri } };
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/* In-memory mints for local development: the same wallet and achievement always give the same fake mint
+   address and signature, so runs are reproducible. Nothing touches the network. */
+const mockMints = new Map();
+
+function createMockMinter() {
+  const bs58 = require("bs58");
+  return async (toWalletAddress, achievementMeta) => {
+    const seed = `calixolympics:${toWalletAddress}:${achievementMeta.id}`;
+    const mintAddress = new PublicKey(crypto.createHash("sha256").update(`mint:${seed}`).digest()).toBase58();
+    const signature = bs58.encode(crypto.createHash("sha512").update(`signature:${seed}`).digest());
+    const metadata = { ...achievementNftMetadata(achievementMeta), uri: `mock://calixolympics/nft/${mintAddress}.json` };
+    mockMints.set(mintAddress, { signature, mintAddress, owner: toWalletAddress, metadata });
+    return { signature, mintAddress, metadata };
+  };
+}
+
+function getMintNftHandler() {
+  const provider = MINT_PROVIDERS[SOLANA_MINT_PROVIDER];
+  return provider ? provider.create() : null;
+}
+
+app.post("/api/text-to-speech", async (req, res) => {
+  if (!ELEVENLABS_API_KEY) {
+    return res.status(503).json({ error: "ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env" });
+  }
+  const { text } = req.body;
+  const toSpeak = (text || "").trim().slice(0, 2500);
+  if (!toSpeak) return res.status(400).json({ error: "Missing or empty 'text'." });
+
+  const voiceId = ELEVENLABS_VOICE_ID;
+  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "xi-api-key": ELEVENLABS_API_KEY,
+        "Content-Type": "application/json",
+        Accept: "audio/mpeg"
+      },
+      body: JSON.stringify({
         text: toSpeak,
         model_id: "eleven_multilingual_v2"
       })
     });
 
-    if (!response.ok) {
-      const errBody = await response.text();
-      let errMsg = "ElevenLabs TTS failed.";
-      try {
-        const errJson = JSON.parse(errBody);
-        errMsg = errJson.detail?.message || errJson.message || errBody || errMsg;
-      } catch (_) {
-        if (errBody) errMsg = errBody.slice(0, 200);
-      }
-      return res.status(response.status === 422 ? 422 : 502).json({ error: errMsg });
+    if (!response.ok) {
+      const errBody = await response.text();
+      let errMsg = "ElevenLabs TTS failed.";
+      try {
+        const errJson = JSON.parse(errBody);
+        errMsg = errJson.detail?.message || errJson.message || errBody || errMsg;
+      } catch (_) {
+        if (errBody) errMsg = errBody.slice(0, 200);
+      }
+      return res.status(response.status === 422 ? 422 : 502).json({ error: errMsg });
+    }
+
+    const buffer = await response.arrayBuffer();
+    res.setHeader("Content-Type", "audio/mpeg");
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    console.error("ElevenLabs TTS error:", err);
+    res.status(500).json({ error: err.message || "Text-to-speech failed." });
+  }
+});
+
+/* ElevenLabs Speech-to-Text: transcribe audio → use with Gemini for voice log */
+app.post("/api/speech-to-text", upload.single("audio"), async (req, res) => {
+  if (!ELEVENLABS_API_KEY) {
+    return res.status(503).json({ error: "ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env" });
+  }
+  if (!req.file || !req.file.buffer) {
+    return res.status(400).json({ error: "No audio file uploaded. Use field name 'audio'." });
+  }
+
+  const buffer = req.file.buffer;
+  const mime = req.file.mimetype || "audio/webm";
+  const ext = mime.includes("webm") ? "webm" : mime.includes("mp4") ? "mp4" : "webm";
+
+  try {
+    const form = new FormData();
+    form.append("file", new Blob([buffer], { type: mime }), `audio.${ext}`);
+    form.append("model_id", "scribe_v2");
+
+    const response = await fetch("https://api.elevenlabs.io/v1/speech-to-text", {
+      method: "POST",
+      headers: { "xi-api-key": ELEVENLABS_API_KEY },
+      body: form
+    });
+
+    if (!response.ok) {
+      const errBody = await response.text();
+      let errMsg = "ElevenLabs speech-to-text failed.";
+      try {
+        const errJson = JSON.parse(errBody);
+        errMsg = errJson.detail?.message || errJson.message || errBody || errMsg;
+      } catch (_) {
+        if (errBody) errMsg = errBody.slice(0, 200);
+      }
+      return res.status(response.status === 422 ? 422 : 502).json({ error: errMsg });
+    }
+
+    const data = await response.json();
+    const text = (data.text || "").trim();
+    res.json({ text });
+  } catch (err) {
+    console.error("ElevenLabs STT error:", err);
+    res.status(500).json({ error: err.message || "Speech-to-text failed." });
+  }
+});
+
+/* Nutrients tracked per food entry: calories in kcal, sodium in mg, everything else in grams */
+const NUTRIENT_FIELDS = ["calories", "protein", "carbs", "fat", "fiber", "sugar", "sodium"];
+
+/* AI nutrition estimate for one food and portion */
+const NUTRITION_SCHEMA = {
+  name: "food_nutrition",
+  schema: {
+    type: "object",
+    properties: Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, { type: "number", minimum: 0 }])),
+    required: NUTRIENT_FIELDS
+  }
+};
+
+/* Food database: bundled per-100g dataset (data/foods.json) plus per-user custom foods (MongoDB "foods").
+   AI lookups are the fallback and are cached per normalized food name + portion. */
+const FOOD_SEED = require("./data/foods.json");
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, half: 0.5, quarter: 0.25 };
+const UNIT_GRAMS = { g: 1, gram: 1, grams: 1, kg: 1000, oz: 28.35, ounce: 28.35, ounces: 28.35, lb: 453.6, ml: 1 };
+const NUTRITION_CACHE_MAX = 500;
+const nutritionMemoryCache = new Map();
+
+function normalizeFoodName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function singularize(word) {
+  if (word.length > 3 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 3 && /(ches|shes|oes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+function foodNameKeys(name) {
+  const normalized = normalizeFoodName(name);
+  const singular = normalized.split(" ").map(singularize).join(" ");
+  return [...new Set([normalized, singular])];
+}
+
+const seedFoodIndex = new Map();
+for (const food of FOOD_SEED) {
+  for (const n of [food.name, ...(food.aliases || [])]) {
+    for (const key of foodNameKeys(n)) {
+      if (!seedFoodIndex.has(key)) seedFoodIndex.set(key, food);
+    }
+  }
+}
+
+async function findFood(name, userId) {
+  const keys = foodNameKeys(name);
+  if (db && userId) {
+    const custom = await db.collection("foods").findOne({ owner: userId, nameKeys: { $in: keys } });
+    if (custom) return { food: custom, source: "custom" };
+  }
+  for (const key of keys) {
+    if (seedFoodIndex.has(key)) return { food: seedFoodIndex.get(key), source: "database" };
+  }
+  return null;
+}
+
+function getDefaultServingGrams(food) {
+  const servings = food.servings || {};
+  return servings.serving ?? servings.piece ?? servings.medium ?? Object.values(servings)[0] ?? null;
+}
+
+/* Convert a portion like "2 eggs", "1/2 cup", "one medium" or "150 g" into grams for this food, or null */
+function quantityToGrams(quantity, food) {
+  const words = String(quantity)
+    .toLowerCase()
+    .replace(/(\d+)\s*\/\s*(\d+)/g, (_, a, b) => String(Number(b) ? Number(a) / Number(b) : a))
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .replace(/[^a-z0-9.\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  let count = 1;
+  const first = words[0];
+  if (first && /^\d+(\.\d+)?$/.test(first)) {
+    count = Number(first);
+    words.shift();
+  } else if (first && NUMBER_WORDS[first] != null) {
+    count = NUMBER_WORDS[first];
+    words.shift();
+    if (words[0] === "a" || words[0] === "of") words.shift();
+  }
+  if (!(count > 0)) return null;
+  const servings = food.servings || {};
+  const unit = words.length ? singularize(words[0]) : "";
+  if (UNIT_GRAMS[unit] != null) return count * UNIT_GRAMS[unit];
+  if (servings[unit] != null) return count * servings[unit];
+  if (unit === "tablespoon" && servings.tbsp != null) return count * servings.tbsp;
+  if (unit === "teaspoon" && servings.tsp != null) return count * servings.tsp;
+  const foodKeys = foodNameKeys(food.name).concat((food.aliases || []).flatMap(foodNameKeys));
+  const rest = words.map(singularize).join(" ");
+  if (!rest || unit === "serving" || unit === "piece" || foodKeys.includes(rest)) {
+    const grams = getDefaultServingGrams(food);
+    return grams != null ? count * grams : null;
+  }
+  return null;
+}
+
+function scaleFood(food, grams) {
+  const per = food.per100g || {};
+  const factor = grams / 100;
+  const scaled = {};
+  for (const field of NUTRIENT_FIELDS) scaled[field] = Math.round((Number(per[field]) || 0) * factor);
+  return scaled;
+}
+
+/* "v2" keys carry fiber, sugar and sodium; older cached answers without them are simply never hit again */
+function nutritionCacheKey(name, portion) {
+  return `v2:${foodNameKeys(name).pop()}|${normalizeFoodName(portion)}`;
+}
+
+async function getCachedNutrition(key) {
+  if (db) {
+    const doc = await db.collection("nutritioncache").findOne({ _id: key });
+    return doc ? Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, Number(doc[field]) || 0])) : null;
+  }
+  return nutritionMemoryCache.get(key) || null;
+}
+
+async function setCachedNutrition(key, nutrition) {
+  if (db) {
+    await db.collection("nutritioncache").updateOne(
+      { _id: key },
+      { $set: { ...nutrition, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return;
+  }
+  nutritionMemoryCache.delete(key);
+  nutritionMemoryCache.set(key, nutrition);
+  if (nutritionMemoryCache.size > NUTRITION_CACHE_MAX) {
+    nutritionMemoryCache.delete(nutritionMemoryCache.keys().next().value);
+  }
+}
+
+/* GET /api/foods?q= – search the bundled database and this user's custom foods */
+app.get("/api/foods", resolveUser, async (req, res) => {
+  const q = normalizeFoodName(req.query.q);
+  try {
+    const bundled = FOOD_SEED.filter(
+      (f) => !q || normalizeFoodName(f.name).includes(q) || (f.aliases || []).some((a) => normalizeFoodName(a).includes(q))
+    ).map((f) => ({ name: f.name, per100g: f.per100g, servings: f.servings || {}, source: "database" }));
+    let custom = [];
+    if (db) {
+      const docs = await db.collection("foods").find({ owner: req.userId }).sort({ name: 1 }).toArray();
+      custom = docs
+        .filter((d) => !q || d.nameKeys.some((k) => k.includes(q)))
+        .map((d) => ({ id: d._id, name: d.name, per100g: d.per100g, servings: d.servings || {}, source: "custom" }));
+    }
+    res.json({ foods: [...custom, ...bundled].slice(0, 50) });
+  } catch (err) {
+    console.error("GET /api/foods error:", err);
+    res.status(500).json({ error: err.message || "Failed to search foods." });
+  }
+});
+
+/* POST /api/foods – add a custom per-100g food for the current user (MongoDB) */
+app.post("/api/foods", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to save custom foods." });
+  const { name, aliases = [], per100g = {}, servings = {} } = req.body || {};
+  const cleanName = String(name || "").trim().slice(0, 80);
+  if (!cleanName) return res.status(400).json({ error: "Missing 'name'." });
+  const macros = {};
+  for (const field of NUTRIENT_FIELDS) {
+    const optional = field === "fiber" || field === "sugar" || field === "sodium";
+    if (optional && (per100g[field] == null || per100g[field] === "")) {
+      macros[field] = 0;
+      continue;
+    }
+    const v = Number(per100g[field]);
+    if (!Number.isFinite(v) || v < 0) {
+      return res.status(400).json({ error: `'per100g.${field}' must be a non-negative number.` });
+    }
+    macros[field] = v;
+  }
+  const cleanServings = {};
+  for (const [unit, grams] of Object.entries(servings || {})) {
+    const key = singularize(normalizeFoodName(unit));
+    if (key && Number(grams) > 0) cleanServings[key] = Number(grams);
+  }
+  const cleanAliases = (Array.isArray(aliases) ? aliases : []).map((a) => String(a).trim()).filter(Boolean).slice(0, 10);
+  const nameKeys = [...new Set([cleanName, ...cleanAliases].flatMap(foodNameKeys))];
+  try {
+    const col = db.collection("foods");
+    const id = crypto.randomUUID();
+    await col.deleteMany({ owner: req.userId, nameKeys: { $in: foodNameKeys(cleanName) } });
+    await col.insertOne({
+      _id: id,
+      owner: req.userId,
+      name: cleanName,
+      aliases: cleanAliases,
+      nameKeys,
+      per100g: macros,
+      servings: cleanServings,
+      createdAt: new Date()
+    });
+    res.json({ ok: true, food: { id, name: cleanName, per100g: macros, servings: cleanServings, source: "custom" } });
+  } catch (err) {
+    console.error("POST /api/foods error:", err);
+    res.status(500).json({ error: err.message || "Failed to save food." });
+  }
+});
+
+/* DELETE /api/foods/:id – remove one of this user's custom foods */
+app.delete("/api/foods/:id", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  try {
+    const result = await db.collection("foods").deleteOne({ _id: req.params.id, owner: req.userId });
+    if (result.deletedCount === 0) return res.status(404).json({ error: "Food not found." });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/foods error:", err);
+    res.status(500).json({ error: err.message || "Failed to delete food." });
+  }
+});
+
+/* Nutrition for a food and portion: food database first, then cached AI answers, then a fresh AI lookup.
+   Resolves to { name, ...nutrients, grams?, source: "custom" | "database" | "cache" | "ai" }; errors carry an HTTP status. */
+async function lookupNutrition({ foodName, grams, quantity, userId }) {
+  const name = (foodName || "").trim();
+  const gramsNum = grams != null ? Number(grams) : NaN;
+  const quantityStr = typeof quantity === "string" ? quantity.trim() : "";
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+
+  if (!name) throw fail(400, "Missing 'foodName'.");
+  const useGrams = Number.isFinite(gramsNum) && gramsNum > 0;
+  const useQuantity = quantityStr.length > 0;
+  if (!useGrams && !useQuantity) {
+    throw fail(400, "Provide either 'grams' (positive number) or 'quantity' (e.g. 1 cup, 2 eggs).");
+  }
+  const label = useGrams ? `${name} (${gramsNum}g)` : `${name} (${quantityStr})`;
+
+  const match = await findFood(name, userId);
+  if (match) {
+    const portionGrams = useGrams ? gramsNum : quantityToGrams(quantityStr, match.food);
+    if (portionGrams != null) {
+      return { name: label, ...scaleFood(match.food, portionGrams), grams: Math.round(portionGrams), source: match.source };
+    }
+  }
+
+  const cacheKey = nutritionCacheKey(name, useGrams ? `${gramsNum}g` : quantityStr);
+  const cached = await getCachedNutrition(cacheKey);
+  if (cached) return { name: label, ...cached, source: "cache" };
+
+  const ai = getAiProvider("food-nutrition");
+  if (!ai.isConfigured()) {
+    throw fail(503, `"${name}" is not in the food database. ${ai.setupHint} to enable AI nutrition lookup, or add it as a custom food.`);
+  }
+
+  const prompt = useGrams
+    ? `You are a nutrition expert. For exactly ${gramsNum} grams of "${name}", provide the estimated nutrition.
+Reply with ONLY a JSON object (numbers only, no extra text; sodium in milligrams, the rest in grams):
+{ "calories": X, "protein": X, "carbs": X, "fat": X, "fiber": X, "sugar": X, "sodium": X }
+Replace each X with the number. Use typical values for that food and portion.`
+    : `You are a nutrition expert. For "${quantityStr}" of "${name}" (e.g. 1 cup rice, 2 medium apples), provide the estimated nutrition for that portion.
+Reply with ONLY a JSON object (numbers only, no extra text; sodium in milligrams, the rest in grams):
+{ "calories": X, "protein": X, "carbs": X, "fat": X, "fiber": X, "sugar": X, "sodium": X }
+Replace each X with the number. Use typical values for that food and portion size.`;
+
+  const estimate = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 200, schema: NUTRITION_SCHEMA });
+  const nutrition = Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, Math.round(estimate[field])]));
+  if (nutrition.calories > 0) await setCachedNutrition(cacheKey, nutrition);
+  return { name: label, ...nutrition, source: "ai" };
+}
+
+/* POST /api/food-nutrition – { foodName, grams | quantity } → nutrition via lookupNutrition */
+app.post("/api/food-nutrition", resolveUser, async (req, res) => {
+  const { foodName, grams, quantity } = req.body;
+  try {
+    res.json(await lookupNutrition({ foodName, grams, quantity, userId: req.userId }));
+  } catch (err) {
+    if (err.status !== 400 && err.status !== 503) console.error("food-nutrition error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Nutrition lookup failed."));
+  }
+});
+
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+/* Today's food grouped by meal for prompts, e.g. "Breakfast: oatmeal at 07:45 (300 cal); Snack: …" */
+function summarizeDietByMeal(dietEntries, describeEntry) {
+  const groups = new Map([...MEAL_SLOTS, "other"].map((meal) => [meal, []]));
+  for (const e of dietEntries) groups.get(MEAL_SLOTS.includes(e.meal) ? e.meal : "other").push(e);
+  return [...groups]
+    .filter(([, entries]) => entries.length > 0)
+    .map(([meal, entries]) => {
+      const label = meal === "other" ? "Unassigned" : meal[0].toUpperCase() + meal.slice(1);
+      const items = entries
+        .sort((a, b) => String(a.eatenAt || "").localeCompare(String(b.eatenAt || "")))
+        .map((e) => `${e.name}${e.eatenAt ? ` at ${e.eatenAt}` : ""} (${describeEntry(e)})`);
+      return `${label}: ${items.join(", ")}`;
+    })
+    .join("; ");
+}
+
+/* Recent history for the coaching prompts (Calixo chat, suggestions, coach briefing): the HISTORY_CONTEXT_DAYS before the
+   user's today, read from the stored log and condensed to streaks, averages, goal adherence and trends. Day-by-day totals
+   fill what is left of HISTORY_CONTEXT_MAX_CHARS (roughly 450 tokens), newest first, so the block never grows with the log. */
+const HISTORY_CONTEXT_DAYS = 14;
+const HISTORY_CONTEXT_MAX_CHARS = 1800;
+
+function describeRecentHistory(doc, { today, goals = {} }) {
+  const from = shiftDateKey(today, -HISTORY_CONTEXT_DAYS);
+  const inWindow = (byDate) => Object.fromEntries(Object.entries(byDate || {}).filter(([date]) => date >= from && date < today));
+  const days = getDailyStats(inWindow(doc.diet), inWindow(doc.activity)).filter((day) => day.loggedDays > 0);
+  if (days.length === 0) return "";
+
+  const target = resolveGoals(goals, getDefaultCalorieGoal(doc.profile));
+  const foodDays = days.filter((day) => day.foodEntries > 0);
+  const avg = (list, field) => (list.length ? Math.round(list.reduce((s, day) => s + day[field], 0) / list.length) : 0);
+  const hits = (goal) => days.filter((day) => GOAL_HIT_CHECKS[goal](day, target)).length;
+  const signed = (n, unit) => `${n > 0 ? "+" : ""}${n}${unit}`;
+  const streak = ACHIEVEMENT_RULES.streak({ min: 1 }, getDailyStats(doc.diet, doc.activity), { today }).current;
+
+  const lines = [
+    `- Logged ${days.length} of the last ${HISTORY_CONTEXT_DAYS} days; current logging streak ${streak} day${streak === 1 ? "" : "s"}.`,
+    foodDays.length > 0
+      ? `- Average on days with food logged: ${avg(foodDays, "calories")} cal (goal ${target.calorieGoal}), ${avg(foodDays, "protein")}g protein (goal ${target.proteinGoal}g).`
+      : "- No food logged in this period.",
+    `- Average activity on logged days: ${avg(days, "activityMinutes")} min (goal ${target.activityGoal} min).`,
+    `- Goals met: calories within ±10% on ${hits("calories")} of ${foodDays.length} food days, protein on ${hits("protein")} of ${foodDays.length}, activity on ${hits("activity")} of ${days.length} logged days.`
+  ];
+
+  const weekStart = shiftDateKey(today, -7);
+  const [lastWeek, weekBefore] = [foodDays.filter((day) => day.date >= weekStart), foodDays.filter((day) => day.date < weekStart)];
+  if (lastWeek.length > 0 && weekBefore.length > 0) {
+    lines.push(
+      `- Trend, last 7 days vs the 7 before (daily averages): calories ${signed(avg(lastWeek, "calories") - avg(weekBefore, "calories"), "")}, protein ${signed(avg(lastWeek, "protein") - avg(weekBefore, "protein"), "g")}.`
+    );
+  }
+
+  const weights = Object.entries(doc.body || {})
+    .filter(([date, list]) => date >= from && date <= today && list?.[0]?.weightKg)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, list]) => ({ date, kg: Number(list[0].weightKg) }));
+  if (weights.length > 1) {
+    const [first, last] = [weights[0], weights[weights.length - 1]];
+    lines.push(`- Weight: ${first.kg} kg on ${first.date} → ${last.kg} kg on ${last.date} (${signed(Math.round((last.kg - first.kg) * 10) / 10, " kg")}).`);
+  }
+
+  let block = [
+    `RECENT HISTORY (the ${HISTORY_CONTEXT_DAYS} days before today, from their log—use it to point out patterns across days, not just today):`,
+    ...lines
+  ].join("\n");
+  const byDayLabel = "\n- By day, oldest first (cal / protein / active min): ";
+  const byDay = [];
+  for (const day of [...days].reverse()) {
+    const item = `${day.date.slice(5)} ${Math.round(day.calories)}/${Math.round(day.protein)}g/${Math.round(day.activityMinutes)}m`;
+    if (block.length + byDayLabel.length + [item, ...byDay].join("; ").length > HISTORY_CONTEXT_MAX_CHARS) break;
+    byDay.unshift(item);
+  }
+  if (byDay.length > 0) block += byDayLabel + byDay.join("; ");
+  return block.slice(0, HISTORY_CONTEXT_MAX_CHARS);
+}
+
+/* The RECENT HISTORY block for a user: "" without MongoDB or anything stored. today is the client's date (YYYY-MM-DD).
+   A failed read only costs the prompt its history, never the coaching request. */
+async function loadRecentHistory(userId, { today, goals } = {}) {
+  if (!db) return "";
+  try {
+    const doc = await db.collection("appdata").findOne({ _id: userId });
+    return doc ? describeRecentHistory(doc, { today: isDateKey(today) ? today : toDateKey(new Date()), goals }) : "";
+  } catch (err) {
+    console.error("recent history error:", err);
+    return "";
+  }
+}
+
+const CALIXO_SYSTEM = `You are Calixo, a friendly and knowledgeable fitness and nutrition coach in the CalixOlympics app. You use the user's current data (today's food, activity, and goals) to give smart, personalized responses.
+
+PERSONALITY:
+- Warm and concise. Reply in 2–5 sentences unless they ask for more.
+- Always reference their actual numbers: e.g. "You're at 1200 of 2000 calories—you've got room for a solid dinner" or "You've hit your protein goal already today."
+- When they mention food or activity, acknowledge it and give one relevant tip (e.g. "Chicken and rice is a great combo for protein and carbs" or "20 min run is a solid session—that'll help your cardio").
+- If they're under on calories, protein, or activity, suggest one concrete next step. If they're over, be supportive and suggest balance (e.g. a lighter option or a short walk).
+- Ask at most 1–2 short questions when you need more info to set or refine goals.
+- Use the CONTEXT block below for every reply: cite their current totals vs goals so your advice is specific, not generic.`;
+
+const GOAL_SETTING_GUIDE = `Base calories on their TDEE from the body profile in CONTEXT when available (deficit to lose weight, surplus to gain); otherwise use sensible defaults (2000 cal, 50g protein, 30 min activity). carbsGoal, fatGoal and fiberGoal are daily grams, sugarGoal (grams) and sodiumGoal (mg) are daily limits; leave out any of these five you have no reason to change. goalStory is a one-sentence summary.`;
+
+/* Without tools, goals come back as a trailer line that resolveChatReply splits off */
+const CALIXO_GOALS_LINE = `GOALS:
+- When they share what they want to achieve (lose weight, build muscle, eat better, etc.), personalize your advice. When you have enough info, add exactly one line at the end of your message (no other text on that line):
+SUGGESTED_GOALS: {"calorieGoal": 2000, "proteinGoal": 50, "activityGoal": 30, "carbsGoal": 250, "fatGoal": 65, "fiberGoal": 30, "sugarGoal": 50, "sodiumGoal": 2300, "goalStory": "One sentence summary of their goals"}
+- Only include SUGGESTED_GOALS when they've given clear goal-related info. ${GOAL_SETTING_GUIDE}`;
+
+const CALIXO_TOOLS_GUIDE = `TOOLS (you can read and change the user's log yourself):
+- When they tell you they ate, drank or did something, log it with log_food or log_activity (one call per item) instead of asking them to log it. Use their own words for the portion; don't log things they are only considering.
+- To correct or remove something, use edit_entry or delete_entry with the entry id from CONTEXT or query_history. Only delete when they ask.
+- For questions about earlier days, trends or streaks, call query_history rather than guessing.
+- When they share what they want to achieve and you have enough info, call set_goals. ${GOAL_SETTING_GUIDE}
+- After using tools, say briefly what you changed; the app shows each change with an Undo button. If a tool returns an error, explain it or fix the call.`;
+
+/* Optional nutrient targets beyond calories and protein; sugar and sodium are upper limits */
+const NUTRIENT_GOALS = [
+  { key: "carbsGoal", field: "carbs", label: "carbs", unit: "g", limit: false },
+  { key: "fatGoal", field: "fat", label: "fat", unit: "g", limit: false },
+  { key: "fiberGoal", field: "fiber", label: "fiber", unit: "g", limit: false },
+  { key: "sugarGoal", field: "sugar", label: "sugar", unit: "g", limit: true },
+  { key: "sodiumGoal", field: "sodium", label: "sodium", unit: "mg", limit: true }
+];
+
+/* Keep only the nutrient goals that are positive numbers, so missing ones don't overwrite the user's targets */
+function pickNutrientGoals(obj) {
+  const picked = {};
+  for (const { key } of NUTRIENT_GOALS) {
+    const v = Math.round(Number(obj?.[key]));
+    if (Number.isFinite(v) && v > 0) picked[key] = v;
+  }
+  return picked;
+}
+
+/* Daily targets from /api/analyze-goals; the nutrient goals are optional */
+const GOALS_SCHEMA = {
+  name: "daily_goals",
+  schema: {
+    type: "object",
+    properties: {
+      calorieGoal: { type: "number", minimum: 0 },
+      proteinGoal: { type: "number", minimum: 0 },
+      activityGoal: { type: "number", minimum: 0 },
+      ...Object.fromEntries(NUTRIENT_GOALS.map(({ key }) => [key, { type: "number", minimum: 0 }]))
+    },
+    required: ["calorieGoal", "proteinGoal", "activityGoal"]
+  }
+};
+
+/* The SUGGESTED_GOALS object Calixo may append to a chat reply */
+const SUGGESTED_GOALS_SCHEMA = {
+  name: "suggested_goals",
+  schema: {
+    ...GOALS_SCHEMA.schema,
+    properties: { ...GOALS_SCHEMA.schema.properties, goalStory: { type: "string" } }
+  }
+};
+
+/* e.g. "carbs 120 / 250g, sugar 30 / max 50g" for the nutrient goals the user has set */
+function describeNutrientProgress(dietEntries, goals) {
+  return NUTRIENT_GOALS.filter(({ key }) => Number(goals?.[key]) > 0)
+    .map(({ key, field, label, unit, limit }) => {
+      const total = dietEntries.reduce((s, e) => s + (Number(e[field]) || 0), 0);
+      return `${label} ${Math.round(total)} / ${limit ? "max " : ""}${goals[key]}${unit}`;
+    })
+    .join(", ");
+}
+
+const SUGGESTED_GOALS_LINE = /\n?SUGGESTED_GOALS:\s*(\{[\s\S]*?\})\s*$/m;
+
+/* Split a chat reply into the text shown to the user and the raw SUGGESTED_GOALS JSON (null when absent) */
+function splitSuggestedGoalsLine(content) {
+  const match = (content || "").match(SUGGESTED_GOALS_LINE);
+  return {
+    reply: (content || "").replace(SUGGESTED_GOALS_LINE, "").trim(),
+    goalsJson: match ? match[1].trim() : null
+  };
+}
+
+function normalizeSuggestedGoals(obj) {
+  return {
+    calorieGoal: Number(obj.calorieGoal) || DEFAULT_CALORIE_GOAL,
+    proteinGoal: Number(obj.proteinGoal) || DEFAULT_PROTEIN_GOAL,
+    activityGoal: Number(obj.activityGoal) || DEFAULT_ACTIVITY_GOAL,
+    ...pickNutrientGoals(obj),
+    goalStory: typeof obj.goalStory === "string" ? obj.goalStory.trim() : ""
+  };
+}
+
+/* Calixo conversations: one MongoDB "conversations" document per user and channel (the Goals chat or Talk to Calixo),
+   plus one long-term memory per user in "chatmemory". Only the last CHAT_CONTEXT_TURNS messages go to the model;
+   once CHAT_SUMMARY_BATCH older ones pile up they are folded into the memory, which is added to the system prompt. */
+const CHAT_CHANNELS = ["goals", "talk"];
+const CHAT_CONTEXT_TURNS = 20;
+const CHAT_SUMMARY_BATCH = 10;
+const CONVERSATION_MAX_MESSAGES = 500;
+const CHAT_MESSAGE_MAX_LENGTH = 4000;
+const MEMORY_FIELDS = [
+  { key: "preferences", label: "Preferences" },
+  { key: "injuries", label: "Injuries and limitations" },
+  { key: "dislikes", label: "Dislikes" },
+  { key: "notes", label: "Other notes" }
+];
+const MEMORY_ITEMS_MAX = 15;
+
+const MEMORY_SCHEMA = {
+  name: "chat_memory",
+  schema: {
+    type: "object",
+    properties: {
+      ...Object.fromEntries(MEMORY_FIELDS.map(({ key }) => [key, { type: "array", items: { type: "string" } }])),
+      summary: { type: "string" }
+    },
+    required: [...MEMORY_FIELDS.map(({ key }) => key), "summary"]
+  }
+};
+
+const memoryUpdatesInFlight = new Set();
+
+function conversationId(userId, channel) {
+  return `${userId}:${channel}`;
+}
+
+/* Chat turns as stored: user/assistant only, non-empty, length-capped */
+function sanitizeChatMessages(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .filter((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string" && m.content.trim())
+    .map((m) => ({ role: m.role, content: m.content.trim().slice(0, CHAT_MESSAGE_MAX_LENGTH) }));
+}
+
+async function appendConversation(userId, channel, messages) {
+  const now = new Date();
+  await db.collection("conversations").updateOne(
+    { _id: conversationId(userId, channel) },
+    {
+      $push: { messages: { $each: messages.map((m) => ({ ...m, at: now })), $slice: -CONVERSATION_MAX_MESSAGES } },
+      $inc: { messageCount: messages.length },
+      $set: { updatedAt: now },
+      $setOnInsert: { userId, channel, summarizedCount: 0, createdAt: now }
+    },
+    { upsert: true }
+  );
+}
+
+/* Return what the model should see. Without MongoDB that is just what the client sent; with it, the stored conversation
+   plus the new user turn (or the client's history the first time), the user's memory and their recent history.
+   Nothing is stored yet: incoming is saved by finishChat together with the reply. */
+async function prepareChat(req) {
+  const channel = CHAT_CHANNELS.includes(req.body.channel) ? req.body.channel : "goals";
+  const clientMessages = sanitizeChatMessages(req.body.messages);
+  if (!db) return { channel, history: clientMessages, memory: null, recentHistory: "", persist: false };
+
+  const { today, goals } = req.body.context || {};
+  const [conversation, memory, recentHistory] = await Promise.all([
+    db.collection("conversations").findOne({ _id: conversationId(req.userId, channel) }),
+    db.collection("chatmemory").findOne({ _id: req.userId }),
+    loadRecentHistory(req.userId, { today, goals })
+  ]);
+  const latest = clientMessages[clientMessages.length - 1];
+  const incoming = conversation ? (latest?.role === "user" ? [latest] : []) : clientMessages;
+  const history = [...sanitizeChatMessages(conversation?.messages), ...incoming];
+  return { channel, history, incoming, memory, recentHistory, persist: true };
+}
+
+/* Save the user's turn and Calixo's reply (with the changes it made to the log) together, so a failed or abandoned
+   request leaves no unanswered turn behind, then fold older turns into long-term memory in the background */
+async function finishChat(req, chat, reply, actions = []) {
+  if (!chat.persist || !reply) return;
+  await appendConversation(req.userId, chat.channel, [
+    ...chat.incoming,
+    { role: "assistant", content: reply, ...(actions.length > 0 && { actions }) }
+  ]);
+  updateChatMemory(req.userId, chat.channel).catch((err) => console.error("chat memory error:", err));
+}
+
+/* e.g. "Preferences: vegetarian; Injuries and limitations: sore left knee\nSummary: …" */
+function describeChatMemory(memory) {
+  if (!memory) return "";
+  const lines = MEMORY_FIELDS.filter(({ key }) => memory[key]?.length > 0).map(({ key, label }) => `${label}: ${memory[key].join("; ")}`);
+  if (memory.summary) lines.push(`Summary of earlier conversations: ${memory.summary}`);
+  return lines.join("\n");
+}
+
+/* Summarize turns that have scrolled out of the model's window into the user's memory (at most one run per conversation at a time) */
+async function updateChatMemory(userId, channel) {
+  const ai = getAiProvider("chat-memory");
+  const id = conversationId(userId, channel);
+  if (!db || !ai.isConfigured() || memoryUpdatesInFlight.has(id)) return;
+  memoryUpdatesInFlight.add(id);
+  try {
+    const conversation = await db.collection("conversations").findOne({ _id: id });
+    if (!conversation) return;
+    const { messages = [], messageCount = 0, summarizedCount = 0 } = conversation;
+    const windowStart = messageCount - CHAT_CONTEXT_TURNS;
+    if (windowStart - summarizedCount < CHAT_SUMMARY_BATCH) return;
+    const firstStored = messageCount - messages.length;
+    const turns = messages.slice(Math.max(summarizedCount - firstStored, 0), windowStart - firstStored);
+    const memory = await db.collection("chatmemory").findOne({ _id: userId });
+
+    const prompt = `You maintain the long-term memory of Calixo, a fitness and nutrition coach, about one user.
+Current memory (JSON): ${JSON.stringify(Object.fromEntries([...MEMORY_FIELDS.map(({ key }) => [key, memory?.[key] || []]), ["summary", memory?.summary || ""]]))}
+
+Older conversation turns to fold in:
+${turns.map((m) => `${m.role === "user" ? "User" : "Calixo"}: ${m.content}`).join("\n")}
+
+Update the memory with anything worth remembering in future conversations: food and training preferences, injuries or health limitations, dislikes, and other lasting facts (schedule, equipment, goals history). Drop items the user has said are no longer true, merge duplicates, keep each item short, and keep at most ${MEMORY_ITEMS_MAX} items per list. "summary" is 2–4 sentences on what has been discussed so far.
+Reply with ONLY a JSON object: { "preferences": [...], "injuries": [...], "dislikes": [...], "notes": [...], "summary": "..." }.`;
+
+    const next = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 600, schema: MEMORY_SCHEMA });
+    const update = { summary: next.summary.trim(), updatedAt: new Date() };
+    for (const { key } of MEMORY_FIELDS) {
+      update[key] = next[key].map((item) => item.trim()).filter(Boolean).slice(0, MEMORY_ITEMS_MAX);
+    }
+    await db.collection("chatmemory").updateOne({ _id: userId }, { $set: update }, { upsert: true });
+    await db.collection("conversations").updateOne({ _id: id, summarizedCount }, { $set: { summarizedCount: windowStart } });
+  } finally {
+    memoryUpdatesInFlight.delete(id);
+  }
+}
+
+/* Calixo tools: with MongoDB, the chat routes offer the model OpenAI-style tools that read and change the user's log.
+   Writes go through updateSyncDoc like any client write, so every device picks them up on its next sync, and each one is
+   recorded in "chatactions" with before/after snapshots so the user can undo it. Without MongoDB Calixo has no tools
+   and suggests goals with the SUGGESTED_GOALS line instead. */
+const CHAT_TOOL_ROUNDS = 4;
+const HISTORY_QUERY_MAX_DAYS = 31;
+const DIET_EDIT_FIELDS = ["name", "meal", "eatenAt", ...NUTRIENT_FIELDS];
+
+const dateParam = (description) => ({ type: "string", description: `${description}, YYYY-MM-DD` });
+const entryKindParam = { type: "string", enum: ["diet", "activity"], description: "diet for food, activity for exercise" };
+
+const CHAT_TOOLS = [
+  {
+    name: "log_food",
+    description: "Add something the user ate or drank to their food log. Nutrition comes from the food database or an estimate.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, description: "What they ate, e.g. \"oatmeal with banana\"" },
+        quantity: { type: "string", minLength: 1, description: "Portion in their words, e.g. \"2 eggs\", \"1 cup\", \"150g\"" },
+        meal: { type: "string", enum: MEAL_SLOTS },
+        eatenAt: { type: "string", description: "Time eaten, HH:MM (24-hour); defaults to now" },
+        date: dateParam("Day eaten; defaults to today")
+      },
+      required: ["name", "quantity"]
+    }
+  },
+  {
+    name: "log_activity",
+    description: "Add a workout or other activity to the user's log. Calories burned are estimated from their body profile.",
+    parameters: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: ACTIVITY_TYPES },
+        duration: { type: "number", minimum: 1, maximum: 1440, description: "Minutes" },
+        intensity: { type: "string", enum: ACTIVITY_INTENSITIES },
+        date: dateParam("Day of the activity; defaults to today")
+      },
+      required: ["type", "duration"]
+    }
+  },
+  {
+    name: "edit_entry",
+    description: "Change a logged food or activity by id. For food, pass quantity to look the nutrition up again for a new portion.",
+    parameters: {
+      type: "object",
+      properties: {
+        kind: entryKindParam,
+        id: { type: "string", minLength: 1 },
+        changes: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            quantity: { type: "string", minLength: 1 },
+            meal: { type: "string", enum: MEAL_SLOTS },
+            eatenAt: { type: "string" },
+            ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, { type: "number", minimum: 0 }])),
+            type: { type: "string", enum: ACTIVITY_TYPES },
+            duration: { type: "number", minimum: 1, maximum: 1440 },
+            intensity: { type: "string", enum: ACTIVITY_INTENSITIES }
+          }
+        }
+      },
+      required: ["kind", "id", "changes"]
+    }
+  },
+  {
+    name: "delete_entry",
+    description: "Remove a logged food or activity by id. Only when the user asks for it.",
+    parameters: {
+      type: "object",
+      properties: { kind: entryKindParam, id: { type: "string", minLength: 1 } },
+      required: ["kind", "id"]
+    }
+  },
+  {
+    name: "query_history",
+    description: `The user's food, activity and body measurements between two dates (inclusive, at most ${HISTORY_QUERY_MAX_DAYS} days), with daily totals and entry ids.`,
+    parameters: {
+      type: "object",
+      properties: { from: dateParam("First day"), to: dateParam("Last day") },
+      required: ["from", "to"]
+    }
+  },
+  {
+    name: "set_goals",
+    description: "Set the user's daily goals. Leave out nutrient goals you have no reason to change.",
+    parameters: {
+      ...SUGGESTED_GOALS_SCHEMA.schema,
+      required: [...SUGGESTED_GOALS_SCHEMA.schema.required, "goalStory"]
+    }
+  }
+];
+
+const CHAT_TOOL_DEFINITIONS = CHAT_TOOLS.map(({ name, description, parameters }) => ({
+  type: "function",
+  function: { name, description, parameters }
+}));
+
+function isTimeString(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value || ""));
+}
+
+/* Meal slot for a time of day, as the client guesses it */
+function guessMealForTime(time) {
+  const [h, m] = time.split(":").map(Number);
+  const minutes = h * 60 + m;
+  if (minutes >= 4 * 60 && minutes < 11 * 60) return "breakfast";
+  if (minutes >= 11 * 60 && minutes < 15 * 60) return "lunch";
+  if (minutes >= 17 * 60 && minutes < 22 * 60) return "dinner";
+  return "snack";
+}
+
+/* Entry ids are millisecond timestamps like the client's; bump when several entries are added in the same tick */
+let lastEntryId = 0;
+function newEntryId() {
+  const now = Date.now();
+  lastEntryId = now > lastEntryId ? now : lastEntryId + 1;
+  return String(lastEntryId);
+}
+
+/* A timestamp newer than every given one, so a write made now always wins the sync comparison */
+function stampAfter(...times) {
+  return Math.max(Date.now(), ...times.map((t) => (Number(t) || 0) + 1));
+}
+
+function toolError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/* e.g. "Oatmeal (1 cup), 300 cal" or "run, 30 min" */
+function describeLogEntry(kind, entry) {
+  return kind === "diet" ? `${entry.name}, ${Math.round(Number(entry.calories) || 0)} cal` : `${entry.type}, ${entry.duration} min`;
+}
+
+/* Nutrition for a portion in the user's words; "150g" is looked up by weight */
+function lookupPortion(name, quantity, userId) {
+  const grams = quantity.match(/^(\d+(?:\.\d+)?)\s*g(?:rams?)?$/i);
+  return lookupNutrition({ foodName: name, ...(grams ? { grams: Number(grams[1]) } : { quantity }), userId });
+}
+
+function pickNutrients(src) {
+  return Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, Math.round(Number(src[field]) || 0)]));
+}
+
+/* Apply one tool's change with updateSyncDoc and record it for undo.
+   change(next, seq) applies the change and returns { summary, targets: [{ kind, id?, date?, before, after }] }. */
+async function commitChatAction(ctx, tool, change) {
+  let outcome;
+  await updateSyncDoc(ctx.userId, (next, seq) => {
+    outcome = change(next, seq);
+  });
+  const action = {
+    _id: crypto.randomUUID(),
+    userId: ctx.userId,
+    channel: ctx.channel,
+    tool,
+    summary: outcome.summary,
+    targets: outcome.targets,
+    createdAt: new Date(),
+    undoneAt: null
+  };
+  await db.collection("chatactions").insertOne(action);
+  const publicAction = { id: action._id, tool, summary: action.summary };
+  ctx.actions.push(publicAction);
+  if (ctx.onAction) ctx.onAction(publicAction);
+  return publicAction;
+}
+
+/* Snapshot of an entry found in the sync document, and the same for goals */
+function findLogEntry(doc, kind, id) {
+  const found = findEntry(doc, kind, id);
+  if (!found) throw toolError(404, `No ${kind} entry with id ${id}. Use query_history to find the right id.`);
+  return { ...found, entry: stripSeq(found.entry) };
+}
+
+function goalsSnapshot(doc) {
+  return { ...goalsPayload(doc), updatedAt: doc.goalsUpdatedAt || 0 };
+}
+
+const CHAT_TOOL_HANDLERS = {
+  async log_food(args, ctx) {
+    const date = args.date ?? ctx.today;
+    const eatenAt = args.eatenAt ?? ctx.localTime;
+    if (!isDateKey(date)) throw toolError(400, "date must be YYYY-MM-DD.");
+    if (!isTimeString(eatenAt)) throw toolError(400, "eatenAt must be HH:MM.");
+    const quantity = args.quantity.trim();
+    const nutrition = await lookupPortion(args.name.trim(), quantity, ctx.userId);
+    const entry = {
+      id: newEntryId(),
+      name: nutrition.name,
+      portion: quantity,
+      meal: args.meal || guessMealForTime(eatenAt),
+      eatenAt,
+      ...pickNutrients(nutrition),
+      updatedAt: Date.now()
+    };
+    const action = await commitChatAction(ctx, "log_food", (next, seq) => {
+      applySyncChanges(next, { entries: [{ kind: "diet", date, entry }] }, seq);
+      return { summary: `Logged ${describeLogEntry("diet", entry)}`, targets: [{ kind: "diet", id: entry.id, date, before: null, after: entry }] };
+    });
+    return { ok: true, action: action.summary, date, entry, nutritionSource: nutrition.source };
+  },
+
+  async log_activity(args, ctx) {
+    const date = args.date ?? ctx.today;
+    if (!isDateKey(date)) throw toolError(400, "date must be YYYY-MM-DD.");
+    const id = newEntryId();
+    let entry;
+    const action = await commitChatAction(ctx, "log_activity", (next, seq) => {
+      const intensity = args.intensity || "moderate";
+      const duration = Math.round(args.duration);
+      entry = {
+        id,
+        type: args.type,
+        duration,
+        intensity,
+        caloriesBurned: computeCaloriesBurned(args.type, intensity, duration, next.profile),
+        benefits: ACTIVITY_BENEFITS[args.type] || ACTIVITY_BENEFITS.other,
+        updatedAt: Date.now()
+      };
+      applySyncChanges(next, { entries: [{ kind: "activity", date, entry }] }, seq);
+      return { summary: `Logged ${describeLogEntry("activity", entry)}`, targets: [{ kind: "activity", id, date, before: null, after: entry }] };
+    });
+    return { ok: true, action: action.summary, date, entry };
+  },
+
+  async edit_entry({ kind, id, changes }, ctx) {
+    if (changes.eatenAt != null && !isTimeString(changes.eatenAt)) throw toolError(400, "eatenAt must be HH:MM.");
+    let nutrition = null;
+    if (kind === "diet" && changes.quantity) {
+      const doc = await db.collection("appdata").findOne({ _id: ctx.userId });
+      const { entry } = findLogEntry(doc || {}, kind, id);
+      const name = (changes.name || entry.name.replace(/\s*\([^)]*\)$/, "")).trim();
+      nutrition = await lookupPortion(name, changes.quantity.trim(), ctx.userId);
+    }
+    let edited;
+    const action = await commitChatAction(ctx, "edit_entry", (next, seq) => {
+      const { date, entry } = findLogEntry(next, kind, id);
+      edited = { ...entry };
+      if (kind === "diet") {
+        if (nutrition) Object.assign(edited, { name: nutrition.name, portion: changes.quantity.trim(), ...pickNutrients(nutrition) });
+        for (const field of DIET_EDIT_FIELDS) {
+          if (changes[field] !== undefined && !(nutrition && field === "name")) edited[field] = changes[field];
+        }
+        for (const field of NUTRIENT_FIELDS) edited[field] = Math.round(Number(edited[field]) || 0);
+      } else {
+        edited.type = changes.type || edited.type || "other";
+        edited.duration = changes.duration !== undefined ? Math.round(changes.duration) : edited.duration;
+        edited.intensity = changes.intensity || edited.intensity || "moderate";
+        edited.caloriesBurned = computeCaloriesBurned(edited.type, edited.intensity, Number(edited.duration) || 0, next.profile);
+        edited.benefits = ACTIVITY_BENEFITS[edited.type] || ACTIVITY_BENEFITS.other;
+      }
+      edited.updatedAt = stampAfter(entry.updatedAt);
+      applySyncChanges(next, { entries: [{ kind, date, entry: edited }] }, seq);
+      return {
+        summary: `Changed ${describeLogEntry(kind, entry)} to ${describeLogEntry(kind, edited)}`,
+        targets: [{ kind, id, date, before: entry, after: edited }]
+      };
+    });
+    return { ok: true, action: action.summary, entry: edited };
+  },
+
+  async delete_entry({ kind, id }, ctx) {
+    const action = await commitChatAction(ctx, "delete_entry", (next, seq) => {
+      const { date, entry } = findLogEntry(next, kind, id);
+      applySyncChanges(next, { deletions: [{ id, kind, date, deletedAt: stampAfter(entry.updatedAt) }] }, seq);
+      return { summary: `Deleted ${describeLogEntry(kind, entry)}`, targets: [{ kind, id, date, before: entry, after: null }] };
+    });
+    return { ok: true, action: action.summary };
+  },
+
+  async query_history({ from, to }, ctx) {
+    if (!isDateKey(from) || !isDateKey(to)) throw toolError(400, "from and to must be YYYY-MM-DD.");
+    if (from > to) throw toolError(400, "from must not be after to.");
+    if (shiftDateKey(from, HISTORY_QUERY_MAX_DAYS - 1) < to) throw toolError(400, `Ask for at most ${HISTORY_QUERY_MAX_DAYS} days at a time.`);
+    const doc = (await db.collection("appdata").findOne({ _id: ctx.userId })) || {};
+    const days = [];
+    for (let date = from; date <= to; date = shiftDateKey(date, 1)) {
+      const diet = (doc.diet?.[date] || []).map(({ id, name, portion, meal, eatenAt, ...rest }) => ({ id, name, portion, meal, eatenAt, ...pickNutrients(rest) }));
+      const activity = (doc.activity?.[date] || []).map(({ id, type, duration, intensity, caloriesBurned }) => ({ id, type, duration, intensity, caloriesBurned }));
+      const body = (doc.body?.[date] || []).map(({ weightKg, waistCm, bodyFatPct }) => ({ weightKg, waistCm, bodyFatPct }))[0] || null;
+      if (diet.length === 0 && activity.length === 0 && !body) continue;
+      const totals = {
+        ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, diet.reduce((sum, e) => sum + e[field], 0)])),
+        activityMinutes: activity.reduce((sum, e) => sum + (Number(e.duration) || 0), 0),
+        caloriesBurned: activity.reduce((sum, e) => sum + (Number(e.caloriesBurned) || 0), 0)
+      };
+      days.push({ date, totals, diet, activity, body });
+    }
+    return { from, to, goals: resolveGoals(doc.goals, getDefaultCalorieGoal(doc.profile)), days };
+  },
+
+  async set_goals(args, ctx) {
+    const { goalStory, ...numbers } = normalizeSuggestedGoals(args);
+    const macroMode = numbers.carbsGoal != null || numbers.fatGoal != null ? { macroMode: "grams" } : {};
+    const action = await commitChatAction(ctx, "set_goals", (next, seq) => {
+      const before = goalsSnapshot(next);
+      const goals = { ...(next.goals || {}), ...numbers, ...macroMode };
+      applySyncChanges(next, { goals: { goals, goalStory: goalStory || next.goalStory, profile: next.profile, updatedAt: stampAfter(next.goalsUpdatedAt) } }, seq);
+      return {
+        summary: `Set goals: ${numbers.calorieGoal} cal, ${numbers.proteinGoal}g protein, ${numbers.activityGoal} min activity`,
+        targets: [{ kind: "goals", before, after: goalsSnapshot(next) }]
+      };
+    });
+    return { ok: true, action: action.summary };
+  }
+};
+
+/* Run one tool call; failures go back to the model as { error } so it can correct itself or tell the user */
+async function runChatTool(call, ctx) {
+  const tool = CHAT_TOOLS.find((t) => t.name === call.name);
+  if (!tool) return { error: `Unknown tool "${call.name}".` };
+  let args;
+  try {
+    args = JSON.parse(call.arguments || "{}");
+  } catch (_) {
+    return { error: "Arguments are not valid JSON." };
+  }
+  const errors = validateJsonSchema(args, tool.parameters);
+  if (errors.length > 0) return { error: `Invalid arguments: ${errors.join("; ")}` };
+  try {
+    return await CHAT_TOOL_HANDLERS[tool.name](args, ctx);
+  } catch (err) {
+    if (!err.status || err.status >= 500) console.error(`chat tool ${tool.name} error:`, err);
+    return { error: err.message || "Tool failed." };
+  }
+}
+
+/* Let the model call tools until it answers in plain text (tools are offered for at most CHAT_TOOL_ROUNDS rounds).
+   With onText the replies are streamed and each chunk is passed on as it arrives. Resolves to the reply text, or null
+   when isClosed() reports the client went away. */
+async function runChatWithTools(ai, chatMessages, ctx, { onText = null, isClosed = () => false } = {}) {
+  const messages = [...chatMessages];
+  let reply = "";
+  for (let round = 0; ; round++) {
+    const tools = round < CHAT_TOOL_ROUNDS ? CHAT_TOOL_DEFINITIONS : null;
+    let content = "";
+    let toolCalls = [];
+    if (onText) {
+      for await (const chunk of ai.stream(messages, { maxTokens: 550, tools })) {
+        if (isClosed()) return null;
+        if (typeof chunk !== "string") {
+          toolCalls = chunk.toolCalls;
+          continue;
+        }
+        if (!content && reply && chunk.trim()) onText("\n\n");
+        content += chunk;
+        onText(chunk);
+      }
+    } else {
+      ({ content, toolCalls } = await ai.respond(messages, { maxTokens: 550, tools }));
+    }
+    if (content.trim()) reply += (reply ? "\n\n" : "") + content.trim();
+    /* past the last round tools are no longer offered; a model that calls them anyway gets no more rounds */
+    if (toolCalls.length === 0 || !tools) return reply;
+
+    messages.push({
+      role: "assistant",
+      content: content || null,
+      tool_calls: toolCalls.map((call) => ({ id: call.id, type: "function", function: { name: call.name, arguments: call.arguments } }))
+    });
+    for (const call of toolCalls) {
+      const result = await runChatTool(call, ctx);
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+}
+
+/* Inverse of a recorded action, applied to the current document; refuses when an entry or the goals changed since */
+function undoChatActionChanges(doc, action) {
+  const changed = () => toolError(409, "This was changed again after Calixo made it, so it can't be undone.");
+  const changes = { entries: [], deletions: [], goals: null };
+  for (const target of action.targets) {
+    if (target.kind === "goals") {
+      if ((doc.goalsUpdatedAt || 0) !== target.after.updatedAt) throw changed();
+      changes.goals = { ...target.before, updatedAt: stampAfter(doc.goalsUpdatedAt) };
+      continue;
+    }
+    const found = findEntry(doc, target.kind, target.id);
+    const unchanged = target.after ? found && Number(found.entry.updatedAt) === target.after.updatedAt : !found;
+    if (!unchanged) throw changed();
+    const stamp = stampAfter(found?.entry.updatedAt, doc.deleted[target.id]?.deletedAt);
+    if (target.before) changes.entries.push({ kind: target.kind, date: target.date, entry: { ...target.before, updatedAt: stamp } });
+    else changes.deletions.push({ id: target.id, kind: target.kind, date: found.date, deletedAt: stamp });
+  }
+  return changes;
+}
+
+/* System prompt with today's CONTEXT block, recent history and long-term memory, followed by the last CHAT_CONTEXT_TURNS
+   chat turns. With tools the entries are listed with their ids so Calixo can edit them. */
+function buildChatMessages(body, history, memory, { tools = false, recentHistory = "" } = {}) {
+  const { context = {} } = body;
+  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "", localTime = "", profile = null } = context;
+  const withId = (e) => (tools && e.id ? `, id ${e.id}` : "");
+  const targets = resolveGoals(goals, getDefaultCalorieGoal(profile));
+  const { calorieGoal, proteinGoal, activityGoal } = targets;
+
+  const todayCalories = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
+  const todayProtein = dietEntries.reduce((s, e) => s + (Number(e.protein) || 0), 0);
+  const todayActivityMins = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+
+  const dietSummary = dietEntries.length
+    ? summarizeDietByMeal(dietEntries, (e) => `${e.calories} cal${withId(e)}`)
+    : "None logged today.";
+  const activitySummary = activityEntries.length
+    ? activityEntries.map((e) => `${e.type} ${e.duration} min${tools && e.id ? ` (id ${e.id})` : ""}`).join(", ")
+    : "None logged today.";
+  const nutrientProgress = describeNutrientProgress(dietEntries, targets);
+
+  const contextBlock = `CONTEXT (use for every reply—reference these numbers so your advice is specific):
+- Goals: ${calorieGoal} cal/day, ${proteinGoal}g protein, ${activityGoal} min activity. Goal story: "${goalStory || "Not set yet."}"
+- Body profile: ${describeProfile(profile) || "Not set (suggest filling it in on the Discussion and Goals tab for personalized numbers)."}
+- Today so far: ${todayCalories} / ${calorieGoal} calories, ${todayProtein} / ${proteinGoal}g protein, ${todayActivityMins} / ${activityGoal} min activity.${nutrientProgress ? `\n- Other nutrients today: ${nutrientProgress}.` : ""}
+- Today's food by meal: ${dietSummary}
+- Today's activity: ${activitySummary}${localTime ? `\n- User's local time now: ${localTime} (consider meal timing: skipped meals, late snacking, what meal is next).` : ""}${tools && isDateKey(context.today) ? `\n- Today's date: ${context.today}` : ""}`;
+
+  const memoryText = describeChatMemory(memory);
+  const memoryBlock = memoryText
+    ? `\n\nLONG-TERM MEMORY (what you learned about this user in earlier conversations—use it, don't recite it):\n${memoryText}`
+    : "";
+  const systemContent = [CALIXO_SYSTEM, tools ? CALIXO_TOOLS_GUIDE : CALIXO_GOALS_LINE, contextBlock, recentHistory].filter(Boolean).join("\n\n") + memoryBlock;
+  return [
+    { role: "system", content: systemContent },
+    ...history.slice(-CHAT_CONTEXT_TURNS)
+  ];
+}
+
+/* Final chat payload: the reply text plus validated SUGGESTED_GOALS (repaired once if needed).
+   The reply itself is free text; a bad goals line never costs the user the reply. */
+async function resolveChatReply(ai, chatMessages, rawContent) {
+  const { reply, goalsJson } = splitSuggestedGoalsLine(rawContent);
+  if (!goalsJson) return { reply, suggestedGoals: null };
+
+  const { value, errors } = parseAiJson(goalsJson, SUGGESTED_GOALS_SCHEMA);
+  try {
+    const goals = errors.length === 0
+      ? value
+      : await repairAiJson(ai, chatMessages, goalsJson, errors, { maxTokens: 200, schema: SUGGESTED_GOALS_SCHEMA });
+    return { reply, suggestedGoals: normalizeSuggestedGoals(goals) };
+  } catch (err) {
+    if (!(err instanceof AiOutputError)) throw err;
+    console.warn("chat: dropping invalid SUGGESTED_GOALS:", err.details.join("; "));
+    return { reply, suggestedGoals: null, suggestedGoalsError: aiErrorBody(err) };
+  }
+}
+
+/* How much of a partial reply is safe to stream: everything before the SUGGESTED_GOALS trailer,
+   holding back a tail that could still turn into the marker */
+function streamableLength(text) {
+  const marker = "SUGGESTED_GOALS:";
+  const at = text.indexOf(marker);
+  if (at !== -1) return at;
+  for (let n = Math.min(marker.length - 1, text.length); n > 0; n--) {
+    if (marker.startsWith(text.slice(-n))) return text.length - n;
+  }
+  return text.length;
+}
+
+/* Tool context for one chat request: whose log, and the user's own day and clock for "today" and "now" */
+function chatToolContext(req, chat) {
+  const { today, localTime } = req.body.context || {};
+  const now = new Date();
+  return {
+    userId: req.userId,
+    channel: chat.channel,
+    today: isDateKey(today) ? today : toDateKey(now),
+    localTime: isTimeString(localTime) ? localTime : `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`,
+    actions: []
+  };
+}
+
+/* Chat with Calixo – conversational goal discovery and suggestions. With MongoDB, Calixo can also log, edit and look up
+   entries and set goals itself; the response then lists those changes as actions: [{ id, tool, summary }]. */
+app.post("/api/chat", resolveUser, async (req, res) => {
+  const ai = requireAi(res, "chat", "Calixo");
+  if (!ai) return;
+
+  try {
+    const chat = await prepareChat(req);
+    const chatMessages = buildChatMessages(req.body, chat.history, chat.memory, { tools: chat.persist, recentHistory: chat.recentHistory });
+    if (chat.persist) {
+      const ctx = chatToolContext(req, chat);
+      const rawContent = await runChatWithTools(ai, chatMessages, ctx);
+      const result = await resolveChatReply(ai, chatMessages, rawContent);
+      await finishChat(req, chat, result.reply, ctx.actions);
+      return res.json({ ...result, actions: ctx.actions });
+    }
+    const rawContent = await ai.complete(chatMessages, { maxTokens: 550 });
+    const result = await resolveChatReply(ai, chatMessages, rawContent);
+    await finishChat(req, chat, result.reply);
+    res.json(result);
+  } catch (err) {
+    console.error("chat error:", err);
+    res.status(err.status || 500).json({ error: err.message || "Chat failed." });
+  }
+});
+
+/* Streaming chat as server-sent events: "delta" events carry { text } chunks of the reply as they arrive and "action" events
+   each change Calixo makes to the log ({ id, tool, summary }), then one "done" event with the same payload as /api/chat,
+   or an "error" event with { error } */
+app.post("/api/chat/stream", resolveUser, async (req, res) => {
+  const ai = requireAi(res, "chat", "Calixo");
+  if (!ai) return;
+  let chat;
+  try {
+    chat = await prepareChat(req);
+  } catch (err) {
+    console.error("chat stream error:", err);
+    return res.status(500).json({ error: err.message || "Chat failed." });
+  }
+  const chatMessages = buildChatMessages(req.body, chat.history, chat.memory, { tools: chat.persist, recentHistory: chat.recentHistory });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  try {
+    let rawContent = "";
+    let sent = 0;
+    const onText = (text) => {
+      rawContent += text;
+      const end = streamableLength(rawContent);
+      if (end > sent) {
+        send("delta", { text: rawContent.slice(sent, end) });
+        sent = end;
+      }
+    };
+    if (chat.persist) {
+      const ctx = { ...chatToolContext(req, chat), onAction: (action) => send("action", action) };
+      if ((await runChatWithTools(ai, chatMessages, ctx, { onText, isClosed: () => closed })) === null) return;
+      const result = await resolveChatReply(ai, chatMessages, rawContent);
+      await finishChat(req, chat, result.reply, ctx.actions);
+      send("done", { ...result, actions: ctx.actions });
+    } else {
+      for await (const text of ai.stream(chatMessages, { maxTokens: 550 })) {
+        if (closed) return;
+        onText(text);
+      }
+      const result = await resolveChatReply(ai, chatMessages, rawContent);
+      await finishChat(req, chat, result.reply);
+      send("done", result);
+    }
+  } catch (err) {
+    console.error("chat stream error:", err);
+    if (!closed) send("error", { ...aiErrorBody(err, "Chat failed."), status: err.status || 500 });
+  }
+  res.end();
+});
+
+/* POST /api/chat/actions/:id/undo – reverse one change Calixo made to the log, unless it was changed again since (409) */
+app.post("/api/chat/actions/:id/undo", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  try {
+    const actions = db.collection("chatactions");
+    const action = await actions.findOne({ _id: req.params.id, userId: req.userId });
+    if (!action) return res.status(404).json({ error: "Action not found." });
+    if (action.undoneAt) return res.status(409).json({ error: "Already undone." });
+    await updateSyncDoc(req.userId, (next, seq) => applySyncChanges(next, undoChatActionChanges(next, action), seq));
+    await actions.updateOne({ _id: action._id }, { $set: { undoneAt: new Date() } });
+    res.json({ ok: true, id: action._id });
+  } catch (err) {
+    if (err.status !== 409) console.error("undo chat action error:", err);
+    res.status(err.status || 500).json({ error: err.message || "Undo failed." });
+  }
+});
+
+/* GET /api/conversations – each stored conversation (channel, message count, last message) and the long-term memory */
+app.get("/api/conversations", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to keep chat history on the server." });
+  try {
+    const [docs, memory] = await Promise.all([
+      db.collection("conversations").find({ userId: req.userId }).toArray(),
+      db.collection("chatmemory").findOne({ _id: req.userId })
+    ]);
+    res.json({
+      conversations: docs.map((doc) => ({
+        channel: doc.channel,
+        messageCount: doc.messageCount || 0,
+        updatedAt: doc.updatedAt,
+        lastMessage: doc.messages?.[doc.messages.length - 1] || null
+      })),
+      memory: memory ? { ...memory, _id: undefined } : null
+    });
+  } catch (err) {
+    console.error("GET /api/conversations error:", err);
+    res.status(500).json({ error: err.message || "Failed to load conversations." });
+  }
+});
+
+/* GET /api/conversations/export – every conversation plus the long-term memory as a JSON download */
+app.get("/api/conversations/export", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to keep chat history on the server." });
+  try {
+    const [docs, memory] = await Promise.all([
+      db.collection("conversations").find({ userId: req.userId }).toArray(),
+      db.collection("chatmemory").findOne({ _id: req.userId })
+    ]);
+    res.setHeader("Content-Disposition", `attachment; filename="calixo-conversations-${toDateKey(new Date())}.json"`);
+    res.json({
+      exportedAt: new Date().toISOString(),
+      conversations: docs.map(({ channel, messages = [], createdAt, updatedAt }) => ({ channel, createdAt, updatedAt, messages })),
+      memory: memory ? { ...memory, _id: undefined } : null
+    });
+  } catch (err) {
+    console.error("GET /api/conversations/export error:", err);
+    res.status(500).json({ error: err.message || "Failed to export conversations." });
+  }
+});
+
+/* GET /api/conversations/:channel – the stored messages of one conversation ("goals" or "talk") */
+app.get("/api/conversations/:channel", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Set MONGODB_URI in .env to keep chat history on the server." });
+  const { channel } = req.params;
+  if (!CHAT_CHANNELS.includes(channel)) return res.status(404).json({ error: `Unknown conversation "${channel}".` });
+  try {
+    const doc = await db.collection("conversations").findOne({ _id: conversationId(req.userId, channel) });
+    const actionIds = (doc?.messages || []).flatMap((m) => (m.actions || []).map((a) => a.id));
+    const undone = new Set(
+      actionIds.length > 0
+        ? (await db.collection("chatactions").find({ _id: { $in: actionIds }, undoneAt: { $ne: null } }).toArray()).map((a) => a._id)
+        : []
+    );
+    res.json({
+      channel,
+      messageCount: doc?.messageCount || 0,
+      updatedAt: doc?.updatedAt || null,
+      messages: (doc?.messages || []).map(({ role, content, at, actions }) => ({
+        role,
+        content,
+        at,
+        ...(actions && { actions: actions.map((a) => ({ ...a, undone: undone.has(a.id) })) })
+      }))
+    });
+  } catch (err) {
+    console.error("GET /api/conversations/:channel error:", err);
+    res.status(500).json({ error: err.message || "Failed to load conversation." });
+  }
+});
+
+/* DELETE /api/conversations/:channel – clear one conversation; the long-term memory is kept */
+app.delete("/api/conversations/:channel", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  const { channel } = req.params;
+  if (!CHAT_CHANNELS.includes(channel)) return res.status(404).json({ error: `Unknown conversation "${channel}".` });
+  try {
+    await db.collection("conversations").deleteOne({ _id: conversationId(req.userId, channel) });
+    await db.collection("chatactions").deleteMany({ userId: req.userId, channel });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/conversations/:channel error:", err);
+    res.status(500).json({ error: err.message || "Failed to clear conversation." });
+  }
+});
+
+/* DELETE /api/conversations – clear every conversation and forget the long-term memory */
+app.delete("/api/conversations", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured." });
+  try {
+    await db.collection("conversations").deleteMany({ userId: req.userId });
+    await db.collection("chatmemory").deleteOne({ _id: req.userId });
+    await db.collection("chatactions").deleteMany({ userId: req.userId });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/conversations error:", err);
+    res.status(500).json({ error: err.message || "Failed to clear conversations." });
+  }
+});
+
+/* Verdict on a food or activity the user is considering */
+const VERDICT_SCHEMA = {
+  name: "goal_fit_verdict",
+  schema: {
+    type: "object",
+    properties: {
+      verdict: { type: "string", enum: ["fits", "caution", "avoid"] },
+      assessment: { type: "string", minLength: 1 }
+    },
+    required: ["verdict", "assessment"]
+  }
+};
+
+/* Check if a food fits the user's goals – text or parsed from speech */
+app.post("/api/check-food", async (req, res) => {
+  const ai = requireAi(res, "check-food", "food check");
+  if (!ai) return;
+  const { foodDescription = "", context = {} } = req.body;
+  const desc = (foodDescription || "").trim();
+  if (!desc) return res.status(400).json({ error: "Missing 'foodDescription'. Describe the food (e.g. chicken breast 200g, a slice of pizza)." });
+
+  const { goals = {}, goalStory = "", todayCalories = 0, todayProtein = 0 } = context;
+  const { calorieGoal, proteinGoal } = resolveGoals(goals);
+
+  const prompt = `You are a nutrition coach. The user is considering eating: "${desc}"
+
+Their daily goals: ${calorieGoal} calories, ${proteinGoal}g protein. Goal context: "${goalStory || "General health."}"
+They have already had today: ${todayCalories} cal, ${todayProtein}g protein.
+
+Estimate the rough nutrition for the food they described (calories and protein). Then say whether it FITS their goals, is a CAUTION (ok in moderation or with a tweak), or they should AVOID/skip for their goals. Be brief (2–4 sentences). Mention portion if relevant.
+
+Reply with ONLY a JSON object: { "verdict": "fits" | "caution" | "avoid", "assessment": "your short assessment (why it fits, or what to watch, or a better alternative)" }.`;
+
+  try {
+    const { verdict, assessment } = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 300, schema: VERDICT_SCHEMA });
+    res.json({ assessment: assessment.trim(), verdict });
+  } catch (err) {
+    console.error("check-food error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Check failed."));
+  }
+});
+
+/* Check if an activity fits the user's goals – text or parsed from speech */
+app.post("/api/check-activity", async (req, res) => {
+  const ai = requireAi(res, "check-activity", "activity check");
+  if (!ai) return;
+  const { activityDescription = "", context = {} } = req.body;
+  const desc = (activityDescription || "").trim();
+  if (!desc) return res.status(400).json({ error: "Missing 'activityDescription'. Describe the activity (e.g. 30 min walk, 1 hour gym)." });
+
+  const { goals = {}, goalStory = "", todayActivityMinutes = 0 } = context;
+  const { activityGoal } = resolveGoals(goals);
+
+  const prompt = `You are a fitness coach. The user is considering doing: "${desc}"
+
+Their daily activity goal: ${activityGoal} minutes. Goal context: "${goalStory || "General fitness."}"
+They have already done today: ${todayActivityMinutes} minutes of activity.
+
+Interpret the activity (type, rough duration, intensity). Say whether it FITS their goals (great choice, moves them toward target), is a CAUTION (ok but could do more/different), or they should AVOID (e.g. risk of injury, doesn't match goals, or too much). Be brief (2–4 sentences). Mention how it contributes to their goal if relevant.
+
+Reply with ONLY a JSON object: { "verdict": "fits" | "caution" | "avoid", "assessment": "your short assessment (why it fits, or what to consider, or a better alternative)" }.`;
+
+  try {
+    const { verdict, assessment } = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 300, schema: VERDICT_SCHEMA });
+    res.json({ assessment: assessment.trim(), verdict });
+  } catch (err) {
+    console.error("check-activity error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Check failed."));
+  }
+});
+
+const SUGGESTIONS_SCHEMA = {
+  name: "suggestions",
+  schema: {
+    type: "object",
+    properties: {
+      suggestions: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          properties: {
+            text: { type: "string", minLength: 1 },
+            type: { type: "string", enum: ["success", "warning", "info"] }
+          },
+          required: ["text", "type"]
+        }
+      }
+    },
+    required: ["suggestions"]
+  }
+};
+
+/* Smart suggestions from today's diet, activity, and goals, plus the stored recent history when there is one */
+app.post("/api/suggestions", resolveUser, async (req, res) => {
+  const ai = requireAi(res, "suggestions", "suggestions");
+  if (!ai) return;
+  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "", localTime = "", today } = req.body;
+  const { calorieGoal, proteinGoal, activityGoal } = resolveGoals(goals);
+
+  const dietSummary = dietEntries.length
+    ? summarizeDietByMeal(dietEntries, (e) => `${e.calories} cal, ${e.protein}g protein`)
+    : "No food logged today.";
+  const activitySummary = activityEntries.length
+    ? activityEntries.map((e) => `${e.type} ${e.duration} min (${e.intensity || "moderate"})`).join("; ")
+    : "No activity logged today.";
+  const totalCal = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
+  const totalProtein = dietEntries.reduce((s, e) => s + (Number(e.protein) || 0), 0);
+  const totalActiveMin = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+
+  const recentHistory = await loadRecentHistory(req.userId, { today, goals });
+  const prompt = `You are a friendly fitness and nutrition coach. Based on the user's fitness story and TODAY's data below, give 3 to 6 short, personalized suggestions.
+
+USER'S FITNESS STORY: "${goalStory}"
+
+TODAY'S DATA:
+- Food by meal: ${dietSummary}
+- Activity: ${activitySummary}${localTime ? `\n- Local time now: ${localTime}` : ""}
+- Totals: ${totalCal} cal, ${totalProtein}g protein, ${totalActiveMin} active minutes.
+- Targets: ${calorieGoal} cal, ${proteinGoal}g protein, ${activityGoal} min activity.${recentHistory ? `\n\n${recentHistory}` : ""}
+
+INSTRUCTIONS:
+1. Be ultra-specific. Name specific foods, nutrients, and exercises.
+2. Align suggestions with the user's fitness story. If they want to lose weight, suggest calorie-efficient, high-satiety foods. If they want to build muscle, focus on protein and resistance training.
+3. Consider meal timing: skipped or very small meals, long gaps, late-night snacking, and what the next meal should look like.
+4. Use "success" for positive feedback, "warning" for improvements, "info" for neutral tips.${recentHistory ? `\n5. Make at least one suggestion about a pattern in RECENT HISTORY (e.g. a week of low protein, a streak worth keeping, a trend), citing the numbers.` : ""}
+
+Reply with ONLY a JSON object: { "suggestions": [{ "text": "...", "type": "success|warning|info" }] }.`;
+
+  try {
+    const parsed = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 600, schema: SUGGESTIONS_SCHEMA });
+    const suggestions = parsed.suggestions.map((s) => ({ text: s.text.trim(), type: s.type }));
+    res.json({ suggestions });
+  } catch (err) {
+    console.error("suggestions error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Suggestions failed."));
+  }
+});
+
+/* Items extracted from a spoken food or activity log */
+const SPEECH_SCHEMAS = {
+  food: {
+    name: "spoken_food_log",
+    schema: {
+      type: "object",
+      properties: {
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", minLength: 1 },
+              quantity: { type: "string" },
+              meal: { type: ["string", "null"], enum: [...MEAL_SLOTS, null] }
+            },
+            required: ["name", "quantity", "meal"]
+          }
+        }
+      },
+      required: ["items"]
+    }
+  },
+  activity: {
+    name: "spoken_activity_log",
+    schema: {
+      type: "object",
+      properties: {
+        activities: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              type: { type: "string", enum: ACTIVITY_TYPES },
+              duration: { type: "number", minimum: 1 },
+              intensity: { type: "string", enum: ACTIVITY_INTENSITIES }
+            },
+            required: ["type", "duration", "intensity"]
+          }
+        }
+      },
+      required: ["activities"]
+    }
+  }
+};
+
+app.post("/api/parse-speech", async (req, res) => {
+  const ai = requireAi(res, "parse-speech", "voice logging");
+  if (!ai) return;
+  const { type, transcript } = req.body;
+  const t = (transcript || "").trim();
+  if (!t) return res.status(400).json({ error: "Missing 'transcript'." });
+  if (type !== "food" && type !== "activity") {
+    return res.status(400).json({ error: "Invalid 'type'. Use 'food' or 'activity'." });
+  }
+
+  const foodPrompt = `The user said the following to log food (they may have listed multiple items). Extract every food/drink item and its amount.
+User said: "${t}"
+
+Reply with ONLY a JSON object { "items": [...] }, no other text. Each item: { "name": "food name", "quantity": "amount", "meal": "breakfast|lunch|dinner|snack" or null }.
+For amount use either grams like "150g" or a portion like "1 cup", "2 medium apples", "1 slice", "half cup". If no amount was said, use a reasonable default like "1 serving".
+Set "meal" only when the user says which meal it was (e.g. "for lunch I had…", "my breakfast was…", "a snack of…"); otherwise use null.
+Example output: {"items":[{"name":"rice","quantity":"1 cup","meal":"lunch"},{"name":"chicken breast","quantity":"150g","meal":"lunch"}]}`;
+
+  const activityPrompt = `The user said the following to log physical activity. Extract activity type, duration in minutes, and intensity.
+User said: "${t}"
+
+Reply with ONLY a JSON object { "activities": [...] }, no other text. Each item: { "type": "walk|run|cycle|gym|sports|other", "duration": number, "intensity": "light|moderate|vigorous" }.
+Infer duration in minutes (e.g. "half an hour" = 30, "15 min" = 15). If multiple activities are mentioned, include each. If intensity is unclear, use "moderate".
+Example output: {"activities":[{"type":"walk","duration":30,"intensity":"moderate"}]}`;
+
+  const prompt = type === "food" ? foodPrompt : activityPrompt;
+
+  try {
+    const parsed = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 600, schema: SPEECH_SCHEMAS[type] });
+    if (type === "food") {
+      return res.json({ items: parsed.items.map(({ name, quantity, meal }) => ({ name: name.trim(), quantity, meal })) });
     }
+    return res.json({ activities: parsed.activities.map(({ type, duration, intensity }) => ({ type, duration, intensity })) });
+  } catch (err) {
+    console.error("parse-speech error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Speech parse failed."));
+  }
+});
 
-    const buffer = await response.arrayBuffer();
-    res.setHeader("Content-Type", "audio/mpeg");
-    res.send(Buffer.from(buffer));
+const BRIEFING_SCHEMA = {
+  name: "coach_briefing",
+  schema: { type: "object", properties: { script: { type: "string", minLength: 1 } }, required: ["script"] }
+};
+
+/* Read-aloud coach briefing on today's progress, set against the stored recent history when there is one */
+app.post("/api/coach-briefing", resolveUser, async (req, res) => {
+  const ai = requireAi(res, "coach-briefing", "coach briefing");
+  if (!ai) return;
+  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "", localTime = "", today } = req.body;
+  const { calorieGoal, activityGoal } = resolveGoals(goals);
+
+  const dietSummary = dietEntries.length ? summarizeDietByMeal(dietEntries, (e) => `${e.calories} cal`) : "Nothing logged yet";
+  const activitySummary = activityEntries.length ? activityEntries.map(e => `${e.type} for ${e.duration} min`).join(", ") : "No activity yet";
+  const totalCal = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
+  const totalActiveMin = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+
+  const recentHistory = await loadRecentHistory(req.userId, { today, goals });
+  const prompt = `You are a motivational fitness coach. Write a short, high-energy briefing (max 100 words) for the user based on their progress today.
+
+USER'S STORY: "${goalStory}"
+TODAY'S PROGRESS:
+- Food by meal: ${dietSummary}
+- Activity: ${activitySummary}${localTime ? `\n- Local time now: ${localTime}` : ""}
+- Totals: ${totalCal}/${calorieGoal} cal, ${totalActiveMin}/${activityGoal} min active.${recentHistory ? `\n\n${recentHistory}` : ""}
+
+Provide a personalized, encouraging message that references their specific goals from their story.${recentHistory ? " Set today against the recent history: name one pattern (a streak, a trend, a goal they keep missing or hitting)." : ""} Keep it concise and ready to be read aloud.
+Reply with ONLY a JSON object: { "script": "the briefing" }.`;
+
+  try {
+    const { script } = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 250, schema: BRIEFING_SCHEMA });
+    res.json({ script: script.trim() });
   } catch (err) {
-    console.error("ElevenLabs TTS error:", err);
-    res.status(500).json({ error: err.message || "Text-to-speech failed." });
+    console.error("coach-briefing error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Failed to generate briefing."));
   }
 });
 
-/* ElevenLabs Speech-to-Text: transcribe audio → use with Gemini for voice log */
-app.post("/api/speech-to-text", upload.single("audio"), async (req, res) => {
-  if (!ELEVENLABS_API_KEY) {
-    return res.status(503).json({ error: "ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env" });
+/* Foods the vision model detects in a meal photo, with a read-aloud summary */
+const PHOTO_ANALYSIS_SCHEMA = {
+  name: "food_photo_analysis",
+  schema: {
+    type: "object",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            portion: { type: "string" },
+            ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, { type: "number", minimum: 0 }])),
+            confidence: { type: "number", minimum: 0, maximum: 1 }
+          },
+          required: ["name", "portion", ...NUTRIENT_FIELDS, "confidence"]
+        }
+      },
+      summary: { type: "string" }
+    },
+    required: ["items", "summary"]
   }
+};
+
+/* Normalize one detected item from the vision model into a loggable food entry */
+function normalizePhotoItem(item) {
+  const num = (v) => Math.max(0, Math.round(Number(v) || 0));
+  const confidence = Number(item.confidence);
+  return {
+    name: String(item.name || "").trim().slice(0, 80),
+    portion: String(item.portion || "").trim().slice(0, 60),
+    calories: num(item.calories),
+    protein: num(item.protein),
+    carbs: num(item.carbs),
+    fat: num(item.fat),
+    fiber: num(item.fiber),
+    sugar: num(item.sugar),
+    sodium: num(item.sodium),
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5
+  };
+}
+
+app.post("/api/analyze-food-image", upload.single("image"), async (req, res) => {
+  const ai = requireAi(res, "analyze-food-image", "photo analysis");
+  if (!ai) return;
   if (!req.file || !req.file.buffer) {
-    return res.status(400).json({ error: "No audio file uploaded. Use field name 'audio'." });
+    return res.status(400).json({ error: "No image file uploaded. Use field name 'image'." });
   }
+  const base64 = req.file.buffer.toString("base64");
+  const mime = req.file.mimetype || "image/jpeg";
+  const prompt = `Look at this photo of food or a meal. List every food and drink you can identify. For each item give:
+- name (short)
+- portion (estimated, e.g. 1 cup, 1 medium apple, 2 slices)
+- calories (number)
+- protein in grams (number)
+- carbs in grams (number)
+- fat in grams (number)
+- fiber in grams (number)
+- sugar in grams (number)
+- sodium in milligrams (number)
+- confidence (0 to 1, how sure you are about the item and portion)
 
-  const buffer = req.file.buffer;
-  const mime = req.file.mimetype || "audio/webm";
-  const ext = mime.includes("webm") ? "webm" : mime.includes("mp4") ? "mp4" : "webm";
+Reply with ONLY a JSON object, no other text:
+{ "items": [{ "name": "...", "portion": "...", "calories": X, "protein": X, "carbs": X, "fat": X, "fiber": X, "sugar": X, "sodium": X, "confidence": X }], "summary": "..." }
+"summary" is a clear, short paragraph suitable for reading aloud, ending with a one-line total (e.g. "Total: about X calories, Y grams protein."). If there is no food visible, return an empty "items" array and say so briefly in "summary".`;
 
   try {
-    const form = new FormData();
-    form.append("file", new Blob([buffer], { type: mime }), `audio.${ext}`);
-    form.append("model_id", "scribe_v2");
+    const parsed = await completeJson(
+      ai,
+      [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            {
+              type: "image_url",
+              image_url: { url: `data:${mime};base64,${base64}` }
+            }
+          ]
+        }
+      ],
+      { maxTokens: 900, vision: true, schema: PHOTO_ANALYSIS_SCHEMA }
+    );
+    const items = parsed.items.map(normalizePhotoItem);
+    const totals = Object.fromEntries(
+      NUTRIENT_FIELDS.map((field) => [field, items.reduce((sum, i) => sum + i[field], 0)])
+    );
+    const summary = parsed.summary.trim() ||
+      (items.length
+        ? `${items.map((i) => `${i.name} (${i.portion || "1 serving"})`).join(", ")}. Total: about ${totals.calories} calories, ${totals.protein} grams protein.`
+        : "I couldn't analyze this image.");
+    res.json({ text: summary, summary, items, totals });
+  } catch (err) {
+    console.error("analyze-food-image error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Image analysis failed."));
+  }
+});
 
-    const response = await fetch("https://api.elevenlabs.io/v1/speech-to-text", {
-      method: "POST",
-      headers: { "xi-api-key": ELEVENLABS_API_KEY },
-      body: form
-    });
+app.post("/api/analyze-goals", async (req, res) => {
+  const ai = requireAi(res, "analyze-goals", "goal analysis");
+  if (!ai) return;
+  const { story, profile = null } = req.body;
+  if (!story) return res.status(400).json({ error: "Missing 'story'." });
+  const profileLine = describeProfile(profile);
+  const defaultCalorieGoal = getDefaultCalorieGoal(profile);
 
-    if (!response.ok) {
-      const errBody = await response.text();
-      let errMsg = "ElevenLabs speech-to-text failed.";
-      try {
-        const errJson = JSON.parse(errBody);
-        errMsg = errJson.detail?.message || errJson.message || errBody || errMsg;
-      } catch (_) {
-        if (errBody) errMsg = errBody.slice(0, 200);
-      }
-      return res.status(response.status === 422 ? 422 : 502).json({ error: errMsg });
-    }
+  const prompt = `You are a fitness and nutrition expert. Analyze the following user's fitness story and goals:
+"${story}"
+${profileLine ? `\nBody profile: ${profileLine}. Set calorieGoal relative to this TDEE (a deficit to lose weight, a surplus to gain) and proteinGoal from body weight.\n` : ""}
+Based on this, extract or estimate the following daily targets:
+- calorieGoal (number)
+- proteinGoal (grams, number)
+- activityGoal (minutes, number)
+- carbsGoal, fatGoal and fiberGoal (grams, numbers)
+- sugarGoal (grams, number) and sodiumGoal (milligrams, number) as daily upper limits
 
-    const data = await response.json();
-    const text = (data.text || "").trim();
-    res.json({ text });
+Reply with ONLY a JSON object: { "calorieGoal": X, "proteinGoal": X, "activityGoal": X, "carbsGoal": X, "fatGoal": X, "fiberGoal": X, "sugarGoal": X, "sodiumGoal": X }. No other text.`;
+
+  try {
+    const parsed = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 250, schema: GOALS_SCHEMA });
+    res.json({
+      calorieGoal: Number(parsed.calorieGoal) || defaultCalorieGoal,
+      proteinGoal: Number(parsed.proteinGoal) || DEFAULT_PROTEIN_GOAL,
+      activityGoal: Number(parsed.activityGoal) || DEFAULT_ACTIVITY_GOAL,
+      ...pickNutrientGoals(parsed)
+    });
   } catch (err) {
-    console.error("ElevenLabs STT error:", err);
-    res.status(500).json({ error: err.message || "Speech-to-text failed." });
+    console.error("analyze-goals error:", err);
+    res.status(err.status || 500).json(aiErrorBody(err, "Failed to analyze goals."));
   }
 });
 
-function parseNutritionFromText(text) {
-  const lower = (text || "").toLowerCase();
-  const num = (s) => Math.round(parseFloat(s) || 0);
-  let calories = 0, protein = 0, carbs = 0, fat = 0;
-  const calMatch = lower.match(/calories?[:\s]*(\d+(?:\.\d+)?)/);
-  if (calMatch) calories = num(calMatch[1]);
-  const proMatch = lower.match(/protein[:\s]*(\d+(?:\.\d+)?)/);
-  if (proMatch) protein = num(proMatch[1]);
-  const carbMatch = lower.match(/carbs?[:\s]*(\d+(?:\.\d+)?)/);
-  if (carbMatch) carbs = num(carbMatch[1]);
-  const fatMatch = lower.match(/fat[:\s]*(\d+(?:\.\d+)?)/);
-  if (fatMatch) fat = num(fatMatch[1]);
-  return { calories, protein, carbs, fat };
+/* Export and import. GET /api/export downloads a full JSON backup or one CSV row per diet or activity entry.
+   POST /api/import takes one of those files, or a GPX, TCX or FIT activity recording (each track, activity or session
+   becomes an activity entry, with type and intensity taken from the file or inferred from the average speed).
+   Every entry is validated like a manual one. Rows that fail are reported and left out. An entry whose id is already
+   stored, or that matches a stored entry on importFingerprint, counts as a duplicate. Without MongoDB, /api/import
+   only parses and validates, and the browser merges the result into its own data. */
+const IMPORT_MAX_ENTRIES = 10000;
+const IMPORT_SKIPPED_SHOWN = 20;
+const DIET_CSV_COLUMNS = ["date", "id", "meal", "eatenAt", "name", "portion", ...NUTRIENT_FIELDS];
+const ACTIVITY_CSV_COLUMNS = ["date", "id", "type", "duration", "intensity", "caloriesBurned", "startedAt", "distanceKm", "source"];
+
+/* Header spellings other apps use, after lowercasing and dropping everything but letters */
+const CSV_HEADER_ALIASES = {
+  food: "name",
+  item: "name",
+  time: "eatenAt",
+  eatenat: "eatenAt",
+  kcal: "calories",
+  energy: "calories",
+  activity: "type",
+  sport: "type",
+  minutes: "duration",
+  durationmin: "duration",
+  durationminutes: "duration",
+  caloriesburned: "caloriesBurned",
+  startedat: "startedAt",
+  start: "startedAt",
+  distancekm: "distanceKm",
+  distance: "distanceKm"
+};
+
+/* Sport names in GPX, TCX and other apps' CSVs, after lowercasing and joining words with "_" */
+const ACTIVITY_TYPE_ALIASES = {
+  running: "run",
+  jogging: "run",
+  trail_running: "run",
+  treadmill_running: "run",
+  walking: "walk",
+  hiking: "walk",
+  cycling: "cycle",
+  biking: "cycle",
+  bike: "cycle",
+  ride: "cycle",
+  road_biking: "cycle",
+  mountain_biking: "cycle",
+  indoor_cycling: "cycle",
+  strength_training: "gym",
+  weight_training: "gym",
+  training: "gym",
+  fitness_equipment: "gym",
+  workout: "gym",
+  soccer: "sports",
+  football: "sports",
+  basketball: "sports",
+  tennis: "sports"
+};
+
+/* FIT sport enum values that map onto our activity types; everything else is "other" */
+const FIT_SPORTS = { 1: "run", 2: "cycle", 4: "gym", 6: "sports", 7: "sports", 8: "sports", 9: "sports", 10: "gym", 11: "walk", 17: "walk" };
+const FIT_EPOCH_S = 631065600;
+
+/* Average speed (km/h) below which a walk, run or ride counts as light and above which it counts as vigorous */
+const INTENSITY_SPEEDS_KMH = { walk: [4, 6], run: [8, 12], cycle: [16, 25] };
+
+function activityTypeFrom(name) {
+  const key = String(name ?? "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return ACTIVITY_TYPES.includes(key) ? key : ACTIVITY_TYPE_ALIASES[key] || null;
+}
+
+function inferIntensity(type, kmh) {
+  const band = INTENSITY_SPEEDS_KMH[type];
+  if (!band || kmh == null) return "moderate";
+  return kmh < band[0] ? "light" : kmh > band[1] ? "vigorous" : "moderate";
 }
 
-app.post("/api/food-nutrition", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable nutrition lookup." });
+/* Same key as the client: an entry without a known id that matches one of these is the same entry imported twice */
+function importFingerprint(kind, date, entry) {
+  if (kind === "diet") return `diet|${date}|${String(entry.name).toLowerCase()}|${entry.eatenAt || ""}|${Math.round(Number(entry.calories) || 0)}`;
+  if (kind === "activity") return `activity|${date}|${entry.type}|${entry.duration}|${entry.startedAt || ""}`;
+  return `body|${date}`;
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* RFC 4180: quoted cells may hold commas, doubled quotes and line breaks; blank lines are dropped */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
   }
-  const { foodName, grams, quantity } = req.body;
-  const name = (foodName || "").trim();
-  const gramsNum = grams != null ? Number(grams) : NaN;
-  const quantityStr = typeof quantity === "string" ? quantity.trim() : "";
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
 
-  if (!name) return res.status(400).json({ error: "Missing 'foodName'." });
-  const useGrams = Number.isFinite(gramsNum) && gramsNum > 0;
-  const useQuantity = quantityStr.length > 0;
-  if (!useGrams && !useQuantity) {
-    return res.status(400).json({ error: "Provide either 'grams' (positive number) or 'quantity' (e.g. 1 cup, 2 eggs)." });
+/* Entries of one kind as rows ordered by date, for CSV */
+function entryRows(doc, kind) {
+  return Object.keys(doc?.[kind] || {})
+    .sort()
+    .flatMap((date) => doc[kind][date].map((entry) => ({ ...stripSeq(entry), date })));
+}
+
+function buildBackup(doc) {
+  const byKind = Object.fromEntries(
+    ENTRY_KINDS.map((kind) => [kind, Object.fromEntries(Object.entries(doc?.[kind] || {}).map(([date, list]) => [date, list.map(stripSeq)]))])
+  );
+  return {
+    app: "CalixOlympics",
+    format: "calixolympics-backup",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    ...byKind,
+    ...goalsPayload(doc),
+    achievementsEarnedAt: doc?.achievementsEarnedAt || {}
+  };
+}
+
+/* One entry from a file, checked like a manual entry; throws with the reason it can't be imported */
+function validateImportEntry(kind, raw, profile) {
+  const fail = (message) => {
+    throw new Error(message);
+  };
+  const blank = (value) => value == null || String(value).trim() === "";
+  const number = (value, field, min, max) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) fail(`${field} must be a number from ${min} to ${max}`);
+    return Math.round(n * 10) / 10;
+  };
+  const id = /^[\w-]{1,64}$/.test(String(raw.id ?? "")) ? String(raw.id) : newEntryId();
+
+  if (kind === "diet") {
+    const name = String(raw.name ?? "").trim();
+    if (!name) fail("name is missing");
+    if (name.length > 80) fail("name is longer than 80 characters");
+    const eatenAt = isTimeString(raw.eatenAt) ? raw.eatenAt : null;
+    const meal = MEAL_SLOTS.includes(raw.meal) ? raw.meal : eatenAt ? guessMealForTime(eatenAt) : null;
+    return {
+      id,
+      name,
+      portion: String(raw.portion ?? "").trim().slice(0, 60),
+      ...(meal && { meal }),
+      ...(eatenAt && { eatenAt }),
+      ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, blank(raw[field]) ? 0 : number(raw[field], field, 0, field === "sodium" ? 50000 : 10000)]))
+    };
   }
 
-  const prompt = useGrams
-    ? `You are a nutrition expert. For exactly ${gramsNum} grams of "${name}", provide the estimated nutrition.
-Reply with ONLY this line (numbers only, no extra text):
-calories: X, protein: X, carbs: X, fat: X
-Replace each X with the number. Use typical values for that food and portion.`
-    : `You are a nutrition expert. For "${quantityStr}" of "${name}" (e.g. 1 cup rice, 2 medium apples), provide the estimated nutrition for that portion.
-Reply with ONLY this line (numbers only, no extra text):
-calories: X, protein: X, carbs: X, fat: X
-Replace each X with the number. Use typical values for that food and portion size.`;
+  if (kind === "activity") {
+    const type = activityTypeFrom(raw.type) || "other";
+    const duration = Math.round(number(raw.duration, "duration", 1, 1440));
+    const intensity = ACTIVITY_INTENSITIES.includes(raw.intensity) ? raw.intensity : "moderate";
+    const startedAt = !blank(raw.startedAt) && !Number.isNaN(Date.parse(raw.startedAt)) ? new Date(raw.startedAt).toISOString() : null;
+    const distanceKm = blank(raw.distanceKm) ? null : number(raw.distanceKm, "distanceKm", 0, 1000);
+    return {
+      id,
+      type,
+      duration,
+      intensity,
+      caloriesBurned: blank(raw.caloriesBurned)
+        ? computeCaloriesBurned(type, intensity, duration, profile)
+        : Math.round(number(raw.caloriesBurned, "caloriesBurned", 0, 10000)),
+      benefits: ACTIVITY_BENEFITS[type],
+      ...(startedAt && { startedAt }),
+      ...(distanceKm && { distanceKm }),
+      ...(["gpx", "tcx", "fit"].includes(raw.source) && { source: raw.source })
+    };
+  }
 
+  const metric = (field, min, max) => (blank(raw[field]) ? null : number(raw[field], field, min, max));
+  const body = { weightKg: metric("weightKg", 25, 350), waistCm: metric("waistCm", 40, 250), bodyFatPct: metric("bodyFatPct", 2, 70) };
+  if (Object.values(body).every((v) => v == null)) fail("no weight, waist or body fat");
+  return { id, ...body };
+}
+
+/* Candidates from a CalixOlympics backup: { kind, date, raw, label } for every entry, and the goals it carries */
+function readBackup(text) {
+  let backup;
   try {
-    const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": "http://localhost:3000"
+    backup = JSON.parse(text);
+  } catch (_) {
+    throw Object.assign(new Error("The file is not valid JSON."), { status: 400 });
+  }
+  if (!backup || typeof backup !== "object" || !ENTRY_KINDS.some((kind) => backup[kind] && typeof backup[kind] === "object")) {
+    throw Object.assign(new Error("The JSON file is not a CalixOlympics backup (no diet, activity or body data)."), { status: 400 });
+  }
+  const items = [];
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(backup[kind] || {})) {
+      (Array.isArray(list) ? list : []).forEach((raw, i) => items.push({ kind, date, raw: raw || {}, label: `${kind} ${date} #${i + 1}` }));
+    }
+  }
+  return { items, goals: hasGoalsPayload(backup) ? goalsPayload(backup) : null };
+}
+
+function readCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map((h) => {
+    const key = h.trim().toLowerCase().replace(/[^a-z]/g, "");
+    return CSV_HEADER_ALIASES[key] || [...DIET_CSV_COLUMNS, ...ACTIVITY_CSV_COLUMNS].find((c) => c.toLowerCase() === key) || key;
+  });
+  const kind = columns.includes("name") && !columns.includes("type") ? "diet" : columns.includes("type") && columns.includes("duration") ? "activity" : null;
+  if (!kind || !columns.includes("date")) {
+    throw Object.assign(new Error("Unrecognized CSV. Expect a header with date, name, calories… (food) or date, type, duration… (activity)."), { status: 400 });
+  }
+  const items = rows.map((cells, i) => {
+    const raw = Object.fromEntries(columns.map((column, j) => [column, (cells[j] ?? "").trim()]));
+    return { kind, date: raw.date, raw, label: `row ${i + 2}` };
+  });
+  return { items, goals: null };
+}
+
+function xmlText(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/, "$1").trim() : null;
+}
+
+function xmlBlocks(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "g"))].map((m) => ({ attrs: m[1], body: m[2] }));
+}
+
+function xmlAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+function haversineMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/* Recordings as { start: Date, seconds, meters, calories, sport } – one per GPX track */
+function readGpxTracks(xml) {
+  return xmlBlocks(xml, "trk").map(({ body }) => {
+    const points = xmlBlocks(body, "trkpt")
+      .map(({ attrs, body: point }) => ({ lat: Number(xmlAttr(attrs, "lat")), lon: Number(xmlAttr(attrs, "lon")), time: Date.parse(xmlText(point, "time")) }))
+      .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon) && Number.isFinite(p.time));
+    let meters = 0;
+    for (let i = 1; i < points.length; i++) meters += haversineMeters(points[i - 1], points[i]);
+    return {
+      start: points.length ? new Date(points[0].time) : null,
+      seconds: points.length > 1 ? (points[points.length - 1].time - points[0].time) / 1000 : 0,
+      meters,
+      calories: null,
+      sport: xmlText(body, "type")
+    };
+  });
+}
+
+/* One recording per TCX activity; lap totals, not trackpoints, give its time, distance and calories */
+function readTcxActivities(xml) {
+  return xmlBlocks(xml, "Activity").map(({ attrs, body }) => {
+    const laps = xmlBlocks(body, "Lap").map((lap) => ({ ...lap, totals: lap.body.replace(/<(\w+:)?Track\b[\s\S]*?<\/(\w+:)?Track>/g, "") }));
+    const sum = (tag) => laps.reduce((s, lap) => s + (Number(xmlText(lap.totals, tag)) || 0), 0);
+    const start = Date.parse(laps.length ? xmlAttr(laps[0].attrs, "StartTime") : xmlText(body, "Id"));
+    return {
+      start: Number.isFinite(start) ? new Date(start) : null,
+      seconds: sum("TotalTimeSeconds"),
+      meters: sum("DistanceMeters"),
+      calories: sum("Calories"),
+      sport: xmlAttr(attrs, "Sport")
+    };
+  });
+}
+
+/* The session messages (global 18) of a FIT file, or one recording built from its record timestamps when there are none.
+   Field definitions are read as they come; only the integer fields we use are decoded. */
+function readFitSessions(buffer) {
+  if (buffer.length < 14 || buffer.toString("ascii", 8, 12) !== ".FIT") throw Object.assign(new Error("Not a FIT file."), { status: 400 });
+  const headerSize = buffer[0];
+  const end = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const readUInt = (offset, size, littleEndian) =>
+    size === 1 ? buffer[offset] : size === 2 ? (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset)) : littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const definitions = {};
+  const sessions = [];
+  let sport = null;
+  const records = [];
+  let offset = headerSize;
+  try {
+    while (offset < end) {
+      const header = buffer[offset++];
+      let local;
+      if (header & 0x80) {
+        local = (header >> 5) & 0x03;
+      } else if (header & 0x40) {
+        const littleEndian = buffer[offset + 1] === 0;
+        const globalNum = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+        const count = buffer[offset + 4];
+        const fields = [];
+        for (let i = 0; i < count; i++) fields.push({ num: buffer[offset + 5 + i * 3], size: buffer[offset + 6 + i * 3] });
+        offset += 5 + count * 3;
+        let devSize = 0;
+        if (header & 0x20) {
+          const devCount = buffer[offset++];
+          for (let i = 0; i < devCount; i++) devSize += buffer[offset + i * 3 + 1];
+          offset += devCount * 3;
+        }
+        definitions[header & 0x0f] = { globalNum, littleEndian, fields, devSize };
+        continue;
+      } else {
+        local = header & 0x0f;
+      }
+      const def = definitions[local];
+      if (!def) throw new Error("data before its definition");
+      const values = {};
+      for (const field of def.fields) {
+        if (field.size === 1 || field.size === 2 || field.size === 4) {
+          const value = readUInt(offset, field.size, def.littleEndian);
+          if (value !== 2 ** (8 * field.size) - 1) values[field.num] = value;
+        }
+        offset += field.size;
+      }
+      offset += def.devSize;
+      if (def.globalNum === 18) sessions.push(values);
+      else if (def.globalNum === 12 && values[0] != null) sport = values[0];
+      else if (def.globalNum === 20 && values[253] != null) records.push(values);
+    }
+  } catch (err) {
+    throw Object.assign(new Error(`The FIT file is damaged (${err.message}).`), { status: 400 });
+  }
+  const fitDate = (seconds) => (seconds != null ? new Date((seconds + FIT_EPOCH_S) * 1000) : null);
+  if (sessions.length > 0) {
+    return sessions.map((s) => ({
+      start: fitDate(s[2] ?? s[253]),
+      seconds: (s[8] ?? s[7] ?? 0) / 1000,
+      meters: (s[9] ?? 0) / 100,
+      calories: s[11] ?? null,
+      sport: FIT_SPORTS[s[5]] || null
+    }));
+  }
+  if (records.length < 2) return [];
+  const first = records[0];
+  const last = records[records.length - 1];
+  return [{ start: fitDate(first[253]), seconds: last[253] - first[253], meters: (last[5] ?? 0) / 100, calories: null, sport: FIT_SPORTS[sport] || null }];
+}
+
+/* Candidates for recordings: the date is the local day it started, from the browser's timezone offset */
+function recordingItems(recordings, source, timezoneOffset) {
+  return recordings.map((rec, i) => {
+    const label = `${source.toUpperCase()} ${recordings.length > 1 ? `activity ${i + 1}` : "activity"}`;
+    if (!rec.start || !(rec.seconds >= 60)) return { kind: "activity", date: null, raw: {}, label, error: "no start time or shorter than a minute" };
+    const kmh = rec.meters > 0 ? rec.meters / 1000 / (rec.seconds / 3600) : null;
+    const type = activityTypeFrom(rec.sport) || (kmh == null ? "other" : kmh < 7 ? "walk" : kmh < 16 ? "run" : "cycle");
+    return {
+      kind: "activity",
+      date: localDateAndHour(rec.start, timezoneOffset).date,
+      raw: {
+        type,
+        duration: Math.round(rec.seconds / 60),
+        intensity: inferIntensity(type, kmh),
+        caloriesBurned: rec.calories > 0 ? rec.calories : "",
+        startedAt: rec.start.toISOString(),
+        distanceKm: rec.meters > 0 ? Math.round(rec.meters / 10) / 100 : "",
+        source
       },
-      body: JSON.stringify({
-        model: OPENROUTER_CHAT_MODEL,
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 150
-      })
-    });
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: errData.error?.message || errData.error?.code || (await response.text()) || "OpenRouter request failed."
-      });
+      label
+    };
+  });
+}
+
+/* Work out the format from the file's content and turn it into candidates: { format, items, goals } */
+function readImportFile(buffer, timezoneOffset) {
+  if (buffer.length >= 12 && buffer.toString("ascii", 8, 12) === ".FIT") {
+    return { format: "fit", items: recordingItems(readFitSessions(buffer), "fit", timezoneOffset), goals: null };
+  }
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const head = text.trimStart();
+  if (head.startsWith("{")) return { format: "json", ...readBackup(text) };
+  if (head.startsWith("<")) {
+    if (/<(\w+:)?gpx\b/.test(text)) return { format: "gpx", items: recordingItems(readGpxTracks(text), "gpx", timezoneOffset), goals: null };
+    if (/<(\w+:)?TrainingCenterDatabase\b/.test(text)) return { format: "tcx", items: recordingItems(readTcxActivities(text), "tcx", timezoneOffset), goals: null };
+    throw Object.assign(new Error("Unrecognized XML file. Import GPX or TCX activity files."), { status: 400 });
+  }
+  return { format: "csv", ...readCsv(text) };
+}
+
+/* Validate candidates into sync entries { kind, date, entry }; the rest are skipped with a reason */
+function validateImportItems(items, profile) {
+  const entries = [];
+  const skipped = [];
+  for (const item of items) {
+    try {
+      if (item.error) throw new Error(item.error);
+      if (!ENTRY_KINDS.includes(item.kind)) throw new Error("unknown entry kind");
+      if (!isDateKey(item.date)) throw new Error("date must be YYYY-MM-DD");
+      entries.push({ kind: item.kind, date: item.date, entry: validateImportEntry(item.kind, item.raw, profile) });
+    } catch (err) {
+      skipped.push({ item: item.label, reason: err.message });
     }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const { calories, protein, carbs, fat } = parseNutritionFromText(content);
-    const label = useGrams ? `${name} (${gramsNum}g)` : `${name} (${quantityStr})`;
-    res.json({
-      name: label,
-      calories,
-      protein,
-      carbs,
-      fat
+  }
+  return { entries, skipped };
+}
+
+/* Split entries into ones to add and duplicates of stored entries (or of earlier ones in the same file) */
+function splitImportDuplicates(doc, entries) {
+  const ids = new Set();
+  const prints = new Set();
+  for (const kind of ENTRY_KINDS) {
+    for (const [date, list] of Object.entries(doc[kind] || {})) {
+      for (const e of list) {
+        ids.add(String(e.id));
+        prints.add(importFingerprint(kind, date, e));
+      }
+    }
+  }
+  const fresh = [];
+  let duplicates = 0;
+  for (const item of entries) {
+    const print = importFingerprint(item.kind, item.date, item.entry);
+    if (ids.has(item.entry.id) || prints.has(print)) {
+      duplicates++;
+      continue;
+    }
+    ids.add(item.entry.id);
+    prints.add(print);
+    fresh.push(item);
+  }
+  return { fresh, duplicates };
+}
+
+/* GET /api/export?format=json | diet-csv | activity-csv – download this user's data */
+app.get("/api/export", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: "MongoDB not configured. Export from the browser instead." });
+  const format = req.query.format || "json";
+  if (!["json", "diet-csv", "activity-csv"].includes(format)) {
+    return res.status(400).json({ error: "Invalid 'format'. Use json, diet-csv or activity-csv." });
+  }
+  try {
+    const doc = await db.collection("appdata").findOne({ _id: req.userId });
+    const stamp = toDateKey(new Date());
+    if (format === "json") {
+      res.setHeader("Content-Disposition", `attachment; filename="calixolympics-backup-${stamp}.json"`);
+      return res.json(buildBackup(doc));
+    }
+    const kind = format === "diet-csv" ? "diet" : "activity";
+    res.setHeader("Content-Disposition", `attachment; filename="calixolympics-${kind}-${stamp}.csv"`);
+    res.type("text/csv").send(toCsv(kind === "diet" ? DIET_CSV_COLUMNS : ACTIVITY_CSV_COLUMNS, entryRows(doc, kind)));
+  } catch (err) {
+    console.error("GET /api/export error:", err);
+    res.status(500).json({ error: err.message || "Failed to export data." });
+  }
+});
+
+/* POST /api/import – multipart "file" (JSON backup, diet or activity CSV, GPX, TCX or FIT) and "timezoneOffset" (minutes,
+   as Date#getTimezoneOffset, for the local date of recordings) → { saved: true, format, added, duplicates, skipped, goalsRestored, cursor }.
+   Without MongoDB → { saved: false, format, entries, goals, skipped } for the browser to merge. */
+app.post("/api/import", resolveUser, upload.single("file"), async (req, res) => {
+  if (!req.file || !req.file.buffer) return res.status(400).json({ error: "No file uploaded. Use field name 'file'." });
+  const offset = Number(req.body?.timezoneOffset);
+  try {
+    const { format, items, goals } = readImportFile(req.file.buffer, Number.isInteger(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0);
+    if (items.length > IMPORT_MAX_ENTRIES) return res.status(400).json({ error: `The file has more than ${IMPORT_MAX_ENTRIES} entries.` });
+    const doc = db ? await db.collection("appdata").findOne({ _id: req.userId }) : null;
+    const { entries, skipped } = validateImportItems(items, normalizeProfile(doc?.profile));
+    const skippedShown = skipped.slice(0, IMPORT_SKIPPED_SHOWN);
+    if (!db) return res.json({ saved: false, format, entries, goals, skipped: skippedShown, skippedCount: skipped.length });
+
+    let result;
+    const saved = await updateSyncDoc(req.userId, (next, seq) => {
+      const { fresh, duplicates } = splitImportDuplicates(next, entries);
+      const now = Date.now();
+      const goalsChange = goals && !hasGoalsPayload(next) ? { ...goals, updatedAt: now } : null;
+      applySyncChanges(next, { entries: fresh.map((item) => ({ ...item, entry: { ...item.entry, updatedAt: now } })), goals: goalsChange }, seq);
+      result = {
+        added: Object.fromEntries(ENTRY_KINDS.map((kind) => [kind, fresh.filter((item) => item.kind === kind).length])),
+        duplicates,
+        goalsRestored: !!goalsChange
+      };
     });
+    await reconcileAchievements(db.collection("appdata"), req.userId, saved, userToday(req.body?.timezoneOffset));
+    res.json({ saved: true, format, ...result, skipped: skippedShown, skippedCount: skipped.length, cursor: saved.seq });
   } catch (err) {
-    console.error("food-nutrition error:", err);
-    res.status(500).json({ error: err.message || "Nutrition lookup failed." });
+    if (err.status !== 400) console.error("POST /api/import error:", err);
+    res.status(err.status || 500).json({ error: err.message || "Failed to import the file." });
   }
 });
 
-function callOpenRouter(messages, maxTokens = 500) {
-  return fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": "http://localhost:3000"
-    },
-    body: JSON.stringify({
-      model: OPENROUTER_CHAT_MODEL,
-      messages,
-      max_tokens: maxTokens
-    })
-  });
-}
+/* Reports: a daily recap and a weekly review (Monday to Sunday) built from the stored log – totals vs goals, best and worst
+   days, achievements earned and a short coach commentary – rendered as Markdown and HTML and kept in MongoDB "reports"
+   (one per user, kind and period; generating again replaces it). Settings in "reportsettings" turn on scheduled reports:
+   every REPORTS_CHECK_MINUTES the server creates the day's recap once the user's local time passes their report hour,
+   and the week's review on Sundays, then sends it by email (SMTP_HOST) and/or to a webhook. */
+const REPORT_KINDS = ["daily", "weekly"];
+const REPORT_DEFAULT_HOUR = 21;
+const WEBHOOK_TIMEOUT_MS = 10000;
 
-const CALIXO_SYSTEM = `You are Calixo, a friendly and knowledgeable fitness and nutrition coach in the CalixOlympics app. You use the user's current data (today's food, activity, and goals) to give smart, personalized responses.
+const REPORT_COMMENTARY_SCHEMA = {
+  name: "report_commentary",
+  schema: { type: "object", properties: { commentary: { type: "string", minLength: 1 } }, required: ["commentary"] }
+};
 
-PERSONALITY:
-- Warm and concise. Reply in 2–5 sentences unless they ask for more.
-- Always reference their actual numbers: e.g. "You're at 1200 of 2000 calories—you've got room for a solid dinner" or "You've hit your protein goal already today."
-- When they mention food or activity, acknowledge it and give one relevant tip (e.g. "Chicken and rice is a great combo for protein and carbs" or "20 min run is a solid session—that'll help your cardio").
-- If they're under on calories, protein, or activity, suggest one concrete next step. If they're over, be supportive and suggest balance (e.g. a lighter option or a short walk).
-- Ask at most 1–2 short questions when you need more info to set or refine goals.
+const reportDocId = (userId, id) => `${userId}:${id}`;
 
-GOALS:
-- When they share what they want to achieve (lose weight, build muscle, eat better, etc.), personalize your advice. When you have enough info, add exactly one line at the end of your message (no other text on that line):
-SUGGESTED_GOALS: {"calorieGoal": 2000, "proteinGoal": 50, "activityGoal": 30, "goalStory": "One sentence summary of their goals"}
-- Only include SUGGESTED_GOALS when they've given clear goal-related info. Use sensible defaults (2000 cal, 50g protein, 30 min activity) and goalStory as a one-sentence summary.
-- Use the CONTEXT block below for every reply: cite their current totals vs goals so your advice is specific, not generic.`;
+function dayOfWeek(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
+}
 
-function extractSuggestedGoals(content) {
-  const match = (content || "").match(/SUGGESTED_GOALS:\s*(\{[\s\S]*?\})\s*$/m);
-  if (!match) return null;
-  try {
-    const obj = JSON.parse(match[1].trim());
-    return {
-      calorieGoal: Number(obj.calorieGoal) || 2000,
-      proteinGoal: Number(obj.proteinGoal) || 50,
-      activityGoal: Number(obj.activityGoal) || 30,
-      goalStory: typeof obj.goalStory === "string" ? obj.goalStory.trim() : ""
-    };
-  } catch (_) {
-    return null;
-  }
+/* The period a report covers: the day itself, or the Monday–Sunday week containing it */
+function reportPeriod(kind, date) {
+  const from = kind === "weekly" ? shiftDateKey(date, -((dayOfWeek(date) + 6) % 7)) : date;
+  const to = kind === "weekly" ? shiftDateKey(from, 6) : date;
+  return { id: `${kind}-${from}`, from, to };
 }
 
-function stripSuggestedGoalsLine(content) {
-  return (content || "").replace(/\n?SUGGESTED_GOALS:\s*\{[\s\S]*?\}\s*$/m, "").trim();
+function formatReportDate(dateKey, options) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString("en-US", options);
 }
 
-/* Chat with Calixo – conversational goal discovery and suggestions */
-app.post("/api/chat", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable Calixo." });
+/* Totals vs goals, per-day figures, best and worst days and achievements for one period (commentary is added later) */
+function buildReport(doc, kind, from, to) {
+  const goals = resolveGoals(doc.goals, getDefaultCalorieGoal(doc.profile));
+  const sum = (list, field) => Math.round(list.reduce((s, e) => s + (Number(e[field]) || 0), 0));
+  const days = [];
+  for (let date = from; date <= to; date = shiftDateKey(date, 1)) {
+    const food = doc.diet?.[date] || [];
+    const sessions = doc.activity?.[date] || [];
+    const day = {
+      date,
+      food,
+      sessions,
+      foodEntries: food.length,
+      logged: food.length + sessions.length > 0,
+      ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, sum(food, field)])),
+      activityMinutes: sum(sessions, "duration"),
+      caloriesBurned: sum(sessions, "caloriesBurned")
+    };
+    day.hits = Object.fromEntries(Object.entries(GOAL_HIT_CHECKS).map(([goal, check]) => [goal, check(day, goals)]));
+    day.goalsMet = Object.values(day.hits).filter(Boolean).length;
+    days.push(day);
   }
-  const { messages = [], context = {} } = req.body;
-  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "" } = context;
-  const calorieGoal = goals.calorieGoal ?? 2000;
-  const proteinGoal = goals.proteinGoal ?? 50;
-  const activityGoal = goals.activityGoal ?? 30;
 
-  const todayCalories = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
-  const todayProtein = dietEntries.reduce((s, e) => s + (Number(e.protein) || 0), 0);
-  const todayActivityMins = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+  const loggedDays = days.filter((day) => day.logged);
+  const foodDays = days.filter((day) => day.foodEntries > 0);
+  const totals = Object.fromEntries([...NUTRIENT_FIELDS, "activityMinutes", "caloriesBurned"].map((field) => [field, sum(days, field)]));
+  const average = (list, field) => (list.length ? Math.round(sum(list, field) / list.length) : 0);
+  const averages = {
+    ...Object.fromEntries(NUTRIENT_FIELDS.map((field) => [field, average(foodDays, field)])),
+    activityMinutes: average(days, "activityMinutes"),
+    caloriesBurned: average(days, "caloriesBurned")
+  };
 
-  const dietSummary = dietEntries.length
-    ? dietEntries.map((e) => `${e.name}: ${e.calories} cal`).join(", ")
-    : "None logged today.";
-  const activitySummary = activityEntries.length
-    ? activityEntries.map((e) => `${e.type} ${e.duration} min`).join(", ")
-    : "None logged today.";
+  /* Most goals met first, then closest to the calorie goal */
+  const ranked = [...loggedDays].sort(
+    (a, b) => b.goalsMet - a.goalsMet || Math.abs(a.calories - goals.calorieGoal) - Math.abs(b.calories - goals.calorieGoal)
+  );
+  const earnedAt = doc.achievementsEarnedAt || {};
+  const achievements = ACHIEVEMENTS.filter((a) => earnedAt[a.id] >= from && earnedAt[a.id] <= to).map((a) => ({
+    id: a.id,
+    name: a.name,
+    description: a.description,
+    earnedOn: earnedAt[a.id]
+  }));
 
-  const contextBlock = `CONTEXT (use for every reply—reference these numbers so your advice is specific):
-- Goals: ${calorieGoal} cal/day, ${proteinGoal}g protein, ${activityGoal} min activity. Goal story: "${goalStory || "Not set yet."}"
-- Today so far: ${todayCalories} / ${calorieGoal} calories, ${todayProtein} / ${proteinGoal}g protein, ${todayActivityMins} / ${activityGoal} min activity.
-- Today's food: ${dietSummary}
-- Today's activity: ${activitySummary}`;
+  const title = kind === "weekly"
+    ? `Weekly review – ${formatReportDate(from, { month: "short", day: "numeric" })} to ${formatReportDate(to, { month: "short", day: "numeric", year: "numeric" })}`
+    : `Daily recap – ${formatReportDate(from, { weekday: "long", month: "long", day: "numeric", year: "numeric" })}`;
+  return {
+    id: `${kind}-${from}`,
+    kind,
+    from,
+    to,
+    title,
+    goals,
+    goalStory: doc.goalStory || "",
+    days: days.map(({ food, sessions, ...day }) => day),
+    food: kind === "daily" ? days[0].food.map(({ name, meal, eatenAt, calories }) => ({ name, meal, eatenAt, calories })) : [],
+    activity: kind === "daily" ? days[0].sessions.map(({ type, duration, intensity, caloriesBurned }) => ({ type, duration, intensity, caloriesBurned })) : [],
+    totals,
+    averages,
+    loggedDays: loggedDays.length,
+    goalDays: Object.fromEntries(Object.keys(GOAL_HIT_CHECKS).map((goal) => [goal, days.filter((day) => day.hits[goal]).length])),
+    bestDay: kind === "weekly" && ranked.length > 1 ? ranked[0].date : null,
+    worstDay: kind === "weekly" && ranked.length > 1 ? ranked[ranked.length - 1].date : null,
+    achievements,
+    commentary: null
+  };
+}
 
-  const systemContent = CALIXO_SYSTEM + "\n\n" + contextBlock;
-  const chatMessages = [
-    { role: "system", content: systemContent },
-    ...messages.slice(-20)
+/* Report content as sections ({ heading, text? , list?, table?: { head, rows } }) so Markdown and HTML say the same thing */
+function reportSections(report) {
+  const { goals, totals, averages, kind } = report;
+  const weekly = kind === "weekly";
+  const mark = (met) => (met ? "✓" : "–");
+  const byDate = Object.fromEntries(report.days.map((day) => [day.date, day]));
+  const goalRows = [
+    ["Calories", "calories", goals.calorieGoal, " cal", "calories"],
+    ["Protein", "protein", goals.proteinGoal, " g", "protein"],
+    ["Activity", "activityMinutes", goals.activityGoal, " min", "activity"],
+    ...NUTRIENT_GOALS.filter(({ key }) => goals[key] > 0).map(({ key, field, label, unit, limit }) => [
+      label[0].toUpperCase() + label.slice(1) + (limit ? " (limit)" : ""),
+      field,
+      goals[key],
+      unit === "mg" ? " mg" : " g",
+      null
+    ])
   ];
+  const sections = [];
 
-  try {
-    const response = await callOpenRouter(chatMessages, 550);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ error: errData.error?.message || "OpenRouter request failed." });
+  if (weekly) {
+    sections.push({
+      heading: "Week at a glance",
+      text: `Logged ${report.loggedDays} of 7 days. Calorie goal met on ${report.goalDays.calories}, protein on ${report.goalDays.protein} and activity on ${report.goalDays.activity} of 7 days.`
+    });
+    sections.push({
+      heading: "Totals vs goals",
+      table: {
+        head: ["", "Week total", "Daily average", "Daily goal"],
+        rows: goalRows.map(([label, field, goal, unit]) => [label, `${totals[field]}${unit}`, `${averages[field]}${unit}`, `${goal}${unit}`])
+      }
+    });
+    sections.push({
+      heading: "Day by day",
+      table: {
+        head: ["Day", "Calories", "Protein", "Active", "Goals met"],
+        rows: report.days.map((day) => [
+          formatReportDate(day.date, { weekday: "short", month: "short", day: "numeric" }),
+          day.logged ? `${day.calories}` : "–",
+          day.logged ? `${day.protein} g` : "–",
+          day.logged ? `${day.activityMinutes} min` : "–",
+          day.logged ? `${day.goalsMet} of 3` : "not logged"
+        ])
+      }
+    });
+    if (report.bestDay) {
+      const describe = (day) => `${formatReportDate(day.date, { weekday: "long", month: "short", day: "numeric" })} – ${day.goalsMet} of 3 goals met, ${day.calories} cal, ${day.protein} g protein, ${day.activityMinutes} min active`;
+      sections.push({
+        heading: "Best and toughest days",
+        list: [`Best: ${describe(byDate[report.bestDay])}`, `Toughest: ${describe(byDate[report.worstDay])}`]
+      });
     }
-    const data = await response.json();
-    const rawContent = (data.choices?.[0]?.message?.content || "").trim();
-    const suggestedGoals = extractSuggestedGoals(rawContent);
-    const reply = stripSuggestedGoalsLine(rawContent);
-    res.json({ reply, suggestedGoals });
-  } catch (err) {
-    console.error("chat error:", err);
-    res.status(500).json({ error: err.message || "Chat failed." });
+  } else {
+    const day = report.days[0];
+    sections.push({
+      heading: "Totals vs goals",
+      table: {
+        head: ["", "Today", "Goal", "Met"],
+        rows: goalRows.map(([label, field, goal, unit, hit]) => {
+          const limit = NUTRIENT_GOALS.find((g) => g.field === field)?.limit;
+          const met = hit ? day.hits[hit] : limit ? day[field] <= goal : day[field] >= goal;
+          return [label, `${day[field]}${unit}`, `${goal}${unit}`, day.logged ? mark(met) : "–"];
+        })
+      }
+    });
+    sections.push({
+      heading: "Food",
+      list: report.food.length > 0
+        ? summarizeDietByMeal(report.food, (e) => `${Math.round(Number(e.calories) || 0)} cal`).split("; ")
+        : ["Nothing logged."]
+    });
+    sections.push({
+      heading: "Activity",
+      list: report.activity.length > 0
+        ? report.activity.map((a) => `${a.type}, ${a.duration} min (${a.intensity || "moderate"}), ${Math.round(Number(a.caloriesBurned) || 0)} cal burned`)
+        : ["No activity logged."]
+    });
   }
-});
 
-/* Check if a food fits the user's goals – text or parsed from speech */
-app.post("/api/check-food", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable food check." });
+  if (report.achievements.length > 0) {
+    sections.push({ heading: "Achievements earned", list: report.achievements.map((a) => `${a.name} – ${a.description}`) });
   }
-  const { foodDescription = "", context = {} } = req.body;
-  const desc = (foodDescription || "").trim();
-  if (!desc) return res.status(400).json({ error: "Missing 'foodDescription'. Describe the food (e.g. chicken breast 200g, a slice of pizza)." });
-
-  const { goals = {}, goalStory = "", todayCalories = 0, todayProtein = 0 } = context;
-  const calorieGoal = goals.calorieGoal ?? 2000;
-  const proteinGoal = goals.proteinGoal ?? 50;
+  if (report.commentary) sections.push({ heading: "Coach's take", text: report.commentary });
+  return sections;
+}
 
-  const prompt = `You are a nutrition coach. The user is considering eating: "${desc}"
+function renderReportMarkdown(report) {
+  const cell = (value) => String(value).replace(/\|/g, "\\|");
+  const parts = [`# ${report.title}`, `_Goals: ${report.goals.calorieGoal} cal · ${report.goals.proteinGoal} g protein · ${report.goals.activityGoal} min activity a day_`];
+  for (const section of reportSections(report)) {
+    parts.push(`## ${section.heading}`);
+    if (section.text) parts.push(section.text);
+    if (section.list) parts.push(section.list.map((item) => `- ${item}`).join("\n"));
+    if (section.table) {
+      const { head, rows } = section.table;
+      parts.push([head, head.map(() => "---"), ...rows].map((row) => `| ${row.map(cell).join(" | ")} |`).join("\n"));
+    }
+  }
+  return parts.join("\n\n") + "\n";
+}
 
-Their daily goals: ${calorieGoal} calories, ${proteinGoal}g protein. Goal context: "${goalStory || "General health."}"
-They have already had today: ${todayCalories} cal, ${todayProtein}g protein.
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
 
-Estimate the rough nutrition for the food they described (calories and protein). Then say whether it FITS their goals, is a CAUTION (ok in moderation or with a tweak), or they should AVOID/skip for their goals. Be brief (2–4 sentences). Mention portion if relevant.
+/* A standalone page with inline styles, so it reads the same in the Reports tab, a browser download or an email client */
+function renderReportHtml(report) {
+  const cellStyle = "padding:6px 10px;border-bottom:1px solid #e2e8f0;text-align:left;";
+  const body = reportSections(report)
+    .map((section) => {
+      let html = `<h2 style="font-size:17px;margin:24px 0 8px;color:#0f172a;">${escapeHtml(section.heading)}</h2>`;
+      if (section.text) html += `<p style="margin:0 0 8px;line-height:1.5;">${escapeHtml(section.text)}</p>`;
+      if (section.list) html += `<ul style="margin:0;padding-left:20px;line-height:1.6;">${section.list.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+      if (section.table) {
+        const { head, rows } = section.table;
+        html += `<table style="border-collapse:collapse;width:100%;font-size:14px;"><thead><tr>${head.map((h) => `<th style="${cellStyle}color:#64748b;">${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${rows
+          .map((row) => `<tr>${row.map((value) => `<td style="${cellStyle}">${escapeHtml(value)}</td>`).join("")}</tr>`)
+          .join("")}</tbody></table>`;
+      }
+      return html;
+    })
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title></head>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:system-ui,-apple-system,sans-serif;color:#1e293b;">
+<div style="max-width:640px;margin:0 auto;background:#fff;border-radius:12px;padding:24px;">
+<h1 style="font-size:22px;margin:0 0 4px;color:#0369a1;">${escapeHtml(report.title)}</h1>
+<p style="margin:0;color:#64748b;font-size:14px;">Goals: ${report.goals.calorieGoal} cal · ${report.goals.proteinGoal} g protein · ${report.goals.activityGoal} min activity a day</p>
+${body}
+<p style="margin:24px 0 0;color:#94a3b8;font-size:12px;">CalixOlympics</p>
+</div>
+</body>
+</html>
+`;
+}
 
-Reply with ONLY two lines:
-1. One line: VERDICT: fits  OR  VERDICT: caution  OR  VERDICT: avoid
-2. The rest: your short assessment (why it fits, or what to watch, or a better alternative).`;
+/* A few sentences from Calixo on the report; null when AI isn't set up or fails, since the numbers stand on their own */
+async function reportCommentary(report) {
+  const ai = getAiProvider("report-commentary");
+  if (!ai.isConfigured()) return null;
+  const prompt = `You are Calixo, a warm and concise fitness and nutrition coach. Write the "Coach's take" for this ${report.kind === "weekly" ? "weekly review" : "daily recap"}: 3–5 sentences that name what went well, the one pattern or gap that matters most, and one concrete thing to do ${report.kind === "weekly" ? "next week" : "tomorrow"}. Cite their numbers.
+Their goal story: "${report.goalStory || "Not set."}"
 
+${renderReportMarkdown(report)}
+Reply with ONLY a JSON object: { "commentary": "..." }.`;
   try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 300);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ error: errData.error?.message || "Request failed." });
-    }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const verdictMatch = content.match(/VERDICT:\s*(fits|caution|avoid)/i);
-    const verdict = verdictMatch ? verdictMatch[1].toLowerCase() : "caution";
-    const assessment = content.replace(/VERDICT:\s*(fits|caution|avoid)\s*/i, "").trim();
-    res.json({ assessment: assessment || content, verdict });
+    const { commentary } = await completeJson(ai, [{ role: "user", content: prompt }], { maxTokens: 300, schema: REPORT_COMMENTARY_SCHEMA });
+    return commentary.trim();
   } catch (err) {
-    console.error("check-food error:", err);
-    res.status(500).json({ error: err.message || "Check failed." });
-  }
-});
-
-/* Check if an activity fits the user's goals – text or parsed from speech */
-app.post("/api/check-activity", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable activity check." });
+    console.warn(`report commentary skipped: ${err.message}`);
+    return null;
   }
-  const { activityDescription = "", context = {} } = req.body;
-  const desc = (activityDescription || "").trim();
-  if (!desc) return res.status(400).json({ error: "Missing 'activityDescription'. Describe the activity (e.g. 30 min walk, 1 hour gym)." });
-
-  const { goals = {}, goalStory = "", todayActivityMinutes = 0 } = context;
-  const activityGoal = goals.activityGoal ?? 30;
+}
 
-  const prompt = `You are a fitness coach. The user is considering doing: "${desc}"
+/* Build, render and store one report; resolves to the stored document. scheduled marks the run that the scheduler
+   delivers, which a report regenerated by hand keeps. */
+async function generateReport(userId, kind, date, { scheduled = false } = {}) {
+  const { from, to } = reportPeriod(kind, date);
+  const doc = (await db.collection("appdata").findOne({ _id: userId })) || {};
+  const report = buildReport(doc, kind, from, to);
+  report.commentary = await reportCommentary(report);
+  const stored = {
+    ...report,
+    userId,
+    markdown: renderReportMarkdown(report),
+    html: renderReportHtml(report),
+    createdAt: new Date(),
+    deliveries: [],
+    ...(scheduled && { scheduledAt: new Date() })
+  };
+  await db.collection("reports").updateOne({ _id: reportDocId(userId, report.id) }, { $set: stored }, { upsert: true });
+  return stored;
+}
 
-Their daily activity goal: ${activityGoal} minutes. Goal context: "${goalStory || "General fitness."}"
-They have already done today: ${todayActivityMinutes} minutes of activity.
+function reportSummary(report) {
+  const { id, kind, from, to, title, createdAt, deliveries = [] } = report;
+  return { id, kind, from, to, title, createdAt, deliveries };
+}
 
-Interpret the activity (type, rough duration, intensity). Say whether it FITS their goals (great choice, moves them toward target), is a CAUTION (ok but could do more/different), or they should AVOID (e.g. risk of injury, doesn't match goals, or too much). Be brief (2–4 sentences). Mention how it contributes to their goal if relevant.
+/* Minimal SMTP client for a local stand-in such as Mailpit or MailHog: plain SMTP on SMTP_HOST:SMTP_PORT, no TLS or auth.
+   Text and HTML go as base64 parts of one multipart/alternative message. */
+function sendMail({ to, subject, text, html }) {
+  const address = (value) => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+  const base64Lines = (content) => Buffer.from(content, "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  const boundary = `calixo-${crypto.randomBytes(12).toString("hex")}`;
+  const message = [
+    `From: ${REPORTS_FROM}`,
+    `To: <${to}>`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject, "utf8").toString("base64")}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@calixolympics.local>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(html),
+    `--${boundary}--`,
+    "."
+  ].join("\r\n");
+  /* Each command and the reply code it must get; the first entry is the server greeting */
+  const steps = [
+    [null, 220],
+    ["EHLO calixolympics.local", 250],
+    [`MAIL FROM:<${address(REPORTS_FROM)}>`, 250],
+    [`RCPT TO:<${to}>`, 250],
+    ["DATA", 354],
+    [message, 250],
+    ["QUIT", 221]
+  ];
 
-Reply with ONLY two lines:
-1. One line: VERDICT: fits  OR  VERDICT: caution  OR  VERDICT: avoid
-2. The rest: your short assessment (why it fits, or what to consider, or a better alternative).`;
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: SMTP_HOST, port: SMTP_PORT });
+    let buffer = "";
+    let step = 0;
+    const fail = (err) => {
+      socket.destroy();
+      reject(err);
+    };
+    socket.setTimeout(WEBHOOK_TIMEOUT_MS, () => fail(new Error(`SMTP server at ${SMTP_HOST}:${SMTP_PORT} timed out.`)));
+    socket.on("error", (err) => fail(new Error(`Could not reach the SMTP server at ${SMTP_HOST}:${SMTP_PORT}: ${err.code || err.message}`)));
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      const lines = buffer.split("\r\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line[3] === "-") continue;
+        const code = Number(line.slice(0, 3));
+        if (code !== steps[step][1]) return fail(new Error(`SMTP server replied "${line}".`));
+        step++;
+        if (step === steps.length) {
+          socket.end();
+          return resolve();
+        }
+        socket.write(`${steps[step][0]}\r\n`);
+      }
+    });
+  });
+}
 
-  try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 300);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ error: errData.error?.message || "Request failed." });
-    }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const verdictMatch = content.match(/VERDICT:\s*(fits|caution|avoid)/i);
-    const verdict = verdictMatch ? verdictMatch[1].toLowerCase() : "caution";
-    const assessment = content.replace(/VERDICT:\s*(fits|caution|avoid)\s*/i, "").trim();
-    res.json({ assessment: assessment || content, verdict });
-  } catch (err) {
-    console.error("check-activity error:", err);
-    res.status(500).json({ error: err.message || "Check failed." });
-  }
-});
+/* Delivery targets belong to accounts: anonymous ids are bare UUIDs, account ids start with "user:" */
+const isAccountId = (userId) => String(userId).startsWith("user:");
 
-/* Smart suggestions from today's diet, activity, and goals (OpenRouter) */
-app.post("/api/suggestions", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable suggestions." });
-  }
-  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "" } = req.body;
-  const calorieGoal = goals.calorieGoal ?? 2000;
-  const proteinGoal = goals.proteinGoal ?? 50;
-  const activityGoal = goals.activityGoal ?? 30;
+/* Addresses a webhook may not reach: this host, private networks, link-local (cloud metadata such as 169.254.169.254),
+   carrier-grade NAT, multicast and reserved ranges */
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
 
-  const dietSummary = dietEntries.length
-    ? dietEntries.map((e) => `${e.name}: ${e.calories} cal, ${e.protein}g protein`).join("; ")
-    : "No food logged today.";
-  const activitySummary = activityEntries.length
-    ? activityEntries.map((e) => `${e.type} ${e.duration} min (${e.intensity || "moderate"})`).join("; ")
-    : "No activity logged today.";
-  const totalCal = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
-  const totalProtein = dietEntries.reduce((s, e) => s + (Number(e.protein) || 0), 0);
-  const totalActiveMin = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+function isBlockedWebhookAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_WEBHOOK_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, net.isIP(address) === 6 ? "ipv6" : "ipv4");
+}
 
-  const prompt = `You are a friendly fitness and nutrition coach. Based on the user's fitness story and TODAY's data below, give 3 to 6 short, personalized suggestions.
+/* DNS lookup for webhook requests that refuses blocked addresses, so the address checked is the one connected to */
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedWebhookAddress(a.address));
+    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a private address (${blocked.address}).`), { code: "EBLOCKED" }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
 
-USER'S FITNESS STORY: "${goalStory}"
+/* Check a webhook URL before saving it: http(s), and a host that is on REPORTS_WEBHOOK_ALLOW_HOSTS or only resolves to
+   public addresses; errors carry status 400 */
+async function checkWebhookUrl(webhookUrl) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  const url = new URL(webhookUrl);
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (REPORTS_WEBHOOK_ALLOW_HOSTS.includes(host)) return;
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (_) {
+    throw fail(`Could not resolve the webhook host ${host}.`);
+  }
+  if (addresses.some((a) => isBlockedWebhookAddress(a.address))) throw fail("The webhook must point to a public address.");
+}
 
-TODAY'S DATA:
-- Food: ${dietSummary}
-- Activity: ${activitySummary}
-- Totals: ${totalCal} cal, ${totalProtein}g protein, ${totalActiveMin} active minutes.
-- Targets: ${calorieGoal} cal, ${proteinGoal}g protein, ${activityGoal} min activity.
+/* POST JSON to a webhook. Hosts not on REPORTS_WEBHOOK_ALLOW_HOSTS are resolved through webhookLookup (and IP literals are
+   checked directly), so a DNS change after the URL was saved can't point the request at a private address. Redirects aren't followed. */
+function postWebhook(webhookUrl, payload) {
+  const url = new URL(webhookUrl);
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const allowed = REPORTS_WEBHOOK_ALLOW_HOSTS.includes(host);
+  if (!allowed && net.isIP(host) && isBlockedWebhookAddress(host)) return Promise.reject(new Error("The webhook points to a private address."));
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === "https:" ? https : http).request(
+      url,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        ...(!allowed && { lookup: webhookLookup })
+      },
+      (response) => {
+        response.resume();
+        if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+        else reject(new Error(`Webhook answered ${response.statusCode}.`));
+      }
+    );
+    request.on("timeout", () => request.destroy(new Error("Webhook timed out.")));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
 
-INSTRUCTIONS:
-1. Be ultra-specific. Name specific foods, nutrients, and exercises.
-2. Align suggestions with the user's fitness story. If they want to lose weight, suggest calorie-efficient, high-satiety foods. If they want to build muscle, focus on protein and resistance training.
-3. Use "success" for positive feedback, "warning" for improvements, "info" for neutral tips.
+/* Email goes only to confirmed addresses: a new address gets a link (valid REPORT_EMAIL_CONFIRM_HOURS) and becomes the
+   delivery address when it is opened. Confirmation mail is sent at most once per REPORT_EMAIL_RESEND_MINUTES. */
+const REPORT_EMAIL_CONFIRM_HOURS = 48;
+const REPORT_EMAIL_RESEND_MINUTES = 10;
 
-Reply with ONLY a JSON array of objects: [{ "text": "...", "type": "success|warning|info" }].`;
+async function sendReportEmailConfirmation(req, settings, email) {
+  const pending = email !== settings?.pendingEmail;
+  const recent = settings?.emailConfirmationSentAt && Date.now() - settings.emailConfirmationSentAt < REPORT_EMAIL_RESEND_MINUTES * 60 * 1000;
+  if (!pending && recent) return {};
+  const token = crypto.randomBytes(24).toString("hex");
+  const link = `${req.protocol}://${req.get("host")}/api/reports/confirm-email?token=${token}`;
+  await sendMail({
+    to: email,
+    subject: "Confirm your CalixOlympics report email",
+    text: `Open this link to receive your CalixOlympics reports at ${email}:\n\n${link}\n\nIf you didn't ask for this, ignore this email.`,
+    html: `<p>Open this link to receive your CalixOlympics reports at ${escapeHtml(email)}:</p><p><a href="${escapeHtml(link)}">Confirm email</a></p><p>If you didn't ask for this, ignore this email.</p>`
+  });
+  return {
+    pendingEmail: email,
+    emailTokenHash: hashToken(token),
+    emailTokenExpiresAt: new Date(Date.now() + REPORT_EMAIL_CONFIRM_HOURS * 60 * 60 * 1000),
+    emailConfirmationSentAt: Date.now()
+  };
+}
 
-  try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 600);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: errData.error?.message || errData.error?.code || (await response.text()) || "OpenRouter request failed."
-      });
-    }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
-    const jsonStr = jsonMatch ? jsonMatch[0] : content;
-    let parsed;
+/* Send a stored report by email and/or webhook as the user's settings ask; records and returns each attempt */
+async function deliverReport(userId, report, settings) {
+  const deliveries = [];
+  if (!isAccountId(userId)) return deliveries;
+  const attempt = async (channel, target, send) => {
     try {
-      parsed = JSON.parse(jsonStr);
-    } catch (_) {
-      return res.status(422).json({ error: "Could not parse suggestions. Try again." });
+      await send();
+      deliveries.push({ channel, target, at: new Date(), ok: true });
+    } catch (err) {
+      console.warn(`report ${channel} delivery failed:`, err.message);
+      deliveries.push({ channel, target, at: new Date(), ok: false, error: err.message });
     }
-    const list = Array.isArray(parsed) ? parsed : [parsed];
-    const suggestions = list
-      .filter((s) => s && typeof s.text === "string")
-      .map((s) => ({ text: s.text.trim(), type: ["success", "warning", "info"].includes(s.type) ? s.type : "info" }));
-    res.json({ suggestions });
-  } catch (err) {
-    console.error("suggestions error:", err);
-    res.status(500).json({ error: err.message || "Suggestions failed." });
+  };
+  if (settings?.email) {
+    await attempt("email", settings.email, async () => {
+      if (!SMTP_HOST) throw new Error("SMTP_HOST is not set.");
+      await sendMail({ to: settings.email, subject: report.title, text: report.markdown, html: report.html });
+    });
   }
-});
-
-app.post("/api/parse-speech", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable voice logging." });
+  if (settings?.webhookUrl) {
+    await attempt("webhook", settings.webhookUrl, () =>
+      postWebhook(settings.webhookUrl, { event: "report", report: { ...reportSummary(report), markdown: report.markdown, html: report.html } })
+    );
   }
-  const { type, transcript } = req.body;
-  const t = (transcript || "").trim();
-  if (!t) return res.status(400).json({ error: "Missing 'transcript'." });
-  if (type !== "food" && type !== "activity") {
-    return res.status(400).json({ error: "Invalid 'type'. Use 'food' or 'activity'." });
+  if (deliveries.length > 0) {
+    report.deliveries = [...(report.deliveries || []), ...deliveries];
+    await db.collection("reports").updateOne({ _id: reportDocId(userId, report.id) }, { $set: { deliveries: report.deliveries } });
   }
+  return deliveries;
+}
 
-  const foodPrompt = `The user said the following to log food (they may have listed multiple items). Extract every food/drink item and its amount.
-User said: "${t}"
-
-Reply with ONLY a JSON array, no other text. Each item: { "name": "food name", "quantity": "amount" }.
-For amount use either grams like "150g" or a portion like "1 cup", "2 medium apples", "1 slice", "half cup". If no amount was said, use a reasonable default like "1 serving".
-Example output: [{"name":"rice","quantity":"1 cup"},{"name":"chicken breast","quantity":"150g"}]`;
+/* Report settings from a request body: { daily, weekly, hour (0–23, local), timezoneOffset (minutes, as Date#getTimezoneOffset),
+   email, webhookUrl }, checked for form only (the routes confirm the email and check the webhook's host); errors carry status 400 */
+function normalizeReportSettings(body) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const webhookUrl = typeof body.webhookUrl === "string" ? body.webhookUrl.trim() : "";
+  if (email && !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email)) throw fail("Enter a valid email address, or leave it empty.");
+  if (webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (_) {}
+    if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) throw fail("The webhook must be an http(s) URL, or left empty.");
+  }
+  const hour = Number(body.hour);
+  const offset = Number(body.timezoneOffset);
+  const settings = {
+    daily: body.daily === true,
+    weekly: body.weekly === true,
+    hour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : REPORT_DEFAULT_HOUR,
+    timezoneOffset: Number.isInteger(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0,
+    email,
+    webhookUrl
+  };
+  return { ...settings, enabled: settings.daily || settings.weekly };
+}
 
-  const activityPrompt = `The user said the following to log physical activity. Extract activity type, duration in minutes, and intensity.
-User said: "${t}"
+/* The user's local date and hour, from the offset their browser reported */
+function localDateAndHour(now, timezoneOffset) {
+  const local = new Date(now.getTime() - (timezoneOffset || 0) * 60 * 1000);
+  return { date: local.toISOString().slice(0, 10), hour: local.getUTCHours() };
+}
 
-Reply with ONLY a JSON array of activities, no other text. Each item: { "type": "walk|run|cycle|gym|sports|other", "duration": number, "intensity": "light|moderate|vigorous" }.
-Infer duration in minutes (e.g. "half an hour" = 30, "15 min" = 15). If multiple activities are mentioned, include each. If intensity is unclear, use "moderate".
-Example output: [{"type":"walk","duration":30,"intensity":"moderate"}]`;
+/* Reports and report settings follow the anonymous data into an account, without replacing the account's own */
+async function claimAnonymousReports(anonId, userId) {
+  const reports = db.collection("reports");
+  for (const report of await reports.find({ userId: anonId }).toArray()) {
+    const target = reportDocId(userId, report.id);
+    if (!(await reports.findOne({ _id: target }, { projection: { _id: 1 } }))) {
+      await reports.insertOne({ ...report, _id: target, userId });
+    }
+    await reports.deleteOne({ _id: report._id });
+  }
+  const settings = db.collection("reportsettings");
+  const anonSettings = await settings.findOne({ _id: anonId });
+  if (anonSettings && !(await settings.findOne({ _id: userId }, { projection: { _id: 1 } }))) {
+    await settings.insertOne({ ...anonSettings, _id: userId });
+  }
+  await settings.deleteOne({ _id: anonId });
+}
 
-  const prompt = type === "food" ? foodPrompt : activityPrompt;
+let reportSchedulerRunning = false;
 
+/* One scheduler pass: create and deliver each due report that doesn't exist yet */
+async function runScheduledReports(now = new Date()) {
+  if (!db || reportSchedulerRunning) return;
+  reportSchedulerRunning = true;
   try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 600);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: errData.error?.message || errData.error?.code || (await response.text()) || "OpenRouter request failed."
-      });
-    }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
-    const jsonStr = jsonMatch ? jsonMatch[0] : content;
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonStr);
-    } catch (_) {
-      return res.status(422).json({ error: "Could not parse AI response as JSON. Try rephrasing." });
-    }
-    if (type === "food") {
-      const items = Array.isArray(parsed) ? parsed : [parsed];
-      const valid = items.filter((i) => i && typeof i.name === "string");
-      return res.json({ items: valid });
+    for (const settings of await db.collection("reportsettings").find({ enabled: true }).toArray()) {
+      const { date, hour } = localDateAndHour(now, settings.timezoneOffset);
+      if (hour < settings.hour) continue;
+      const due = [settings.daily && "daily", settings.weekly && dayOfWeek(date) === 0 && "weekly"].filter(Boolean);
+      for (const kind of due) {
+        const { id } = reportPeriod(kind, date);
+        /* a report made by hand earlier in the period doesn't count: it is regenerated and delivered now */
+        const existing = await db.collection("reports").findOne({ _id: reportDocId(settings._id, id) }, { projection: { scheduledAt: 1 } });
+        if (existing?.scheduledAt) continue;
+        try {
+          const report = await generateReport(settings._id, kind, date, { scheduled: true });
+          await deliverReport(settings._id, report, settings);
+        } catch (err) {
+          console.error(`scheduled ${kind} report for ${settings._id} failed:`, err);
+        }
+      }
     }
-    const activities = Array.isArray(parsed) ? parsed : [parsed];
-    const valid = activities.filter(
-      (a) => a && ["walk", "run", "cycle", "gym", "sports", "other"].includes(a.type) && typeof a.duration === "number"
-    );
-    valid.forEach((a) => {
-      if (!a.intensity || !["light", "moderate", "vigorous"].includes(a.intensity)) a.intensity = "moderate";
-    });
-    return res.json({ activities: valid });
-  } catch (err) {
-    console.error("parse-speech error:", err);
-    res.status(500).json({ error: err.message || "Speech parse failed." });
+  } finally {
+    reportSchedulerRunning = false;
   }
-});
-
-app.post("/api/coach-briefing", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable coach briefing." });
-  }
-  const { dietEntries = [], activityEntries = [], goals = {}, goalStory = "" } = req.body;
-  const calorieGoal = goals.calorieGoal ?? 2000;
-  const activityGoal = goals.activityGoal ?? 30;
-
-  const dietSummary = dietEntries.length ? dietEntries.map(e => `${e.name} (${e.calories} cal)`).join(", ") : "Nothing logged yet";
-  const activitySummary = activityEntries.length ? activityEntries.map(e => `${e.type} for ${e.duration} min`).join(", ") : "No activity yet";
-  const totalCal = dietEntries.reduce((s, e) => s + (Number(e.calories) || 0), 0);
-  const totalActiveMin = activityEntries.reduce((s, e) => s + (Number(e.duration) || 0), 0);
+}
 
-  const prompt = `You are a motivational fitness coach. Write a short, high-energy briefing (max 100 words) for the user based on their progress today.
+const REPORTS_UNAVAILABLE = "MongoDB not configured. Set MONGODB_URI in .env to keep reports.";
 
-USER'S STORY: "${goalStory}"
-TODAY'S PROGRESS:
-- Food: ${dietSummary}
-- Activity: ${activitySummary}
-- Totals: ${totalCal}/${calorieGoal} cal, ${totalActiveMin}/${activityGoal} min active.
+/* GET /api/reports – the user's reports, newest period first, without their content */
+app.get("/api/reports", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
+  try {
+    const reports = await db.collection("reports").find({ userId: req.userId }).toArray();
+    reports.sort((a, b) => b.from.localeCompare(a.from) || a.kind.localeCompare(b.kind));
+    res.json({ reports: reports.map(reportSummary) });
+  } catch (err) {
+    console.error("GET /api/reports error:", err);
+    res.status(500).json({ error: err.message || "Failed to load reports." });
+  }
+});
 
-Provide a personalized, encouraging message that references their specific goals from their story. Keep it concise and ready to be read aloud.`;
+/* Settings as the client sees them; email is the confirmed address, pendingEmail one still waiting for its link */
+function reportSettingsBody(settings, req) {
+  const { daily, weekly, hour, timezoneOffset, webhookUrl } = settings || normalizeReportSettings({});
+  return {
+    daily,
+    weekly,
+    hour,
+    timezoneOffset,
+    email: settings?.email || "",
+    pendingEmail: settings?.pendingEmail || "",
+    webhookUrl,
+    smtpConfigured: !!SMTP_HOST,
+    canDeliver: !!req.account
+  };
+}
 
+/* GET /api/reports/settings – schedule and delivery settings (defaults when never saved) */
+app.get("/api/reports/settings", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
   try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 250);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ error: errData.error?.message || "OpenRouter request failed." });
-    }
-    const data = await response.json();
-    const script = (data.choices?.[0]?.message?.content || "").trim();
-    res.json({ script });
+    res.json(reportSettingsBody(await db.collection("reportsettings").findOne({ _id: req.userId }), req));
   } catch (err) {
-    console.error("coach-briefing error:", err);
-    res.status(500).json({ error: err.message || "Failed to generate briefing." });
+    console.error("GET /api/reports/settings error:", err);
+    res.status(500).json({ error: err.message || "Failed to load report settings." });
   }
 });
 
-app.post("/api/analyze-food-image", upload.single("image"), async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "OpenRouter API key not configured. Set OPENROUTER_API_KEY in .env" });
-  }
-  if (!req.file || !req.file.buffer) {
-    return res.status(400).json({ error: "No image file uploaded. Use field name 'image'." });
+/* PUT /api/reports/settings – { daily, weekly, hour, timezoneOffset, email, webhookUrl }. Email and webhook need an account;
+   a new email address gets a confirmation link and only receives reports once it is opened. */
+app.put("/api/reports/settings", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
+  try {
+    const { email, ...settings } = normalizeReportSettings(req.body || {});
+    if ((email || settings.webhookUrl) && !req.account) {
+      return res.status(401).json({ error: "Sign in to have reports emailed or sent to a webhook." });
+    }
+    if (settings.webhookUrl) await checkWebhookUrl(settings.webhookUrl);
+    const col = db.collection("reportsettings");
+    const stored = await col.findOne({ _id: req.userId });
+    const noPending = { pendingEmail: "", emailTokenHash: null, emailTokenExpiresAt: null };
+    let emailFields;
+    if (!email) emailFields = { email: "", ...noPending };
+    else if (email === stored?.email) emailFields = noPending;
+    else if (!SMTP_HOST) throw Object.assign(new Error("Email delivery isn't set up on this server (SMTP_HOST)."), { status: 400 });
+    else emailFields = await sendReportEmailConfirmation(req, stored, email);
+    await col.updateOne({ _id: req.userId }, { $set: { ...settings, ...emailFields, updatedAt: new Date() } }, { upsert: true });
+    res.json(reportSettingsBody(await col.findOne({ _id: req.userId }), req));
+  } catch (err) {
+    if (err.status !== 400) console.error("PUT /api/reports/settings error:", err);
+    res.status(err.status || 500).json({ error: err.message || "Failed to save report settings." });
   }
-  const base64 = req.file.buffer.toString("base64");
-  const mime = req.file.mimetype || "image/jpeg";
-  const prompt = `Look at this photo of food or a meal. List every food and drink you can identify. For each item give:
-- name (short)
-- estimated portion (e.g. 1 cup, 1 medium apple, 2 slices)
-- calories (number)
-- protein in grams
-- carbs in grams
-- fat in grams
-
-Reply in a clear, short paragraph suitable for reading aloud. Include a one-line total at the end (e.g. "Total: about X calories, Y grams protein."). If there is no food visible, say so briefly.`;
+});
 
+/* GET /api/reports/confirm-email?token= – the link from the confirmation email; makes the pending address the delivery address */
+app.get("/api/reports/confirm-email", async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
+  const page = (status, message) =>
+    res.status(status).type("html").send(`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>CalixOlympics reports</title></head><body style="font-family:system-ui,sans-serif;padding:24px;"><p>${escapeHtml(message)}</p></body></html>`);
   try {
-    const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": "http://localhost:3000"
-      },
-      body: JSON.stringify({
-        model: OPENROUTER_VISION_MODEL,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              {
-                type: "image_url",
-                image_url: { url: `data:${mime};base64,${base64}` }
-              }
-            ]
-          }
-        ],
-        max_tokens: 500
-      })
-    });
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: errData.error?.message || errData.error?.code || (await response.text()) || "OpenRouter request failed."
-      });
+    const col = db.collection("reportsettings");
+    const settings = typeof req.query.token === "string" ? await col.findOne({ emailTokenHash: hashToken(req.query.token) }) : null;
+    if (!settings || !settings.pendingEmail || !(settings.emailTokenExpiresAt > new Date())) {
+      return page(400, "This confirmation link is invalid or has expired. Save your email again under Reports to get a new one.");
     }
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim() || "I couldn't analyze this image.";
-    res.json({ text: content, summary: content });
+    await col.updateOne(
+      { _id: settings._id },
+      { $set: { email: settings.pendingEmail, pendingEmail: "", emailTokenHash: null, emailTokenExpiresAt: null, updatedAt: new Date() } }
+    );
+    page(200, `Confirmed. Your reports will be emailed to ${settings.pendingEmail}.`);
   } catch (err) {
-    console.error("OpenRouter Vision error:", err);
-    res.status(500).json({ error: err.message || "Image analysis failed." });
+    console.error("GET /api/reports/confirm-email error:", err);
+    page(500, "Could not confirm the email. Try again later.");
   }
 });
 
-app.post("/api/analyze-goals", async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
-    return res.status(503).json({ error: "AI is not configured. Add OPENROUTER_API_KEY to .env to enable goal analysis." });
+/* POST /api/reports – { kind: "daily" | "weekly", date?: YYYY-MM-DD (defaults to today), deliver?: boolean } → the report now */
+app.post("/api/reports", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
+  const { kind, date, deliver = false } = req.body || {};
+  if (!REPORT_KINDS.includes(kind)) return res.status(400).json({ error: "Invalid 'kind'. Use 'daily' or 'weekly'." });
+  if (date != null && !isDateKey(date)) return res.status(400).json({ error: "Invalid 'date'. Use YYYY-MM-DD." });
+  try {
+    const report = await generateReport(req.userId, kind, date || toDateKey(new Date()));
+    if (deliver) await deliverReport(req.userId, report, await db.collection("reportsettings").findOne({ _id: req.userId }));
+    const { _id, userId, ...body } = report;
+    res.json(body);
+  } catch (err) {
+    console.error("POST /api/reports error:", err);
+    res.status(err.status || 500).json({ error: err.message || "Failed to create the report." });
   }
-  const { story } = req.body;
-  if (!story) return res.status(400).json({ error: "Missing 'story'." });
-
-  const prompt = `You are a fitness and nutrition expert. Analyze the following user's fitness story and goals:
-"${story}"
-
-Based on this, extract or estimate the following daily targets:
-- calorieGoal (number)
-- proteinGoal (grams, number)
-- activityGoal (minutes, number)
-
-Reply with ONLY a JSON object: { "calorieGoal": X, "proteinGoal": X, "activityGoal": X }. No other text.`;
+});
 
+/* GET /api/reports/:id – one report as JSON (with markdown and html), or ?format=md | html to download it */
+app.get("/api/reports/:id", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
   try {
-    const response = await callOpenRouter([{ role: "user", content: prompt }], 150);
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ error: errData.error?.message || "OpenRouter request failed." });
-    }
-    const data = await response.json();
-    const content = (data.choices?.[0]?.message?.content || "").trim();
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonMatch ? jsonMatch[0] : content);
-    } catch (parseErr) {
-      console.error("analyze-goals parse error:", parseErr);
-      return res.status(422).json({ error: "Could not parse AI response. Try rephrasing your goals." });
+    const report = await db.collection("reports").findOne({ _id: reportDocId(req.userId, req.params.id) });
+    if (!report) return res.status(404).json({ error: "Report not found." });
+    const { format } = req.query;
+    if (format === "md" || format === "html") {
+      res.setHeader("Content-Disposition", `attachment; filename="calixo-${report.id}.${format}"`);
+      res.type(format === "md" ? "text/markdown" : "text/html");
+      return res.send(format === "md" ? report.markdown : report.html);
     }
-    res.json({
-      calorieGoal: Number(parsed.calorieGoal) || 2000,
-      proteinGoal: Number(parsed.proteinGoal) || 50,
-      activityGoal: Number(parsed.activityGoal) || 30
-    });
+    const { _id, userId, ...body } = report;
+    res.json(body);
   } catch (err) {
-    console.error("analyze-goals error:", err);
-    res.status(500).json({ error: err.message || "Failed to analyze goals." });
+    console.error("GET /api/reports/:id error:", err);
+    res.status(500).json({ error: err.message || "Failed to load the report." });
+  }
+});
+
+/* DELETE /api/reports/:id */
+app.delete("/api/reports/:id", resolveUser, async (req, res) => {
+  if (!db) return res.status(503).json({ error: REPORTS_UNAVAILABLE });
+  try {
+    await db.collection("reports").deleteOne({ _id: reportDocId(req.userId, req.params.id) });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/reports/:id error:", err);
+    res.status(500).json({ error: err.message || "Failed to delete the report." });
   }
 });
 
@@ -1006,6 +4444,11 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`CalixOlympics API running at http://localhost:${PORT}`);
   });
+  if (REPORTS_CHECK_MINUTES > 0) {
+    setInterval(() => {
+      runScheduledReports().catch((err) => console.error("report scheduler error:", err));
+    }, REPORTS_CHECK_MINUTES * 60 * 1000);
+  }
 }
 
 module.exports = app;
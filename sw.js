@@ -0,0 +1,37 @@
+/* CalixOlympics service worker – caches the app shell so the app opens offline.
+   Shell files are fetched network-first (so updates show up right away) and fall back to the cache.
+   API calls are never cached; the page queues food lookups and photos itself while offline. */
+const CACHE_NAME = "calixolympics-shell-v2";
+const SHELL_FILES = ["./", "index.html", "goals.js", "script.js", "style.css", "manifest.webmanifest", "icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(request).then((cached) => cached || (request.mode === "navigate" ? caches.match("index.html") : Response.error()))
+      )
+  );
+});